@@ -0,0 +1,311 @@
+// cli.js
+
+const path = require('path');
+const readline = require('readline');
+const { BidEngine, appUserDataDir } = require('./main/bid-engine');
+const { readDataFile } = require('./main/data-schema');
+const { defaultAcceptance } = require('./main/auction-merge');
+const { formatWallClock, zoneAbbreviation } = require('./main/auction-time');
+// Folder under Documents shared with the app and src/ (see FilePaths); also Electron's app name.
+const APP_FOLDER_NAME = 'puppeteer-electron-quickstart';
+// Read instead of asking, for unattended runs
+const PASSPHRASE_ENV = 'BID_VAULT_PASSPHRASE';
+// How often `run` checks whether any bid is still waiting
+const RUN_POLL_MS = 5000;
+
+const USAGE = `Usage: npm run cli -- <command> [options]
+
+Commands:
+  list [--file <file>]         the stored auctions, or those in a data file
+  validate [<file>]            check a data file (or the stored data); exits 1 on problems
+  import <file> [--apply]      preview merging a data file into the stored auctions
+  extract <url>... [--apply]   extract search URLs and preview merging their lots
+  run [--dry-run] [--fire-missed | --skip-missed]
+                               log in, schedule the bids and stay until the last one is done
+
+  --apply        save the new lots and the site's changes (what the app ticks by default)
+  --dry-run      rehearse every bid now, stopping before the final confirmation
+  --fire-missed  place the bids that were due while nothing was running
+  --skip-missed  drop them instead; without either, run lists them and stops
+
+Options:
+  --data-dir <dir>   the app's data folder (default: ${appUserDataDir(APP_FOLDER_NAME)})
+  --headless         no browser windows, whatever settings.json says
+  --verbose          print the audit log as it is written
+
+The vault passphrase is read from ${PASSPHRASE_ENV}, else asked for.`;
+
+/* ====================== Arguments ====================== */
+/** { command, args: [positional], flags: { name: value | true } } */
+function parseArgs(argv) {
+  const valued = ['file', 'data-dir'];
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (valued.includes(name)) {
+      if (i + 1 >= argv.length) throw new Error(`--${name} needs a value`);
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  return { command: args.shift(), args, flags };
+}
+
+function createEngine(flags) {
+  return new BidEngine({
+    appFolderName: APP_FOLDER_NAME,
+    userDataDir: flags['data-dir'] ? path.resolve(flags['data-dir']) : appUserDataDir(APP_FOLDER_NAME),
+    headless: !!flags.headless,
+    echoLog: !!flags.verbose,
+    notify: (channel, payload) => {
+      if (channel === 'bid-status') printBidStatus(payload);
+    },
+  });
+}
+
+/* ====================== Vault ====================== */
+/**
+ * Unlocks the vault with PASSPHRASE_ENV or a passphrase typed without echo;
+ * without a vault yet, that passphrase creates it. Throws when it stays locked.
+ */
+async function unlockVault(engine) {
+  let passphrase = process.env[PASSPHRASE_ENV];
+  if (!passphrase) {
+    passphrase = await askHidden('Vault passphrase: ');
+    if (!engine.vaultStatus().exists && passphrase !== await askHidden('New vault, passphrase again: ')) {
+      throw new Error('The passphrases do not match.');
+    }
+  }
+  const result = engine.unlockVault(passphrase);
+  if (!result.ok) throw new Error(`Vault not unlocked: ${result.message}`);
+  if (result.created) console.log('Created the credential vault.');
+  if (result.migrated) console.log(`Moved ${result.migrated} plaintext credentials into the vault.`);
+}
+
+function askHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`No terminal to ask for the vault passphrase; set ${PASSPHRASE_ENV}.`));
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  let asked = false;
+  // Print the question, then nothing of what is typed
+  rl._writeToOutput = text => {
+    if (!asked) process.stdout.write(text);
+    asked = true;
+  };
+  return new Promise(resolve => rl.question(question, (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  }));
+}
+
+/* ====================== Output ====================== */
+function describeTime(auction) {
+  if (!auction.timeToBid) return 'no time to bid';
+  const zone = auction.timeZone;
+  return zone ? `${formatWallClock(auction.timeToBid, zone)} ${zoneAbbreviation(auction.timeToBid, zone)}` : auction.timeToBid;
+}
+
+function printAuctions(auctions) {
+  if (!auctions.length) {
+    console.log('No auctions.');
+    return;
+  }
+  for (const a of auctions) {
+    const strategy = a.strategy && a.strategy.type ? ` ${a.strategy.type}` : '';
+    const status = a.bidStatus ? ` [${a.bidStatus}]` : '';
+    const watched = a.watched ? ' (watched)' : '';
+    console.log(`${String(a.id).padStart(4)}  ${a.idAuction || '?'}  ${describeTime(a)}  `
+      + `${a.bidProxy || 0}%${strategy}  ${a.account || 'no account'}${status}${watched}`);
+  }
+  console.log(`${auctions.length} auctions.`);
+}
+
+// A broken file may hold anything where a list belongs
+function listOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function printProblems(problems) {
+  problems.forEach(p => console.log(`  - ${p}`));
+}
+
+/** One line per merge preview section, then the lots themselves. */
+function printMerge(merge) {
+  console.log(`${merge.added.length} new, ${merge.changed.length} changed, ${merge.removed.length} removed, `
+    + `${merge.unchanged} unchanged.`);
+  merge.added.forEach(a => console.log(`  + ${a.idAuction}  ${describeTime(a)}  ${a.address || ''}`));
+  merge.changed.forEach((c) => {
+    const fields = c.changes.map(change => `${change.field}${change.ours ? ' (ours, kept)' : ''}`).join(', ');
+    console.log(`  ~ ${c.idAuction}  ${fields}`);
+  });
+  merge.removed.forEach(r => console.log(`  - ${r.idAuction}  ${r.address || ''} (kept)`));
+}
+
+/** Saves what --apply takes, or drops the preview. */
+function finishMerge(engine, merge, apply) {
+  if (!apply) {
+    engine.discardMerge(merge.token);
+    console.log('Nothing saved; run again with --apply to save the new lots and changes.');
+    return;
+  }
+  console.log(engine.applyMerge(merge.token, defaultAcceptance(merge)));
+}
+
+function printBidStatus(update) {
+  const at = new Date(update.at).toLocaleTimeString();
+  const fireAt = update.status === 'scheduled' && update.fireAt ? ` at ${new Date(update.fireAt).toLocaleString()}` : '';
+  const message = update.message ? `: ${update.message}` : '';
+  console.log(`${at}  ${update.idAuction} (${update.account}) ${update.status}${fireAt}${message}`);
+}
+
+/* ====================== Commands ====================== */
+const COMMANDS = {
+  list(engine, args, flags) {
+    if (flags.file) {
+      const { data, errors } = readDataFile(flags.file);
+      printAuctions(listOf(data.auctions));
+      if (errors.length) console.log(`${errors.length} problems; see: npm run cli -- validate ${flags.file}`);
+      return 0;
+    }
+    printAuctions(engine.loadData().auctions);
+    if (engine.dataProblems.length) console.log(`${engine.dataProblems.length} problems; see: npm run cli -- validate`);
+    return 0;
+  },
+
+  validate(engine, args) {
+    let problems;
+    if (args[0]) {
+      const { data, fromVersion, errors } = readDataFile(args[0]);
+      console.log(`${args[0]}: schema ${fromVersion}, ${listOf(data.auctions).length} auctions, `
+        + `${listOf(data.credentials).length} credentials.`);
+      problems = errors;
+    } else {
+      console.log(`Stored data: ${engine.loadData().auctions.length} auctions.`);
+      problems = engine.dataProblems;
+    }
+    if (!problems.length) {
+      console.log('No problems found.');
+      return 0;
+    }
+    console.log(`${problems.length} problems:`);
+    printProblems(problems);
+    return 1;
+  },
+
+  async import(engine, args, flags) {
+    if (!args[0]) throw new Error('Which file? npm run cli -- import <file>');
+    // Passwords in the file go into the vault
+    const { data } = readDataFile(args[0]);
+    if (listOf(data.credentials).some(c => c && c.password)) await unlockVault(engine);
+
+    const { message, merge } = engine.importDataFile(args[0]);
+    console.log(message);
+    if (!merge) return 1;
+    printMerge(merge);
+    finishMerge(engine, merge, flags.apply);
+    return 0;
+  },
+
+  async extract(engine, args, flags) {
+    if (!args.length) throw new Error('Which searches? npm run cli -- extract <url>...');
+    const { message, searches, merge } = await engine.extractProperties(args);
+    for (const s of searches) {
+      console.log(s.error
+        ? `${s.url}: failed => ${s.error}`
+        : `${s.url}: ${s.rows} rows, ${s.added} new, ${s.matched} stored, ${s.duplicates} duplicates, ${s.skipped} skipped`);
+    }
+    console.log(message);
+    printMerge(merge);
+    finishMerge(engine, merge, flags.apply);
+    return searches.some(s => s.error) ? 1 : 0;
+  },
+
+  /**
+   * Same as Start in the app: overdue bids are placed right away, the rest
+   * are scheduled (with their pre-warm) and the command stays in the
+   * foreground until none is waiting. Ctrl+C cancels the waiting ones.
+   * Bids missed while nothing was running are only placed with --fire-missed,
+   * as the app asks before placing them.
+   */
+  async run(engine, args, flags) {
+    // Saved sessions and missed bids need the vault from the start
+    await unlockVault(engine);
+    const missed = engine.start();
+    const dryRun = !!flags['dry-run'];
+    const missedAction = flags['fire-missed'] ? 'fire' : flags['skip-missed'] ? 'skip' : '';
+    if (missed.length && !dryRun && !missedAction) {
+      console.log(`${missed.length} bids were due while nothing was running:`);
+      missed.forEach(job => console.log(`  ${job.idAuction} (${job.account}) leg ${job.leg + 1}, due ${new Date(job.fireAt).toLocaleString()}`));
+      console.log('Run again with --fire-missed to place them now, or --skip-missed to drop them.');
+      return 1;
+    }
+
+    let stopping = false;
+    process.on('SIGINT', () => {
+      if (stopping) process.exit(130);
+      stopping = true;
+      console.log('\nCanceling the waiting bids (Ctrl+C again to quit at once)...');
+      engine.stopBidding('Stopped from the command line');
+    });
+
+    await engine.startBidding({ dryRun });
+    // After startBidding, which leaves the missed legs alone
+    if (!dryRun) {
+      for (const job of missed) await engine.resolveMissedJob(job.id, missedAction);
+    }
+    // A dry run rehearses everything at once; nothing is left to wait for
+    while (!dryRun && !stopping && engine.activeJobs().length) {
+      await new Promise(r => setTimeout(r, RUN_POLL_MS));
+    }
+    // A bid already running when Ctrl+C came is let finish
+    while (engine.activeJobs().some(j => j.state === 'running')) {
+      await new Promise(r => setTimeout(r, RUN_POLL_MS));
+    }
+    const failed = Object.values(engine.liveStatuses).filter(s => s.status === 'failed');
+    console.log(`Done. ${failed.length ? `${failed.length} auctions failed.` : 'Nothing failed.'}`);
+    return failed.length ? 1 : 0;
+  },
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+  const { command, args, flags } = parsed;
+  if (!command || flags.help || !COMMANDS[command]) {
+    if (command && !COMMANDS[command]) console.error(`Unknown command: ${command}\n`);
+    console.log(USAGE);
+    return command && !COMMANDS[command] ? 2 : 0;
+  }
+
+  const engine = createEngine(flags);
+  try {
+    // run starts the whole engine, scheduled bids included
+    if (command !== 'run') engine.loadSettings();
+    return await COMMANDS[command](engine, args, flags);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  } finally {
+    await engine.shutdown();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => { process.exit(code); });
+}
+
+module.exports = { parseArgs, main };
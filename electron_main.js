@@ -1,54 +1,31 @@
 // main.js
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
-const path = require('path');
+const { app, BrowserWindow, ipcMain, dialog, shell, Notification } = require('electron');
 const fs = require('fs');
-const puppeteer = require('puppeteer');
-const HEADLESS_BIDDING = false;   // Bidding in non-headless
-const HEADLESS_EXTRACTION = true; // Extraction in headless
-
-
-/** We'll define a "credentials.json" in the userData path. */
-function getCredentialsFilePath() {
-  const userDataPath = app.getPath('userData');
-  return path.join(userDataPath, 'credentials.json');
-}
-
-function loadData() {
-  const filePath = getCredentialsFilePath();
-  console.log('[IO] loadData =>', filePath);
-  try {
-    if (!fs.existsSync(filePath)) {
-      const defaultData = { credentials: [], auctions: [] };
-      fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2), 'utf8');
-      return defaultData;
+const { listSites } = require('./main/sites');
+const { BidEngine } = require('./main/bid-engine');
+// Folder under Documents shared with src/ (see FilePaths).
+const APP_FOLDER_NAME = 'puppeteer-electron-quickstart';
+
+/**
+ * Everything but the windows lives in the engine (see bid-engine.js); this
+ * file serves it to the renderer over IPC and passes its changes on to every
+ * window. cli.js runs the same engine without Electron.
+ */
+const engine = new BidEngine({
+  appFolderName: APP_FOLDER_NAME,
+  userDataDir: app.getPath('userData'),
+  notify: (channel, payload) => {
+    if (channel === 'lot-changed') notifyLotChange(payload);
+    for (const win of BrowserWindow.getAllWindows()) {
+      win.webContents.send(channel, payload);
     }
-    const raw = fs.readFileSync(filePath, 'utf8');
-    const parsed = JSON.parse(raw);
-    return {
-      credentials: parsed.credentials || [],
-      auctions: parsed.auctions || [],
-    };
-  } catch (err) {
-    console.error('[IO] loadData error =>', err);
-    return { credentials: [], auctions: [] };
-  }
-}
-
-function saveData({ credentials, auctions }) {
-  const filePath = getCredentialsFilePath();
-  console.log('[IO] saveData =>', filePath);
-  try {
-    fs.writeFileSync(filePath, JSON.stringify({ credentials, auctions }, null, 2), 'utf8');
-    return true;
-  } catch (err) {
-    console.error('[IO] saveData error =>', err);
-    return false;
-  }
-}
+  },
+});
+const { audit } = engine;
 
 function createWindow() {
-  console.log('[App] createWindow()');
+  audit.debug('app', 'createWindow()');
   try {
     const win = new BrowserWindow({
       width: 1000,
@@ -60,14 +37,15 @@ function createWindow() {
       },
     });
     win.loadFile('index.html');
-    console.log('[App] Main window created & loaded');
+    audit.info('app', 'Main window created & loaded');
   } catch (err) {
-    console.error('[App] Error in createWindow =>', err);
+    audit.error('app', `Error in createWindow => ${err.message}`, { error: err });
   }
 }
 
 app.whenReady().then(() => {
-  console.log('[App] app.whenReady()');
+  audit.info('app', 'app.whenReady()');
+  engine.start();
   createWindow();
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -76,13 +54,33 @@ app.whenReady().then(() => {
   });
 });
 
+// Saves the logged-in sessions' cookies before their browsers go
+let sessionsClosed = false;
+app.on('before-quit', (event) => {
+  if (sessionsClosed) return;
+  event.preventDefault();
+  engine.shutdown().finally(() => {
+    sessionsClosed = true;
+    app.quit();
+  });
+});
+
 app.on('window-all-closed', () => {
-  console.log('[App] window-all-closed');
+  audit.info('app', 'window-all-closed');
   if (process.platform !== 'darwin') {
     app.quit();
   }
 });
 
+/** Desktop notification for a change seen by watch mode (see BidEngine 'lot-changed'). */
+function notifyLotChange({ idAuction, text, needsReconfirm }) {
+  if (!Notification.isSupported()) return;
+  new Notification({
+    title: `Auction ${idAuction} changed`,
+    body: needsReconfirm ? `${text}. Re-confirm the time to bid.` : text,
+  }).show();
+}
+
 /* ====================== DIALOG IPC: show-dialog ======================
    We'll handle asynchronous message boxes for the renderer. */
 ipcMain.handle('show-dialog', async (event, options) => {
@@ -98,328 +96,189 @@ ipcMain.handle('show-dialog', async (event, options) => {
   return result; // includes { response, checkboxChecked }
 });
 
-/* ====================== CSV or Time Helpers ====================== */
-function convertAuctionDate(original) {
-  const dt = new Date(original);
-  if (isNaN(dt.getTime())) return '';
-  dt.setHours(dt.getHours() + 1);
-  const mm = String(dt.getMonth() + 1).padStart(2, '0');
-  const dd = String(dt.getDate()).padStart(2, '0');
-  const yyyy = dt.getFullYear();
-  const hh = String(dt.getHours()).padStart(2, '0');
-  const min = String(dt.getMinutes()).padStart(2, '0');
-  return `${mm}/${dd}/${yyyy} ${hh}:${min}`;
-}
-
-function convertCivicSourceUrlToIdAuction(fullUrl) {
-  if (!fullUrl.startsWith('https://www.civicsource.com/')) return '';
-  const remainder = fullUrl.replace('https://www.civicsource.com/', '').trim();
-  if (remainder.length < 4) return remainder.toLowerCase();
-  const prefix = remainder.substring(0, 3).toLowerCase();
-  const suffix = remainder.substring(3);
-  return `${prefix}/${suffix}`;
-}
-
-/* ====================== BIDDING LOGIC ====================== */
-const browserMap = {};
-const bidTimeouts = [];
-
-async function ensureLoggedIn(username, password, page) {
-  if (browserMap[username].isLoggedIn) {
-    console.log(`[Bidding] ${username} is already logged in => skip login`);
-    return;
-  }
-  try {
-    console.log(`[Bidding] Logging in => ${username}`);
-    await page.setDefaultNavigationTimeout(60000);
-    await page.setDefaultTimeout(60000);
-
-    await page.goto('https://www.civicsource.com/login/', { waitUntil: 'networkidle2' });
-    await page.waitForSelector('input[name="username"]', { timeout: 20000 });
-    await page.type('input[name="username"]', username);
-
-    await page.waitForSelector('input[name="password"]', { timeout: 20000 });
-    await page.type('input[name="password"]', password);
-
-    await Promise.all([
-      page.click('button[type="submit"]'),
-      page.waitForNavigation({ waitUntil: 'networkidle2' }),
-    ]);
-    console.log(`[Bidding] Login successful for ${username}`);
-    browserMap[username].isLoggedIn = true;
-  } catch (err) {
-    console.error(`[Bidding] Error logging in for ${username}:`, err);
-  }
-}
-
-async function placeBid(auction, page) {
-  console.log(`[Bidding] placeBid => ${auction.idAuction}`);
-  try {
-    await page.setDefaultTimeout(60000);
-    await page.setDefaultNavigationTimeout(60000);
-
-    const url = `https://www.civicsource.com/auctions/${auction.idAuction}`;
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-
-    const inputId = auction.idAuction.toUpperCase().replace(/\//g, '') + '-place-bid-input';
-    const placeBidSelector = `#${inputId}`;
-    const newBid = parseFloat(auction.bidProxy) || 0;
-
-    console.log(`[Bidding] Typing $${newBid.toFixed(2)} => ${placeBidSelector}`);
-    await page.waitForSelector(placeBidSelector, { timeout: 20000 });
-    await page.click(placeBidSelector, { clickCount: 3 });
-    await page.type(placeBidSelector, newBid.toFixed(2));
-
-    const firstBtnSel = 'button[type="submit"] span[title="Place Bid"]';
-    await page.waitForSelector(firstBtnSel, { timeout: 15000 });
-    await page.click(firstBtnSel);
-    console.log('[Bidding] Clicked FIRST "Place Bid". Wait 3s...');
-    await new Promise(r => setTimeout(r, 3000));
-
-    const secondBtnSel = 'div.text-center button[type="submit"]';
-    await page.waitForSelector(secondBtnSel, { timeout: 15000 });
-    await page.click(secondBtnSel);
-    console.log('[Bidding] Clicked SECOND "Place Bid".');
-
-    // Mark bidPlaced in JSON
-    const { credentials, auctions } = loadData();
-    const nowStr = new Date().toLocaleString();
-    auction.bidPlaced = nowStr;
-    const idx = auctions.findIndex(a => a.id === auction.id);
-    if (idx > -1) {
-      auctions[idx].bidPlaced = nowStr;
-      saveData({ credentials, auctions });
-    }
-  } catch (err) {
-    console.error('[Bidding] placeBid error =>', err);
-  }
-}
-async function handleUserBids(cred, userAuctions) {
-  // Filter out auctions that have a bidProxy of 0 so we don't even attempt a login or bid.
-  const auctionsToBid = userAuctions.filter(a => parseFloat(a.bidProxy) > 0);
-
-  // If there are no auctions with a positive bidProxy, skip the rest entirely.
-  if (!auctionsToBid.length) {
-    console.log(`[Bidding] Skipping ${cred.username} => all auctions are 0 or no valid bids.`);
-    return;
-  }
-
-  const { username, password } = cred;
-  if (!browserMap[username]) {
-    const br = await puppeteer.launch({ headless: HEADLESS_BIDDING});
-    const pg = await br.newPage();
-    browserMap[username] = { browser: br, page: pg, isLoggedIn: false };
-  }
-  const { page } = browserMap[username];
-
-  // First ensure we're logged in (only once).
-  await ensureLoggedIn(username, password, page);
-
-  for (const auction of auctionsToBid) {
-    // timeToBid check
-    if (!auction.timeToBid) {
-      console.log(`[Bidding] Auction ${auction.idAuction} => no time => skip`);
-      continue;
-    }
+/* ====================== IPC: Credential Vault ====================== */
+ipcMain.handle('vault-status', () => {
+  return engine.vaultStatus();
+});
 
-    const targetTime = new Date(auction.timeToBid);
-    const now = Date.now();
-    const diff = targetTime - now;
-
-    if (diff <= 0) {
-      // place immediately
-      await placeBid(auction, page);
-    } else {
-      console.log(`[Bidding] Scheduling => ${auction.idAuction} in ${diff}ms`);
-      const timeoutId = setTimeout(async () => {
-        await placeBid(auction, page);
-      }, diff);
-      bidTimeouts.push({ timeoutId, auctionId: auction.id, username });
-    }
-  }
-}
+ipcMain.handle('unlock-vault', (event, passphrase) => {
+  audit.debug('ipc', 'unlock-vault');
+  return engine.unlockVault(passphrase);
+});
 
+ipcMain.handle('lock-vault', () => {
+  audit.debug('ipc', 'lock-vault');
+  engine.lockVault();
+  return true;
+});
 
 /* ====================== IPC: Credentials & Auctions ====================== */
+ipcMain.handle('get-sites', () => {
+  return listSites();
+});
+
 ipcMain.handle('get-credentials', () => {
-  console.log('[IPC] get-credentials');
-  const { credentials } = loadData();
-  return credentials;
+  audit.debug('ipc', 'get-credentials');
+  return engine.credentials();
 });
 
 ipcMain.handle('save-credentials', (event, updatedCreds) => {
-  console.log('[IPC] save-credentials');
-  const { credentials, auctions } = loadData();
-  return saveData({ credentials: updatedCreds, auctions });
+  audit.debug('ipc', 'save-credentials');
+  return engine.saveCredentials(updatedCreds);
 });
 
 ipcMain.handle('get-auctions', () => {
-  console.log('[IPC] get-auctions');
-  const { auctions } = loadData();
-  return auctions;
+  audit.debug('ipc', 'get-auctions');
+  return engine.loadData().auctions;
 });
 
 ipcMain.handle('save-auctions', (event, updatedAuctions) => {
-  console.log('[IPC] save-auctions');
-  const { credentials, auctions } = loadData();
-  return saveData({ credentials, auctions: updatedAuctions });
+  audit.debug('ipc', 'save-auctions');
+  return engine.saveAuctions(updatedAuctions);
 });
 
-/* ====================== Bidding: fetch-auctions-data ====================== */
-ipcMain.handle('fetch-auctions-data', async () => {
-  console.log('[IPC] fetch-auctions-data => clearing old timers...');
-  for (const t of bidTimeouts) {
-    clearTimeout(t.timeoutId);
-  }
-  bidTimeouts.length = 0;
+ipcMain.handle('update-auction', (event, id, fields) => {
+  audit.debug('ipc', `update-auction => ${id}`, { fields: Object.keys(fields) });
+  return engine.updateAuction(id, fields);
+});
 
-  const { credentials, auctions } = loadData();
-  if (!credentials.length || !auctions.length) {
-    console.log('[Bidding] No creds or auctions => returning');
-    return auctions;
-  }
+ipcMain.handle('add-auction', (event, auction) => {
+  audit.debug('ipc', 'add-auction');
+  return engine.addAuction(auction);
+});
 
-  const auctionsByAccount = {};
-  for (const auc of auctions) {
-    if (!auc.account) continue;
-    if (!auctionsByAccount[auc.account]) auctionsByAccount[auc.account] = [];
-    auctionsByAccount[auc.account].push(auc);
-  }
+ipcMain.handle('delete-auction', (event, id) => {
+  audit.debug('ipc', `delete-auction => ${id}`);
+  return engine.deleteAuction(id);
+});
 
-  const tasks = [];
-  for (const cred of credentials) {
-    const userAuctions = auctionsByAccount[cred.username];
-    if (userAuctions && userAuctions.length) {
-      tasks.push(handleUserBids(cred, userAuctions));
-    }
-  }
-  await Promise.all(tasks);
-  return auctions;
+ipcMain.handle('get-data-problems', () => {
+  return engine.dataProblems;
 });
 
+/* ====================== Bidding: fetch-auctions-data ====================== */
+// options.dryRun: simulation mode; scheduled jobs are left as they are.
+ipcMain.handle('fetch-auctions-data', (event, options = {}) => {
+  return engine.startBidding(options);
+});
 
 /* ====================== stop-update / close-all-windows ====================== */
-ipcMain.handle('stop-update', async () => {
-  for (const t of bidTimeouts) {
-    clearTimeout(t.timeoutId);
-  }
-  bidTimeouts.length = 0;
+ipcMain.handle('stop-update', () => {
+  engine.stopBidding();
   return 'All scheduled bids canceled. Browsers remain open.';
 });
 
 ipcMain.handle('close-all-windows', async () => {
-  for (const username of Object.keys(browserMap)) {
-    const { browser } = browserMap[username];
-    if (browser) {
-      await browser.close();
-    }
-  }
-  for (const k in browserMap) {
-    delete browserMap[k];
-  }
-  return 'All browser windows closed.';
+  await engine.closeAllSessions();
+  return 'All browser windows closed. Logged-in sessions were saved.';
 });
 
-/* ====================== EXTRACT PROPERTIES => Download CSV ====================== */
-ipcMain.handle('extract-properties', async (event, urlToExtract) => {
-  console.log('[IPC] extract-properties =>', urlToExtract);
-  let addedCount = 0;
+/* ====================== Browser sessions ====================== */
+ipcMain.handle('get-session-health', () => {
+  return engine.sessions.health();
+});
 
-  const browser = await puppeteer.launch({ headless: HEADLESS_EXTRACTION });
-  const page = await browser.newPage();
+ipcMain.handle('close-session', (event, username) => {
+  return engine.closeSession(username);
+});
 
-  const downloadDir = path.join(__dirname, 'downloads');
-  if (!fs.existsSync(downloadDir)) {
-    fs.mkdirSync(downloadDir, { recursive: true });
-  }
-  const cdp = await page.target().createCDPSession();
-  await cdp.send('Page.setDownloadBehavior', {
-    behavior: 'allow',
-    downloadPath: downloadDir,
-  });
+ipcMain.handle('forget-session', (event, username) => {
+  return engine.forgetSession(username);
+});
 
-  try {
-    await page.goto(urlToExtract, { waitUntil: 'networkidle2', timeout: 60000 });
-    const linkSelector = 'a[title="Download a spreadsheet of these search results"]';
-    await page.waitForSelector(linkSelector, { timeout: 20000 });
-    await page.click(linkSelector);
-
-    let csvPath = '';
-    for (let i = 0; i < 20; i++) {
-      const files = fs.readdirSync(downloadDir);
-      const csvFile = files.find(f => f.toLowerCase().endsWith('.csv'));
-      if (csvFile) {
-        csvPath = path.join(downloadDir, csvFile);
-        break;
-      }
-      await new Promise(r => setTimeout(r, 1000));
-    }
-    if (!csvPath) {
-      await browser.close();
-      return { count: 0, message: 'No CSV file found or site changed.' };
-    }
+/* ====================== Settings ====================== */
+ipcMain.handle('get-settings', () => {
+  return engine.settingsView();
+});
 
-    const csvText = fs.readFileSync(csvPath, 'utf8');
-    let records = [];
-    try {
-      const { parse } = require('csv-parse/sync');
-      records = parse(csvText, {
-        columns: true,
-        skip_empty_lines: true,
-        relax_quotes: true,
-        relax_column_count: true,
-      });
-    } catch (parseErr) {
-      console.error('[Extract] parse error =>', parseErr);
-      throw parseErr;
-    }
+ipcMain.handle('save-settings', (event, changes) => {
+  return engine.saveSettings(changes);
+});
 
-    for (const row of records) {
-      for (const [key, val] of Object.entries(row)) {
-        if (typeof val === 'string' && val.startsWith('=')) {
-          row[key] = val.slice(1);
-        }
-      }
-    }
+ipcMain.handle('open-settings-file', async () => {
+  await shell.openPath(engine.settings.filePath);
+  return engine.settings.filePath;
+});
 
-    const { credentials, auctions } = loadData();
-    let maxId = auctions.reduce((acc, a) => Math.max(acc, a.id || 0), 0);
-
-    for (const row of records) {
-      const startDate = row["AUCTION START DATE"] || '';
-      const address = row["PROPERTY ADDRESS"] || '';
-      const link = row["URL"] || '';
-      if (!startDate || !link) continue;
-
-      maxId++;
-      const timeToBid = convertAuctionDate(startDate);
-      const shortId = convertCivicSourceUrlToIdAuction(link);
-      if (auctions.some(a => a.idAuction === shortId)) {
-        console.log(`[Extract] skipping duplicate => ${shortId}`);
-        continue;
-      }
-
-      const newAuction = {
-        id: maxId,
-        timeToBid,
-        idAuction: shortId,
-        bidProxy: '0',
-        address,
-        account: '',
-        bidPlaced: ''
-      };
-      auctions.push(newAuction);
-      addedCount++;
-    }
+/* ====================== Live status / server clock / audit log ====================== */
+ipcMain.handle('get-bid-statuses', () => {
+  return engine.liveStatuses;
+});
 
-    saveData({ credentials, auctions });
-  } catch (err) {
-    console.error('[Extract] Error =>', err);
-  } finally {
-    await browser.close();
-  }
+ipcMain.handle('get-server-clock', () => {
+  return engine.serverClock();
+});
+
+// filters: { auctionId, account, level, event, limit } (see AuditLog.query)
+ipcMain.handle('get-audit-log', (event, filters) => {
+  return audit.query(filters || {});
+});
 
-  return { count: addedCount, message: 'CSV extraction completed.' };
+ipcMain.handle('open-logs-folder', async () => {
+  await shell.openPath(audit.logDir);
+  return audit.logDir;
+});
+
+/* ====================== Watch mode ====================== */
+ipcMain.handle('get-watch-status', () => {
+  return engine.lotWatcher.toJSON();
+});
+
+ipcMain.handle('set-watch-mode', (event, enabled) => {
+  return engine.setWatchMode(enabled);
+});
+
+ipcMain.handle('acknowledge-lot-changes', (event, auctionId) => {
+  return engine.acknowledgeLotChanges(auctionId);
+});
+
+ipcMain.handle('confirm-time-to-bid', (event, auctionId, useSiteTime) => {
+  return engine.confirmTimeToBid(auctionId, useSiteTime);
+});
+
+/* ====================== Missed jobs (fire time passed while closed) ====================== */
+ipcMain.handle('get-missed-jobs', () => {
+  return engine.missedJobs();
+});
+
+ipcMain.handle('resolve-missed-job', (event, jobId, action) => {
+  return engine.resolveMissedJob(jobId, action);
+});
+
+/* ====================== Bid results ====================== */
+ipcMain.handle('open-bid-screenshot', async (event, screenshotPath) => {
+  if (!screenshotPath || !fs.existsSync(screenshotPath)) return false;
+  await shell.openPath(screenshotPath);
+  return true;
+});
+
+
+/* ====================== Site health check ====================== */
+ipcMain.handle('check-sites', (event, sampleIdAuction) => {
+  audit.debug('ipc', 'check-sites');
+  return engine.checkSites(sampleIdAuction);
+});
+
+ipcMain.handle('open-site-config', async () => {
+  engine.reloadSiteConfig(); // makes sure the file exists
+  await shell.openPath(engine.siteConfigFilePath());
+  return engine.siteConfigFilePath();
+});
+
+/* ====================== EXTRACT PROPERTIES => Download CSV ====================== */
+ipcMain.handle('extract-properties', (event, searchUrls) => {
+  return engine.extractProperties(searchUrls);
+});
+
+/* ====================== Merge preview (extraction / import) ====================== */
+// accepted: { add: [idAuction], fields: { [idAuction]: [field] }, remove: [idAuction] }
+ipcMain.handle('apply-merge', (event, token, accepted) => {
+  return engine.applyMerge(token, accepted);
+});
+
+ipcMain.handle('discard-merge', (event, token) => {
+  engine.discardMerge(token);
+  return true;
 });
 
 /* ====================== import-properties / save-properties-locally ====================== */
@@ -430,15 +289,9 @@ ipcMain.handle('import-properties', async () => {
     properties: ['openFile'],
   });
   if (canceled || !filePaths.length) {
-    return 'Import canceled.';
+    return { message: 'Import canceled.' };
   }
-  const importPath = filePaths[0];
-  const raw = fs.readFileSync(importPath, 'utf8');
-  const parsed = JSON.parse(raw);
-
-  const filePath = getCredentialsFilePath();
-  fs.writeFileSync(filePath, JSON.stringify(parsed, null, 2), 'utf8');
-  return `Imported successfully from ${importPath}`;
+  return engine.importDataFile(filePaths[0]);
 });
 
 ipcMain.handle('save-properties-locally', async () => {
@@ -449,7 +302,7 @@ ipcMain.handle('save-properties-locally', async () => {
   if (res.canceled || !res.filePath) {
     return 'Save canceled.';
   }
-  const { credentials, auctions } = loadData();
-  fs.writeFileSync(res.filePath, JSON.stringify({ credentials, auctions }, null, 2), 'utf8');
+  // Passwords stay in the vault: the export only carries account names.
+  engine.exportData(res.filePath);
   return `Saved successfully to ${res.filePath}`;
-});
\ No newline at end of file
+});
@@ -0,0 +1,21 @@
+const path = require('path');
+const fs = require('fs');
+
+// Runs from postinstall, before electron-builder rebuilds better-sqlite3 for
+// Electron: keeps a copy of the build npm made for Node, so that cli.js and
+// the tests (plain Node) can still load it. auction-store.js picks it up
+// outside Electron.
+
+// Constants
+const moduleDirectory = path.dirname(require.resolve('better-sqlite3/package.json'));
+const nodeBuild = path.join(moduleDirectory, 'build', 'Release', 'better_sqlite3.node');
+const keptBuild = path.join(__dirname, 'node_modules', '.cache', 'better-sqlite3-node', 'better_sqlite3.node');
+
+// Main
+if (!fs.existsSync(nodeBuild)) {
+    console.error(`better-sqlite3 has no build at ${nodeBuild}; run npm rebuild better-sqlite3`);
+    process.exit(1);
+}
+fs.mkdirSync(path.dirname(keptBuild), { recursive: true });
+fs.copyFileSync(nodeBuild, keptBuild);
+console.log(`Kept the Node build of better-sqlite3 in ${keptBuild}`);
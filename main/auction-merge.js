@@ -0,0 +1,160 @@
+// auction-merge.js
+
+/**
+ * Merges incoming auctions (an extraction run or an imported file) into the
+ * stored list, matching them by `idAuction`.
+ *
+ * planMerge() only describes what would happen:
+ *   { added:   [incoming auction],
+ *     changed: [{ id, idAuction, address, changes: [{ field, from, to, ours }] }],
+ *     removed: [{ id, idAuction, address }],
+ *     unchanged }
+ * and applyMerge() carries out the parts the user accepted. The list may have
+ * changed while the user was choosing: recheckAcceptance() keeps only the
+ * choices a fresh plan still agrees with.
+ *
+ * An empty incoming value never counts as a change, so nothing is wiped by a
+ * row that lacks a column. Changes to OUR_FIELDS (what we set ourselves) are
+ * flagged `ours` so the preview leaves them unticked.
+ */
+const OUR_FIELDS = ['bidProxy', 'account', 'bidPlaced'];
+
+// What an extraction may update: the site's own data
+const EXTRACT_FIELDS = ['timeToBid', 'timeZone', 'address', 'site', 'metadata', 'searchUrl'];
+
+// An imported file is ours too, so it may carry everything we edit by hand
+const IMPORT_FIELDS = EXTRACT_FIELDS.concat(OUR_FIELDS, ['strategy', 'prewarmSeconds', 'retryPolicy', 'watched']);
+
+/**
+ * options.fields:    fields compared (EXTRACT_FIELDS or IMPORT_FIELDS)
+ * options.removable: stored auction => true when its absence from `incoming`
+ *                    means it was removed (default: never)
+ */
+function planMerge(stored, incoming, options = {}) {
+  const fields = options.fields || EXTRACT_FIELDS;
+  const removable = options.removable || (() => false);
+  const plan = { added: [], changed: [], removed: [], unchanged: 0 };
+  const seen = new Set();
+
+  for (const auction of incoming) {
+    if (auction.idAuction && seen.has(auction.idAuction)) continue;
+    if (auction.idAuction) seen.add(auction.idAuction);
+
+    const current = auction.idAuction && stored.find(a => a.idAuction === auction.idAuction);
+    if (!current) {
+      plan.added.push(auction);
+      continue;
+    }
+    const changes = fields
+      .filter(field => !isEmpty(auction[field]) && !sameValue(field, current[field], auction[field]))
+      .map(field => ({
+        field,
+        from: current[field] === undefined ? null : current[field],
+        to: auction[field],
+        ours: OUR_FIELDS.includes(field),
+      }));
+    if (changes.length) {
+      plan.changed.push({ id: current.id, idAuction: current.idAuction, address: current.address, changes });
+    } else {
+      plan.unchanged++;
+    }
+  }
+
+  for (const auction of stored) {
+    if (!seen.has(auction.idAuction) && removable(auction)) {
+      plan.removed.push({ id: auction.id, idAuction: auction.idAuction, address: auction.address });
+    }
+  }
+  return plan;
+}
+
+/**
+ * The stored list with the accepted parts of `plan` applied.
+ * accepted: { add: [idAuction], fields: { [idAuction]: [field] }, remove: [idAuction] }
+ * New auctions get the next free ids and start with nothing to bid.
+ * Returns { auctions, added, updated, removed }.
+ */
+function applyMerge(stored, plan, accepted = {}) {
+  const add = accepted.add || [];
+  const acceptedFields = accepted.fields || {};
+  const remove = accepted.remove || [];
+  let updated = 0;
+
+  const auctions = stored
+    .filter(a => !remove.includes(a.idAuction))
+    .map(auction => {
+      const entry = plan.changed.find(c => c.idAuction === auction.idAuction);
+      const take = entry ? entry.changes.filter(c => (acceptedFields[auction.idAuction] || []).includes(c.field)) : [];
+      if (!take.length) return auction;
+      updated++;
+      const merged = Object.assign({}, auction);
+      take.forEach(c => { merged[c.field] = c.to; });
+      return merged;
+    });
+
+  let maxId = stored.reduce((acc, a) => Math.max(acc, a.id || 0), 0);
+  const toAdd = plan.added.filter(a => add.includes(a.idAuction));
+  for (const auction of toAdd) {
+    maxId++;
+    auctions.push(Object.assign({ bidProxy: '0', account: '', bidPlaced: '' }, auction, { id: maxId }));
+  }
+
+  return { auctions, added: toAdd.length, updated, removed: stored.length - (auctions.length - toAdd.length) };
+}
+
+/**
+ * The part of `accepted`, chosen on the `previewed` plan, that still holds in
+ * `current`, the same incoming list planned again against the stored list as
+ * it is now. A field is kept only while its stored value is the one the
+ * preview showed; auctions added or removed since are left as they are.
+ * Returns { accepted, stale: ["idAuction field" | "idAuction"] }.
+ */
+function recheckAcceptance(previewed, current, accepted = {}) {
+  const stale = [];
+  const changeOf = (plan, idAuction, field) => {
+    const entry = plan.changed.find(c => c.idAuction === idAuction);
+    return entry && entry.changes.find(c => c.field === field);
+  };
+
+  const fields = {};
+  Object.keys(accepted.fields || {}).forEach(idAuction => {
+    fields[idAuction] = accepted.fields[idAuction].filter(field => {
+      const before = changeOf(previewed, idAuction, field);
+      const now = changeOf(current, idAuction, field);
+      if (!before) return false;
+      if (now && sameValue(field, before.from, now.from)) return true;
+      stale.push(`${idAuction} ${field}`);
+      return false;
+    });
+  });
+  const still = (list, idAuction) => {
+    if (list.some(a => a.idAuction === idAuction)) return true;
+    stale.push(idAuction);
+    return false;
+  };
+  const add = (accepted.add || []).filter(idAuction => still(current.added, idAuction));
+  const remove = (accepted.remove || []).filter(idAuction => still(current.removed, idAuction));
+  return { accepted: { add, fields, remove }, stale };
+}
+
+/** Accept everything except changes to our own fields and removals: the preview's defaults. */
+function defaultAcceptance(plan) {
+  const fields = {};
+  plan.changed.forEach(c => {
+    fields[c.idAuction] = c.changes.filter(change => !change.ours).map(change => change.field);
+  });
+  return { add: plan.added.map(a => a.idAuction), fields, remove: [] };
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+    || (typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length);
+}
+
+function sameValue(field, a, b) {
+  if (field === 'timeToBid') return new Date(a).getTime() === new Date(b).getTime();
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+module.exports = { OUR_FIELDS, EXTRACT_FIELDS, IMPORT_FIELDS, planMerge, applyMerge, recheckAcceptance, defaultAcceptance };
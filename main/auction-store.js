@@ -0,0 +1,278 @@
+// auction-store.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * SQLite store for the auctions and their bid history: `database.db` in the
+ * app folder, the file FilePaths.dbFilePath() (src/lib/file-paths.js)
+ * reserves. Every change is a row-level statement or a transaction, so two
+ * bids finishing together each update only their own auction.
+ *
+ * Tables:
+ *   auctions     one row per auction; the fields lookups use are columns,
+ *                everything else (strategy, metadata, lotState, ...) is JSON in `extra`
+ *   bid_history  one row per history entry (attempt, skip, watch change, ...)
+ *   meta         key / value pairs
+ *
+ * Auctions go in and come out in the same shape as in the JSON data file,
+ * `history` included, so the JSON stays the import / export format.
+ */
+
+// npm builds better-sqlite3 for Node and postinstall rebuilds it for Electron;
+// keep-sqlite-node-build.js keeps the Node build here for cli.js and the tests
+const NODE_BINDING = path.join(__dirname, '..', 'node_modules', '.cache', 'better-sqlite3-node', 'better_sqlite3.node');
+
+// Auction field => column; anything else lives in `extra`
+const AUCTION_COLUMNS = {
+  id: 'id',
+  idAuction: 'id_auction',
+  timeToBid: 'time_to_bid',
+  timeZone: 'time_zone',
+  bidProxy: 'bid_proxy',
+  address: 'address',
+  account: 'account',
+  site: 'site',
+  bidPlaced: 'bid_placed',
+  bidStatus: 'bid_status',
+};
+
+// History entry field => column
+const HISTORY_COLUMNS = {
+  at: 'at',
+  type: 'type',
+  attempt: 'attempt',
+  leg: 'leg',
+  rate: 'rate',
+  status: 'status',
+  message: 'message',
+};
+
+// MIGRATIONS[n] brings the database from user_version n to n + 1
+const MIGRATIONS = [
+  `CREATE TABLE auctions (
+     id          INTEGER PRIMARY KEY,
+     id_auction  TEXT NOT NULL,
+     time_to_bid TEXT,
+     time_zone   TEXT,
+     bid_proxy   TEXT,
+     address     TEXT,
+     account     TEXT,
+     site        TEXT,
+     bid_placed  TEXT,
+     bid_status  TEXT,
+     extra       TEXT NOT NULL DEFAULT '{}'
+   );
+   CREATE INDEX auctions_id_auction ON auctions (id_auction);
+   CREATE INDEX auctions_account ON auctions (account);
+   CREATE TABLE bid_history (
+     id         INTEGER PRIMARY KEY AUTOINCREMENT,
+     auction_id INTEGER NOT NULL REFERENCES auctions (id) ON DELETE CASCADE,
+     at         TEXT NOT NULL,
+     type       TEXT,
+     attempt    INTEGER,
+     leg        INTEGER,
+     rate       REAL,
+     status     TEXT,
+     message    TEXT,
+     extra      TEXT NOT NULL DEFAULT '{}'
+   );
+   CREATE INDEX bid_history_auction ON bid_history (auction_id);
+   CREATE TABLE meta (
+     key   TEXT PRIMARY KEY,
+     value TEXT
+   );`,
+];
+
+class AuctionStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this._db = new Database(filePath, { nativeBinding: nativeBinding() });
+    this._db.pragma('journal_mode = WAL');
+    this._db.pragma('foreign_keys = ON');
+    this._migrate();
+  }
+
+  //#region Public API
+
+  /** Runs `fn` in one transaction (nested calls join the outer one). */
+  transaction(fn) {
+    return this._db.transaction(fn)();
+  }
+
+  listAuctions() {
+    const history = {};
+    for (const row of this._db.prepare('SELECT * FROM bid_history ORDER BY id').all()) {
+      (history[row.auction_id] = history[row.auction_id] || []).push(historyFromRow(row));
+    }
+    return this._db.prepare('SELECT * FROM auctions ORDER BY id').all()
+      .map(row => auctionFromRow(row, history[row.id]));
+  }
+
+  getAuction(id) {
+    const row = this._db.prepare('SELECT * FROM auctions WHERE id = ?').get(id);
+    if (!row) return null;
+    const history = this._db.prepare('SELECT * FROM bid_history WHERE auction_id = ? ORDER BY id').all(id);
+    return auctionFromRow(row, history.map(historyFromRow));
+  }
+
+  /** Adds an auction (with its `history`, if any). Without an id it gets the next free one. Returns the id. */
+  insertAuction(auction) {
+    return this.transaction(() => {
+      const id = Number.isInteger(auction.id)
+        ? auction.id
+        : this._db.prepare('SELECT COALESCE(MAX(id), 0) + 1 AS next FROM auctions').get().next;
+      this._writeAuction(Object.assign({}, auction, { id }));
+      (auction.history || []).forEach(entry => this._insertHistory(id, entry));
+      return id;
+    });
+  }
+
+  /**
+   * Merges `fields` into one auction and returns it, or null when it does
+   * not exist. A null field is cleared. `history` is not a field: use
+   * appendHistory().
+   */
+  updateAuction(id, fields) {
+    return this.transaction(() => {
+      const current = this.getAuction(id);
+      if (!current) return null;
+      this._writeAuction(Object.assign(current, fields, { id }));
+      return this.getAuction(id);
+    });
+  }
+
+  deleteAuction(id) {
+    return this._db.prepare('DELETE FROM auctions WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Makes the stored list match `auctions`: missing ones are deleted, the
+   * rest written. Stored history is kept; `history` given for an auction is
+   * only taken when the store has none for it (a new or imported auction).
+   */
+  replaceAuctions(auctions) {
+    this.transaction(() => {
+      const keep = new Set(auctions.map(a => a.id));
+      for (const { id } of this._db.prepare('SELECT id FROM auctions').all()) {
+        if (!keep.has(id)) this.deleteAuction(id);
+      }
+      const historyCount = this._db.prepare('SELECT COUNT(*) AS n FROM bid_history WHERE auction_id = ?');
+      for (const auction of auctions) {
+        this._writeAuction(auction);
+        if (!historyCount.get(auction.id).n) {
+          (auction.history || []).forEach(entry => this._insertHistory(auction.id, entry));
+        }
+      }
+    });
+  }
+
+  /** Appends one entry ({ type, attempt, leg, rate, status, message }) to an auction's history. */
+  appendHistory(id, entry) {
+    if (!this._db.prepare('SELECT 1 FROM auctions WHERE id = ?').get(id)) return false;
+    this._insertHistory(id, Object.assign({ at: new Date().toISOString() }, entry));
+    return true;
+  }
+
+  getMeta(key) {
+    const row = this._db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this._db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  close() {
+    this._db.close();
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  _migrate() {
+    const version = this._db.pragma('user_version', { simple: true });
+    for (let v = version; v < MIGRATIONS.length; v++) {
+      this.transaction(() => {
+        this._db.exec(MIGRATIONS[v]);
+        this._db.pragma(`user_version = ${v + 1}`);
+      });
+    }
+  }
+
+  _writeAuction(auction) {
+    const columns = Object.values(AUCTION_COLUMNS).concat('extra');
+    const row = auctionToRow(auction);
+    const values = columns.map(c => row[c]);
+    const updates = columns.filter(c => c !== 'id').map(c => `${c} = excluded.${c}`).join(', ');
+    this._db.prepare(`INSERT INTO auctions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT (id) DO UPDATE SET ${updates}`).run(values);
+  }
+
+  _insertHistory(auctionId, entry) {
+    const columns = Object.values(HISTORY_COLUMNS);
+    const extra = {};
+    Object.keys(entry).forEach(k => { if (!(k in HISTORY_COLUMNS)) extra[k] = entry[k]; });
+    const values = Object.keys(HISTORY_COLUMNS).map(k => (entry[k] === undefined ? null : entry[k]));
+    values[0] = values[0] || new Date().toISOString();
+    this._db.prepare(`INSERT INTO bid_history (auction_id, ${columns.join(', ')}, extra)
+      VALUES (?, ${columns.map(() => '?').join(', ')}, ?)`).run(auctionId, ...values, JSON.stringify(extra));
+  }
+
+  //#endregion
+}
+
+function auctionToRow(auction) {
+  const row = {};
+  const extra = {};
+  for (const [field, value] of Object.entries(auction)) {
+    if (field === 'history') continue;
+    if (field in AUCTION_COLUMNS) {
+      row[AUCTION_COLUMNS[field]] = value === undefined || value === null ? null
+        : field === 'id' ? value : String(value);
+    } else if (value !== undefined && value !== null) {
+      extra[field] = value;
+    }
+  }
+  Object.values(AUCTION_COLUMNS).forEach(c => { if (!(c in row)) row[c] = null; });
+  row.extra = JSON.stringify(extra);
+  return row;
+}
+
+function auctionFromRow(row, history) {
+  const auction = {};
+  for (const [field, column] of Object.entries(AUCTION_COLUMNS)) {
+    if (row[column] !== null) auction[field] = row[column];
+  }
+  Object.assign(auction, JSON.parse(row.extra || '{}'));
+  if (history && history.length) auction.history = history;
+  return auction;
+}
+
+function historyFromRow(row) {
+  const entry = {};
+  for (const [field, column] of Object.entries(HISTORY_COLUMNS)) {
+    if (row[column] !== null) entry[field] = row[column];
+  }
+  return Object.assign(entry, JSON.parse(row.extra || '{}'));
+}
+
+/** The Node build outside Electron, when kept; otherwise better-sqlite3's own. */
+function nativeBinding() {
+  return !process.versions.electron && fs.existsSync(NODE_BINDING) ? NODE_BINDING : undefined;
+}
+
+/**
+ * Database file inside the app folder, the same one FilePaths.dbFilePath()
+ * points to.
+ */
+function appDbPath(appFolderName) {
+  return path.join(os.homedir(), 'Documents', appFolderName, 'database.db');
+}
+
+module.exports = { AuctionStore, appDbPath };
@@ -0,0 +1,128 @@
+// auction-time.js
+
+/**
+ * Auction times are stored as UTC instants (ISO strings, `timeToBid`) plus
+ * the IANA zone the site lists them in (`timeZone`). Sites and the add form
+ * give wall-clock times; these helpers turn them into instants and back using
+ * Intl, so daylight saving changes are handled for any zone.
+ */
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MM/DD/YYYY HH:mm[:ss] [AM|PM]
+const WALL_CLOCK_PATTERN = /^\s*(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?\s*$/;
+// An explicit instant: ISO with Z or a numeric offset
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/** Milliseconds to add to UTC to get the wall clock in `timeZone` at `date`. */
+function zoneOffsetMs(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant at which the wall clock in `timeZone` shows the given time.
+ * Times skipped by a spring-forward change move forward by the change
+ * (02:30 becomes 03:30); times repeated by a fall-back change resolve to
+ * the first occurrence.
+ */
+function wallClockToDate({ year, month, day, hour, minute, second = 0 }, timeZone) {
+  const naive = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The zone's offsets a day either side; they only differ around a DST change
+  const before = zoneOffsetMs(new Date(naive - DAY_MS), timeZone);
+  const after = zoneOffsetMs(new Date(naive + DAY_MS), timeZone);
+  const shows = offset => zoneOffsetMs(new Date(naive - offset), timeZone) === offset;
+  if (shows(before)) return new Date(naive - before);
+  if (shows(after)) return new Date(naive - after);
+  return new Date(naive - before);
+}
+
+/** Wall-clock parts of a "MM/DD/YYYY HH:mm" string, or null. */
+function parseWallClock(text) {
+  const m = String(text || '').match(WALL_CLOCK_PATTERN);
+  if (!m) return null;
+  let hour = +m[4];
+  if (m[7]) {
+    const pm = m[7].toLowerCase() === 'pm';
+    if (hour === 12) hour = pm ? 12 : 0;
+    else if (pm) hour += 12;
+  }
+  return { month: +m[1], day: +m[2], year: +m[3], hour, minute: +m[5], second: m[6] ? +m[6] : 0 };
+}
+
+/**
+ * ISO UTC string for a site's "MM/DD/YYYY HH:mm" time in `timeZone`,
+ * or '' when the text is not a time.
+ */
+function wallClockToUtc(text, timeZone) {
+  const parts = parseWallClock(text);
+  if (!parts) return '';
+  return wallClockToDate(parts, timeZone).toISOString();
+}
+
+/** "MM/DD/YYYY HH:mm" as shown on a clock in `timeZone`. */
+function formatWallClock(value, timeZone) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.month}/${parts.day}/${parts.year} ${parts.hour}:${parts.minute}`;
+}
+
+/** Short zone name at that instant, e.g. CST / CDT. */
+function zoneAbbreviation(value, timeZone) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(value))
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+}
+
+function isUtcInstant(value) {
+  return INSTANT_PATTERN.test(String(value || ''));
+}
+
+/**
+ * Brings an auction's timeToBid to the stored form. Older records hold an
+ * unzoned "MM/DD/YYYY HH:mm" string that the scheduler read in the machine's
+ * own zone, so it is converted the same way to keep its meaning.
+ * Returns true when the record changed.
+ */
+function normalizeAuctionTime(auction, defaultZone = DEFAULT_TIME_ZONE) {
+  let changed = false;
+  if (!auction.timeZone) {
+    auction.timeZone = defaultZone;
+    changed = true;
+  }
+  if (auction.timeToBid && !isUtcInstant(auction.timeToBid)) {
+    const parts = parseWallClock(auction.timeToBid);
+    const legacy = parts
+      ? new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+      : new Date(auction.timeToBid);
+    auction.timeToBid = isNaN(legacy.getTime()) ? '' : legacy.toISOString();
+    changed = true;
+  }
+  return changed;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  zoneOffsetMs,
+  wallClockToUtc,
+  formatWallClock,
+  zoneAbbreviation,
+  isUtcInstant,
+  normalizeAuctionTime,
+};
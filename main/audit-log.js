@@ -0,0 +1,237 @@
+// audit-log.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FILE_NAME = 'audit.jsonl';
+// How much of a file query() reads at a time, from its end
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Structured, persistent log shared by the main process and src/.
+ *
+ * Every entry is one JSON line:
+ *   { at, level, event, message, account, auctionId, idAuction, data }
+ * `event` is the kind of activity (bidding, login, prewarm, status, vault,
+ * extract, ...); account / auction fields are empty when not relevant.
+ *
+ * The current file is `audit.jsonl` in `logDir`. Once it grows past
+ * `maxFileBytes` it is renamed to audit.1.jsonl (older ones shift up) and at
+ * most `maxFiles` files are kept. The size is counted as entries are written;
+ * the file itself is only looked at when the count says it may be full, since
+ * another process may be writing to it too. Entries are echoed to the console as
+ * `[Event] message` unless `echo` is false.
+ */
+class AuditLog {
+  constructor(logDir, options = {}) {
+    this.logDir = logDir;
+    this._maxFileBytes = options.maxFileBytes || 5 * 1024 * 1024;
+    this._maxFiles = options.maxFiles || 5;
+    this._echo = options.echo !== false;
+    this._size = null; // bytes in the current file, as far as this process knows
+    try {
+      fs.mkdirSync(logDir, { recursive: true });
+    } catch (err) {
+      console.error(`[AuditLog] cannot create ${logDir} =>`, err.message);
+    }
+  }
+
+  //#region Public API
+
+  debug(event, message, context) {
+    return this.log('debug', event, message, context);
+  }
+
+  info(event, message, context) {
+    return this.log('info', event, message, context);
+  }
+
+  warn(event, message, context) {
+    return this.log('warn', event, message, context);
+  }
+
+  error(event, message, context) {
+    return this.log('error', event, message, context);
+  }
+
+  /**
+   * context: { account, auctionId, idAuction, error, ...data }.
+   * An Error in `context.error` adds its message and stack to the entry.
+   */
+  log(level, event, message, context = {}) {
+    const { account, auctionId, idAuction, error } = context;
+    const data = Object.assign({}, context);
+    ['account', 'auctionId', 'idAuction', 'error'].forEach(k => delete data[k]);
+    if (error) {
+      data.error = error.message || String(error);
+      if (error.stack) data.stack = error.stack;
+    }
+
+    const entry = {
+      at: new Date().toISOString(),
+      level: LEVELS.includes(level) ? level : 'info',
+      event: event || 'app',
+      message: String(message),
+      account: account || '',
+      auctionId: auctionId === undefined || auctionId === null ? '' : auctionId,
+      idAuction: idAuction || '',
+    };
+    if (Object.keys(data).length) entry.data = data;
+
+    if (this._echo) this._echoEntry(entry);
+    this._write(entry);
+    return entry;
+  }
+
+  /**
+   * Entries matching every given filter, oldest first, at most `limit`
+   * (the newest ones). auctionId matches either the record id or idAuction.
+   * The files are read from their end, newest first, and reading stops once
+   * `limit` entries are found. Resolves the entries.
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || 500;
+    const minLevel = LEVELS.indexOf(filters.level);
+    const matches = []; // newest first
+
+    for (const file of this._filesOldestFirst().reverse()) {
+      for await (const line of linesFromEnd(file)) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          continue; // a line cut short by a crash
+        }
+        if (filters.account && entry.account !== filters.account) continue;
+        if (filters.auctionId && String(entry.auctionId) !== String(filters.auctionId)
+          && entry.idAuction !== filters.auctionId) continue;
+        if (filters.event && entry.event !== filters.event) continue;
+        if (minLevel > 0 && LEVELS.indexOf(entry.level) < minLevel) continue;
+        matches.push(entry);
+        if (matches.length >= limit) return matches.reverse();
+      }
+    }
+    return matches.reverse();
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  _filePath(index) {
+    return path.join(this.logDir, index ? FILE_NAME.replace('.jsonl', `.${index}.jsonl`) : FILE_NAME);
+  }
+
+  _filesOldestFirst() {
+    const files = [];
+    for (let i = this._maxFiles - 1; i >= 0; i--) {
+      if (fs.existsSync(this._filePath(i))) files.push(this._filePath(i));
+    }
+    return files;
+  }
+
+  _write(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    try {
+      this._rotateIfNeeded();
+      fs.appendFileSync(this._filePath(0), line, 'utf8');
+      this._size += Buffer.byteLength(line);
+    } catch (err) {
+      console.error('[AuditLog] write error =>', err.message);
+    }
+  }
+
+  _rotateIfNeeded() {
+    if (this._size === null) this._size = fileSize(this._filePath(0));
+    if (this._size < this._maxFileBytes) return;
+    // Full by our count: the file tells what is really there (it may have been rotated already)
+    this._size = fileSize(this._filePath(0));
+    if (this._size < this._maxFileBytes) return;
+
+    const oldest = this._filePath(this._maxFiles - 1);
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let i = this._maxFiles - 2; i >= 0; i--) {
+      if (fs.existsSync(this._filePath(i))) fs.renameSync(this._filePath(i), this._filePath(i + 1));
+    }
+    this._size = 0;
+  }
+
+  _echoEntry(entry) {
+    const tag = entry.event.charAt(0).toUpperCase() + entry.event.slice(1);
+    const line = `[${tag}] ${entry.message}`;
+    if (entry.level === 'error') {
+      console.error(line, entry.data && entry.data.stack ? `\n${entry.data.stack}` : '');
+    } else if (entry.level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  //#endregion
+}
+
+/**
+ * The lines of `file`, last one first, read READ_CHUNK_BYTES at a time from
+ * the end. A file that cannot be opened has none.
+ */
+async function* linesFromEnd(file) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch (err) {
+    return;
+  }
+  try {
+    let position = (await handle.stat()).size;
+    let head = Buffer.alloc(0); // a line whose start is in the chunk before
+    while (position > 0) {
+      const size = Math.min(READ_CHUNK_BYTES, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+      const buffer = Buffer.concat([chunk, head]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        yield buffer.toString('utf8', i + 1, end);
+        end = i;
+      }
+      head = buffer.subarray(0, end);
+    }
+    if (head.length) yield head.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/** Size of `file` in bytes, 0 when there is none. */
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/** Context fields for an auction record or a scheduler job. */
+function auctionContext(auction, extra) {
+  return Object.assign({
+    account: auction.account,
+    auctionId: auction.auctionId !== undefined ? auction.auctionId : auction.id,
+    idAuction: auction.idAuction,
+  }, extra);
+}
+
+/**
+ * Log folder inside the app folder, the same one FilePaths.logsDirPath()
+ * (src/lib/file-paths.js) points to.
+ */
+function appLogsDir(appFolderName) {
+  return path.join(os.homedir(), 'Documents', appFolderName, 'logs');
+}
+
+module.exports = { AuditLog, LEVELS, auctionContext, appLogsDir };
@@ -0,0 +1,1519 @@
+// bid-engine.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CredentialVault, PASSWORD_MASK } = require('./credential-vault');
+const { BidScheduler } = require('./bid-scheduler');
+const { getSiteAdapter, siteAdapterForUrl } = require('./sites');
+const { loadSiteConfig, applySiteConfig } = require('./site-config');
+const { resolveRetryPolicy, backoffDelay, retryDeadline, shouldRetryBid } = require('./retry-policy');
+const { AuditLog, auctionContext, appLogsDir } = require('./audit-log');
+const { ServerClock } = require('./server-clock');
+const { resolveStrategy, hasRateToBid, needsWinningRate, planBidLegs, decideBid } = require('./bid-strategy');
+const { lotSkipReason } = require('./lot-state');
+const { LotWatcher, diffLotSnapshots, keepStartTime, describeLotChange } = require('./lot-watcher');
+const { createRunDir, searchDir } = require('./downloads');
+const { EXTRACT_FIELDS, IMPORT_FIELDS, planMerge, applyMerge, recheckAcceptance } = require('./auction-merge');
+const { DATA_SCHEMA_VERSION, migrateData, validateData, readDataFile } = require('./data-schema');
+const { AuctionStore, appDbPath } = require('./auction-store');
+const { SessionPool, appSessionsDir } = require('./session-pool');
+const { PuppeteerWrapper } = require('./puppeteer-wrapper');
+const {
+  SettingsStore, SETTINGS_FIELDS, SECRET_KEYS, defaultSettings, appSettingsPath, getPath, setPath,
+} = require('./settings');
+
+// How long after its fire time a pre-warmed tab stays kept for its bid
+const PREWARM_HOLD_GRACE_SECONDS = 60;
+
+/**
+ * The bidding engine: stored auctions, credential vault, settings, browser
+ * sessions, scheduled bids, watch mode, extraction and import. It knows
+ * nothing of windows; electron_main.js serves it to the window over IPC and
+ * cli.js runs it from a terminal.
+ *
+ * options:
+ *   appFolderName  folder under Documents shared with src/: database, logs,
+ *                  saved sessions, settings.json
+ *   userDataDir    vault, scheduled jobs, selector config, screenshots,
+ *                  downloads and the old data file (Electron's userData)
+ *   headless       every browser headless whatever the settings say, for
+ *                  machines without a display
+ *   echoLog        echo the audit log to the console (default true)
+ *   notify(channel, payload)  called on every change a window would show:
+ *     'bid-status'        see emitBidStatus()
+ *     'session-health'    SessionPool.health()
+ *     'lot-changed'       { auctionId, idAuction, changes, text, needsReconfirm }
+ *     'settings-changed'  settingsView()
+ *
+ * start() loads the settings and re-arms the scheduled bids; shutdown()
+ * stops watching and saves and closes the browser sessions.
+ */
+class BidEngine {
+  constructor(options) {
+    this.appFolderName = options.appFolderName;
+    this.userDataDir = options.userDataDir;
+    this._notify = options.notify || (() => {});
+    // Electron makes userData itself; outside it may not exist yet
+    fs.mkdirSync(this.userDataDir, { recursive: true });
+
+    // Structured log of all bidding activity, in the app folder next to src/'s logs.
+    this.audit = new AuditLog(appLogsDir(this.appFolderName), { echo: options.echoLog !== false });
+
+    // Browser, timeouts, retries, session limits, watch interval and download
+    // folder (see settings.js). Read by start(); every change applies right
+    // away through _applySettings().
+    this.settings = new SettingsStore(appSettingsPath(this.appFolderName), {
+      onChange: current => this._applySettings(current),
+    });
+
+    this.vault = new CredentialVault(path.join(this.userDataDir, 'vault.json'));
+
+    // Every browser is launched here, set up from the `browser` section of settings.json
+    this.browsers = new PuppeteerWrapper({
+      logInfo: msg => this.audit.info('browser', msg),
+      logError: msg => this.audit.warn('browser', msg),
+    }, { settingsPath: () => this.settings.filePath }, {
+      headless: true,
+      headlessOnly: !!options.headless,
+      proxyPassword: () => (this.vault.isUnlocked() ? this.vault.getSecret('browser.proxy.password') : ''),
+    });
+
+    // Auctions and their bid history (see auction-store.js)
+    this.store = new AuctionStore(appDbPath(this.appFolderName));
+
+    // One incognito context per bidding account, cookies kept across restarts (see session-pool.js)
+    const limits = this.settings.get().sessions;
+    this.sessions = new SessionPool(appSessionsDir(this.appFolderName), {
+      launch: () => this.browsers.launch('bidding'),
+      newPage: context => this.browsers.newPage(context),
+      maxBrowsers: limits.maxBrowsers,
+      accountsPerBrowser: limits.accountsPerBrowser,
+      maxTabsPerAccount: limits.maxTabsPerAccount,
+      seal: value => this.vault.seal(value),
+      unseal: sealed => this.vault.unseal(sealed),
+      onChange: () => this._notify('session-health', this.sessions.health()),
+    });
+
+    // Scheduled bids are persisted so they survive restarts.
+    this.scheduler = new BidScheduler(path.join(this.userDataDir, 'bid-jobs.json'), {
+      onFire: job => this._runBidJob(job),
+      onPrewarm: job => this._prewarmBidJob(job),
+      log: (level, message, context) => this.audit.log(level, 'scheduler', message, context),
+    });
+
+    this.lotWatcher = new LotWatcher(this.settings.get().watch.intervalMinutes * 60 * 1000, () => this._watchAuctions(),
+      (level, message, context) => this.audit.log(level, 'watch', message, context));
+
+    // Last status per auction id, so a reloaded window can catch up.
+    this.liveStatuses = {};
+    // What validateData() found wrong with the stored data on the last load
+    this.dataProblems = [];
+    // Why the old data file could not be imported, if it could not
+    this._legacyImportProblems = [];
+    // One measured clock per site, keyed by adapter name
+    this._serverClocks = {};
+    // Login running per account; tabs needing one at the same time wait for it
+    this._loginsInProgress = {};
+    // Merge previews waiting for the user's choices, by token: { plan, incoming, options, credentials }
+    this._pendingMerges = {};
+
+    this._importLegacyDataFile();
+  }
+
+  //#region Public API lifecycle
+
+  /**
+   * Loads the settings (and follows later edits of the file), applies the
+   * selector config and re-arms the scheduled bids. Returns the jobs whose
+   * time passed while nothing was running (see missedJobs()).
+   */
+  start() {
+    this.loadSettings();
+    this.settings.watch();
+    const missed = this.scheduler.rehydrate();
+    for (const job of missed) {
+      this.emitBidStatus(jobRef(job), 'missed', { fireAt: job.fireAt });
+    }
+    for (const job of this.scheduler.pending()) {
+      this.emitBidStatus(jobRef(job), 'scheduled', { fireAt: job.fireAt });
+    }
+    return missed;
+  }
+
+  /** Reads the settings and the selector config, without arming anything. */
+  loadSettings() {
+    this.settings.load();
+    this._reportSettingsProblems();
+    this.reloadSiteConfig();
+  }
+
+  /** Stops watching, and saves and closes the browser sessions. */
+  async shutdown() {
+    this.lotWatcher.stop();
+    this.settings.unwatch();
+    await this.sessions.closeAll();
+  }
+
+  //#endregion
+
+  //#region Public API vault and credentials
+
+  vaultStatus() {
+    return { exists: this.vault.exists(), unlocked: this.vault.isUnlocked() };
+  }
+
+  /** Unlocks (or creates) the vault. Returns { ok, created, migrated, message }. */
+  unlockVault(passphrase) {
+    let created;
+    try {
+      ({ created } = this.vault.unlock(passphrase));
+    } catch (err) {
+      this.audit.warn('vault', `unlock error => ${err.message}`);
+      return { ok: false, message: err.message };
+    }
+
+    const migrated = this._migrateLegacyCredentials();
+    this._moveSecretSettings();
+    return { ok: true, created, migrated, message: created ? 'Vault created.' : 'Vault unlocked.' };
+  }
+
+  lockVault() {
+    this.vault.lock();
+  }
+
+  /** Credentials with masked passwords; [] while the vault is locked. */
+  credentials() {
+    return this.vault.isUnlocked() ? this.vault.listMasked() : [];
+  }
+
+  saveCredentials(credentials) {
+    if (!this.vault.isUnlocked()) return false;
+    try {
+      return this.vault.save(credentials);
+    } catch (err) {
+      this.audit.error('vault', `save error => ${err.message}`, { error: err });
+      return false;
+    }
+  }
+
+  //#endregion
+
+  //#region Public API auctions
+
+  /**
+   * Everything stored: `{ auctions }`. Invalid entries are still loaded, so
+   * they can be fixed; the problems are logged and kept in `dataProblems`.
+   */
+  loadData() {
+    const auctions = this.store.listAuctions();
+    this._reportDataProblems(this._legacyImportProblems.concat(validateData({ credentials: [], auctions })));
+    return { auctions };
+  }
+
+  /**
+   * Replaces the whole list (clearing it, for one) unless it breaks the schema.
+   * Stored history is kept. Returns { ok, errors }.
+   */
+  saveAuctions(auctions) {
+    const errors = validateData({ credentials: [], auctions });
+    if (errors.length) {
+      this.audit.warn('io', `save-auctions refused => ${errors.length} problems`, { errors });
+      return { ok: false, errors };
+    }
+    return { ok: this._replaceAuctions(auctions), errors: [] };
+  }
+
+  /**
+   * Merges `fields` into one auction (null clears a field) unless the result
+   * breaks the schema. Returns { ok, errors, auction }.
+   */
+  updateAuction(id, fields) {
+    const current = this.store.getAuction(id);
+    if (!current) return { ok: false, errors: [`Auction ${id} no longer exists`] };
+    const merged = Object.assign(current, fields);
+    Object.keys(merged).forEach(key => { if (merged[key] === null) delete merged[key]; });
+    const errors = validateData({ credentials: [], auctions: [merged] });
+    if (errors.length) {
+      this.audit.warn('io', `update-auction refused => ${errors.length} problems`, { errors });
+      return { ok: false, errors };
+    }
+    const auction = this._updateAuctionRecord(id, fields);
+    return auction ? { ok: true, errors: [], auction } : { ok: false, errors: ['The auction could not be saved'] };
+  }
+
+  /** Adds one auction; its id comes from the store. Returns { ok, errors, auction }. */
+  addAuction(auction) {
+    const errors = validateData({ credentials: [], auctions: [Object.assign({}, auction, { id: 0 })] })
+      .map(e => e.replace(/^Auction 0/, 'New auction'));
+    if (errors.length) {
+      this.audit.warn('io', `add-auction refused => ${errors.length} problems`, { errors });
+      return { ok: false, errors };
+    }
+    try {
+      const id = this.store.insertAuction(Object.assign({}, auction, { id: undefined }));
+      return { ok: true, errors: [], auction: this.store.getAuction(id) };
+    } catch (err) {
+      this.audit.error('io', `add-auction error => ${err.message}`, { error: err });
+      return { ok: false, errors: [err.message] };
+    }
+  }
+
+  /** Deletes one auction and its history. */
+  deleteAuction(id) {
+    return this.store.deleteAuction(id);
+  }
+
+  // The row stays highlighted until its changes are acknowledged
+  acknowledgeLotChanges(auctionId) {
+    const auction = this.store.getAuction(auctionId);
+    if (!auction || !auction.watch) return false;
+    return !!this._updateAuctionRecord(auctionId, { watch: Object.assign({}, auction.watch, { unseen: false }) });
+  }
+
+  /**
+   * Clears the re-confirmation flag set when the site moved the start time.
+   * useSiteTime: take the site's new start time as timeToBid; otherwise keep
+   * the stored one.
+   */
+  confirmTimeToBid(auctionId, useSiteTime) {
+    const auction = this.store.getAuction(auctionId);
+    if (!auction || !auction.timeToBidFlag) return false;
+    const fields = { timeToBidFlag: null };
+    if (useSiteTime) fields.timeToBid = auction.timeToBidFlag.siteStartTime;
+    if (auction.watch) fields.watch = Object.assign({}, auction.watch, { unseen: false });
+    this.audit.info('watch', `${auction.idAuction} time to bid ${useSiteTime ? 'moved to the site time' : 'kept'}`,
+      auctionContext(auction, { timeToBid: fields.timeToBid || auction.timeToBid }));
+    return !!this._updateAuctionRecord(auctionId, fields);
+  }
+
+  //#endregion
+
+  //#region Public API bidding
+
+  /**
+   * Logs every account in and schedules (or places, when overdue) its bids.
+   * Clears the previous round's jobs first. Resolves the auctions once the
+   * bids due right away are done.
+   * options.dryRun: simulation mode (see _handleUserBids); scheduled jobs are
+   * left as they are.
+   */
+  async startBidding(options = {}) {
+    const dryRun = !!options.dryRun;
+    // Nothing is touched while the vault is locked
+    if (!this.vault.isUnlocked()) {
+      throw new Error('Unlock the credential vault before bidding.');
+    }
+    if (dryRun) {
+      this.audit.info('simulation', 'fetch-auctions-data => simulation mode, no bids will be submitted');
+    } else {
+      this.audit.info('scheduler', 'fetch-auctions-data => clearing old jobs...');
+      this.scheduler.pending().forEach(job => this._releaseJobTab(job));
+      this.scheduler.reset();
+      this.liveStatuses = {};
+      // Missed bids keep showing until the user fires or skips them
+      for (const job of this.scheduler.missed()) {
+        this.emitBidStatus(jobRef(job), 'missed', { fireAt: job.fireAt });
+      }
+    }
+    this.reloadSiteConfig();
+
+    const credentials = this.vault.listMasked();
+    const { auctions } = this.loadData();
+    if (!credentials.length || !auctions.length) {
+      this.audit.info('bidding', 'No creds or auctions => returning');
+      return auctions;
+    }
+
+    // Fire times follow the sites' clocks, not ours
+    const sitesInUse = {};
+    credentials.forEach(c => {
+      const site = getSiteAdapter(c.site);
+      sitesInUse[site.name] = site;
+    });
+    for (const name of Object.keys(sitesInUse)) {
+      await this.syncServerClock(sitesInUse[name]);
+    }
+
+    const auctionsByAccount = {};
+    for (const auc of auctions) {
+      if (!auc.account) continue;
+      if (!auctionsByAccount[auc.account]) auctionsByAccount[auc.account] = [];
+      auctionsByAccount[auc.account].push(auc);
+    }
+
+    const tasks = [];
+    for (const cred of credentials) {
+      const userAuctions = auctionsByAccount[cred.username];
+      if (userAuctions && userAuctions.length) {
+        tasks.push(this._handleUserBids(cred, userAuctions, { dryRun }));
+      }
+    }
+    await Promise.all(tasks);
+    return this.loadData().auctions;
+  }
+
+  /** Cancels every scheduled bid; browsers stay open. */
+  stopBidding(message = 'Stopped by user') {
+    for (const job of this.scheduler.pending()) {
+      this._releaseJobTab(job);
+      this.emitBidStatus(jobRef(job), 'canceled', { message });
+    }
+    this.scheduler.cancelAll();
+  }
+
+  /** Jobs waiting for their time or running right now. */
+  activeJobs() {
+    return this.scheduler.list().filter(j => j.state === 'pending' || j.state === 'running');
+  }
+
+  missedJobs() {
+    return this.scheduler.missed();
+  }
+
+  /** action 'fire' bids a missed job now; anything else skips it. */
+  async resolveMissedJob(jobId, action) {
+    this.audit.info('scheduler', `resolve-missed-job => ${jobId} ${action}`);
+    if (action === 'fire') {
+      return this.scheduler.fire(jobId);
+    }
+    const job = this.scheduler.missed().find(j => j.id === jobId);
+    if (job) {
+      // Kept on the record, so a later Start does not place it as overdue
+      const fields = { bidStatus: 'skipped', bidMessage: 'Missed bid skipped' };
+      this._updateAuctionRecord(job.auctionId, fields);
+      this._appendAuctionHistory(job.auctionId, { type: 'missed', attempt: 1, leg: job.leg, status: 'skipped', message: fields.bidMessage });
+      this.emitBidStatus(jobRef(job), 'canceled', { message: fields.bidMessage });
+    }
+    return this.scheduler.skip(jobId);
+  }
+
+  /**
+   * Records a bid lifecycle change and passes it on ('bid-status').
+   * Statuses: scheduled, prewarming, prewarmed, prewarm-failed, logging-in,
+   * bidding, succeeded, failed, simulated, skipped, canceled, missed.
+   * `ref` is an auction or jobRef(job); details may carry message and fireAt.
+   */
+  emitBidStatus(ref, status, details = {}) {
+    const previous = this.liveStatuses[ref.id] || {};
+    const update = Object.assign({
+      auctionId: ref.id,
+      idAuction: ref.idAuction,
+      account: ref.account,
+      status,
+      message: '',
+      fireAt: previous.fireAt || '',
+      at: new Date().toISOString(),
+    }, details);
+    this.liveStatuses[ref.id] = update;
+    this.audit.log(status === 'failed' ? 'warn' : 'info', 'status',
+      `${update.idAuction} => ${status}${update.message ? `: ${update.message}` : ''}`,
+      auctionContext(ref, { status }));
+    this._notify('bid-status', update);
+  }
+
+  //#endregion
+
+  //#region Public API sessions, server clock, settings, watch mode
+
+  // Logged-in sessions are saved first, so the next bid picks up where this one left off
+  closeAllSessions() {
+    return this.sessions.closeAll();
+  }
+
+  async closeSession(username) {
+    this.audit.info('session', `close-session => ${username}`, { account: username });
+    await this.sessions.close(username);
+    return this.sessions.health();
+  }
+
+  // Deletes the saved cookies too: the account logs in from scratch next time
+  async forgetSession(username) {
+    this.audit.info('session', `forget-session => ${username}`, { account: username });
+    await this.sessions.forget(username);
+    return this.sessions.health();
+  }
+
+  /** Clock of the default site; measured on first use. */
+  async serverClock() {
+    const site = getSiteAdapter();
+    const clock = this.serverClockFor(site);
+    if (!clock.isMeasured()) await this.syncServerClock(site);
+    return clock.toJSON();
+  }
+
+  serverClockFor(site) {
+    if (!this._serverClocks[site.name]) this._serverClocks[site.name] = new ServerClock(`${site.baseUrl}/`);
+    return this._serverClocks[site.name];
+  }
+
+  /** Re-measure the site's clock offset; on failure the last known offset (or 0) is kept. */
+  async syncServerClock(site) {
+    const clock = this.serverClockFor(site);
+    try {
+      await clock.measure();
+      this.audit.info('clock', `${site.label} server clock offset ${clock.offsetMs}ms (±${clock.uncertaintyMs}ms)`);
+    } catch (err) {
+      this.audit.warn('clock', `${site.label} clock not measured, using offset ${clock.offsetMs}ms => ${err.message}`);
+    }
+    return clock;
+  }
+
+  /** What the settings panel needs: the values, their defaults and descriptions, and the problems found. */
+  settingsView() {
+    return {
+      settings: this._maskSecrets(this.settings.get()),
+      defaults: defaultSettings(),
+      fields: SETTINGS_FIELDS,
+      problems: this.settings.problems,
+      filePath: this.settings.filePath,
+    };
+  }
+
+  /**
+   * Returns { ok, errors, settings }; nothing is saved while a value fails its
+   * check. Secret settings go into the vault (the mask leaves them as they
+   * are, '' removes them) and the file keeps ''; while the vault is locked
+   * they cannot be set.
+   */
+  saveSettings(changes) {
+    const fileChanges = JSON.parse(JSON.stringify(changes || {}));
+    const secrets = {};
+    for (const key of SECRET_KEYS) {
+      const value = getPath(fileChanges, key);
+      if (value === undefined) continue;
+      const keep = value === PASSWORD_MASK || (!value && !this.vault.isUnlocked());
+      if (!keep) secrets[key] = value;
+      setPath(fileChanges, key, keep ? getPath(this.settings.get(), key) : '');
+    }
+    const errors = Object.keys(secrets).length && !this.vault.isUnlocked()
+      ? Object.keys(secrets).map(key => `${SETTINGS_FIELDS.find(f => f.key === key).label} is kept in the credential vault: unlock it first`)
+      : [];
+    const result = errors.length ? { ok: false, errors, settings: this.settings.get() } : this.settings.save(fileChanges);
+    if (!result.ok) {
+      this.audit.warn('settings', `Settings not saved => ${result.errors.length} problems`, { errors: result.errors });
+    } else if (Object.keys(secrets).length) {
+      Object.keys(secrets).forEach(key => this.vault.setSecret(key, secrets[key]));
+      this.audit.info('settings', `Saved in the vault => ${Object.keys(secrets).join(', ')}`);
+      this._notify('settings-changed', this.settingsView());
+    }
+    return Object.assign({}, result, { settings: this._maskSecrets(result.settings) });
+  }
+
+  setWatchMode(enabled) {
+    this.audit.info('watch', `Watch mode => ${enabled ? 'on' : 'off'}`);
+    if (enabled) {
+      if (!this.vault.isUnlocked()) throw new Error('Unlock the credential vault before watching lots.');
+      this.lotWatcher.start();
+    } else {
+      this.lotWatcher.stop();
+    }
+    return this.lotWatcher.toJSON();
+  }
+
+  //#endregion
+
+  //#region Public API site config and health check
+
+  /** Selectors per site, editable by the user. */
+  siteConfigFilePath() {
+    return path.join(this.userDataDir, 'site-config.json');
+  }
+
+  /** Re-read the selector config so hand edits apply without a restart. */
+  reloadSiteConfig() {
+    const config = loadSiteConfig(this.siteConfigFilePath(),
+      (level, message, context) => this.audit.log(level, 'io', message, context));
+    applySiteConfig(config, this.settings.get().timeouts);
+  }
+
+  /**
+   * Logs into every account headlessly and opens one sample auction (the given
+   * one, else one assigned to the account, else the first) to report which
+   * configured selectors resolve. Never submits a bid.
+   */
+  async checkSites(sampleIdAuction) {
+    if (!this.vault.isUnlocked()) {
+      throw new Error('Unlock the credential vault before checking sites.');
+    }
+    this.reloadSiteConfig();
+    const { auctions } = this.loadData();
+    const reports = [];
+
+    for (const cred of this.vault.listMasked()) {
+      const site = getSiteAdapter(cred.site);
+      const sample = auctions.find(a => a.account === cred.username) || auctions[0];
+      const idAuction = sampleIdAuction || (sample ? sample.idAuction : '');
+      const report = { account: cred.username, site: site.label, idAuction };
+
+      const browser = await this.browsers.launch('check');
+      try {
+        const page = await this.browsers.newPage(browser);
+        Object.assign(report, await site.checkHealth(page, cred.username, this.vault.getPassword(cred.username), idAuction));
+      } catch (err) {
+        this.audit.error('check', `${cred.username} => ${err.message}`, { account: cred.username, error: err });
+        Object.assign(report, { loggedIn: false, error: err.message, checks: [] });
+      } finally {
+        await browser.close();
+      }
+      reports.push(report);
+    }
+    return reports;
+  }
+
+  //#endregion
+
+  //#region Public API extraction, import and export
+
+  /**
+   * Extracts every search URL (a string, or an array for several saved
+   * searches or pages of one search) and previews how the rows would merge
+   * into the stored auctions (see auction-merge.js); nothing is saved until
+   * applyMerge(). A stored lot that came from one of these searches and is no
+   * longer listed shows up as removed.
+   * Returns { count, message, searches: [{ url, rows, added, matched,
+   * duplicates, skipped, error }], merge } where `count` is the number of new lots.
+   */
+  async extractProperties(searchUrls) {
+    const urls = [].concat(searchUrls || []).map(u => u.trim()).filter(Boolean);
+    this.audit.info('extract', `extract-properties => ${urls.length} searches`, { urls });
+    this.reloadSiteConfig();
+
+    const runDir = createRunDir(this._downloadsDir());
+    const browser = await this.browsers.launch('extraction');
+    const { auctions } = this.loadData();
+    const incoming = [];
+    const searches = [];
+
+    try {
+      for (const [index, url] of urls.entries()) {
+        const report = { url, rows: 0, added: 0, matched: 0, duplicates: 0, skipped: 0, error: '' };
+        searches.push(report);
+        try {
+          const { site, fields, skipped } = await extractSearch(() => this.browsers.newPage(browser), url, searchDir(runDir, index));
+          report.rows = fields.length + skipped;
+          report.skipped = skipped;
+
+          for (const row of fields) {
+            if (incoming.some(a => a.idAuction === row.idAuction)) {
+              this.audit.debug('extract', `listed twice => ${row.idAuction}`);
+              report.duplicates++;
+              continue;
+            }
+            incoming.push(Object.assign({ site: site.name, searchUrl: url }, row));
+            if (auctions.some(a => a.idAuction === row.idAuction)) {
+              report.matched++;
+            } else {
+              report.added++;
+            }
+          }
+          this.audit.info('extract', `${url} => ${report.added} new, ${report.matched} already stored, `
+            + `${report.duplicates} duplicates, ${report.skipped} skipped`);
+        } catch (err) {
+          report.error = err.message;
+          this.audit.error('extract', `${url} => ${err.message}`, { error: err });
+        }
+      }
+    } finally {
+      await browser.close();
+      fs.rmSync(runDir, { recursive: true, force: true });
+    }
+
+    // Searches that failed say nothing about their lots being gone
+    const readUrls = searches.filter(r => !r.error).map(r => r.url);
+    const merge = this._previewMerge('extraction', auctions, incoming, {
+      fields: EXTRACT_FIELDS,
+      removable: a => readUrls.includes(a.searchUrl),
+    });
+    const failed = searches.filter(r => r.error).length;
+    return {
+      count: merge.added.length,
+      searches,
+      merge,
+      message: failed ? `${failed} of ${searches.length} searches failed.` : 'CSV extraction completed.',
+    };
+  }
+
+  /**
+   * Reads a data file (an export, or the old credentials.json) and previews
+   * merging its auctions; the file is the whole list, so stored ones missing
+   * from it count as removed. Its passwords are held with the preview and go
+   * into the vault when it is applied.
+   * Returns { message, merge }, without `merge` when the file was refused.
+   */
+  importDataFile(importPath) {
+    // Older exports are migrated; anything invalid is refused before touching the vault or the list
+    let parsed;
+    try {
+      ({ data: parsed } = readDataFile(importPath, { strict: true }));
+    } catch (err) {
+      this.audit.warn('io', `import refused => ${err.message}`);
+      return { message: err.message };
+    }
+
+    // Imported passwords only ever go into the vault, never into the data file.
+    const importedCreds = (parsed.credentials || []).filter(c => c.password);
+    if (importedCreds.length && !this.vault.isUnlocked()) {
+      return { message: 'Unlock the credential vault before importing credentials.' };
+    }
+
+    const { auctions } = this.loadData();
+    const merge = this._previewMerge('import', auctions, parsed.auctions || [], {
+      fields: IMPORT_FIELDS,
+      removable: () => true,
+    }, importedCreds);
+    return { message: `Read ${importPath} (${importedCreds.length} credentials, saved when applied)`, merge };
+  }
+
+  /**
+   * Carries out the accepted parts of a previewed merge, and saves the
+   * credentials an import brought. Returns a summary.
+   * accepted: { add: [idAuction], fields: { [idAuction]: [field] }, remove: [idAuction] }
+   * The merge is planned again against the stored list: choices on auctions
+   * edited, added or removed since the preview are left out (and listed).
+   */
+  applyMerge(token, accepted) {
+    const pending = this._pendingMerges[token];
+    if (!pending) throw new Error('This preview has expired; run the extraction or import again.');
+    if (pending.credentials.length && !this.vault.isUnlocked()) {
+      throw new Error('Unlock the credential vault before saving the imported credentials.');
+    }
+    delete this._pendingMerges[token];
+
+    const stored = this.store.listAuctions();
+    const plan = planMerge(stored, pending.incoming, pending.options);
+    const checked = recheckAcceptance(pending.plan, plan, accepted);
+    const result = applyMerge(stored, plan, checked.accepted);
+    if (!this._replaceAuctions(result.auctions)) throw new Error('The merge could not be saved.');
+    const migrated = pending.credentials.length ? this.vault.migrate(pending.credentials) : 0;
+
+    let message = `${result.added} added, ${result.updated} updated, ${result.removed} removed.`;
+    if (pending.credentials.length) message += ` ${migrated} new credentials.`;
+    if (checked.stale.length) message += ` Changed since the preview, left alone: ${checked.stale.join(', ')}.`;
+    this.audit.info('merge', `${token} applied => ${message}`, { accepted: checked.accepted, stale: checked.stale });
+    return message;
+  }
+
+  discardMerge(token) {
+    delete this._pendingMerges[token];
+    this.audit.info('merge', `${token} discarded`);
+  }
+
+  /** Writes the auctions and account names (never passwords) to `filePath` in the data file format. */
+  exportData(filePath) {
+    const credentials = this.vault.isUnlocked()
+      ? this.vault.listMasked().map(({ id, username, site }) => ({ id, username, site }))
+      : [];
+    const { auctions } = this.loadData();
+    fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: DATA_SCHEMA_VERSION, credentials, auctions }, null, 2), 'utf8');
+  }
+
+  //#endregion
+
+  //#region Helpers storage
+
+  /**
+   * The data file from before the database: its auctions are read into the
+   * store once, its passwords stay there until the vault takes them.
+   */
+  _legacyDataFilePath() {
+    return path.join(this.userDataDir, 'credentials.json');
+  }
+
+  /**
+   * First start on the database: copies the old data file's auctions into it,
+   * migrated to the current schema. Auctions without a usable id get a new one.
+   * A file that cannot be read is tried again on the next start.
+   */
+  _importLegacyDataFile() {
+    if (this.store.getMeta('legacyDataFileImportedAt')) return;
+    const filePath = this._legacyDataFilePath();
+    if (fs.existsSync(filePath)) {
+      try {
+        const { data, fromVersion } = migrateData(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        const auctions = Array.isArray(data.auctions) ? data.auctions.filter(a => a && typeof a === 'object') : [];
+        this.store.transaction(() => {
+          const used = new Set();
+          auctions.forEach(a => {
+            const keepId = Number.isInteger(a.id) && !used.has(a.id);
+            used.add(this.store.insertAuction(keepId ? a : Object.assign({}, a, { id: undefined })));
+          });
+        });
+        this.audit.info('io', `imported ${auctions.length} auctions (schema ${fromVersion}) from ${filePath}`);
+      } catch (err) {
+        this.audit.error('io', `legacy import error => ${err.message}`, { error: err });
+        this._legacyImportProblems = [`${filePath} cannot be imported: ${err.message}`];
+        return;
+      }
+    }
+    this.store.setMeta('legacyDataFileImportedAt', new Date().toISOString());
+  }
+
+  /**
+   * On unlock: moves the plaintext credentials of the old data file into the
+   * vault, then deletes the passwords there. The file keeps everything else.
+   * Returns how many credentials the vault took.
+   */
+  _migrateLegacyCredentials() {
+    const filePath = this._legacyDataFilePath();
+    let fileData = null;
+    try {
+      if (fs.existsSync(filePath)) fileData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      this.audit.warn('vault', `${filePath} not read for credentials => ${err.message}`);
+    }
+    const fileCredentials = fileData && Array.isArray(fileData.credentials)
+      ? fileData.credentials.filter(c => c && typeof c.username === 'string' && c.username && 'password' in c)
+      : [];
+    if (!fileCredentials.length) return 0;
+
+    const migrated = this.vault.migrate(fileCredentials);
+    fileCredentials.forEach(c => { delete c.password; });
+    fs.writeFileSync(filePath, JSON.stringify(fileData, null, 2), 'utf8');
+    this.audit.info('vault', `migrated ${migrated} plaintext credentials`);
+    return migrated;
+  }
+
+  _reportDataProblems(errors) {
+    if (errors.join('\n') !== this.dataProblems.join('\n') && errors.length) {
+      this.audit.warn('io', `stored data has ${errors.length} problems`, { errors });
+    }
+    this.dataProblems = errors;
+  }
+
+  /** Replaces the stored list of auctions (see AuctionStore.replaceAuctions). Returns true when saved. */
+  _replaceAuctions(auctions) {
+    try {
+      this.store.replaceAuctions(auctions);
+      return true;
+    } catch (err) {
+      this.audit.error('io', `saveAuctions error => ${err.message}`, { error: err });
+      return false;
+    }
+  }
+
+  /** Merge `fields` into one stored auction (null clears a field). Returns the updated record, or null. */
+  _updateAuctionRecord(id, fields) {
+    try {
+      return this.store.updateAuction(id, fields);
+    } catch (err) {
+      this.audit.error('io', `updateAuctionRecord error => ${err.message}`, { auctionId: id, error: err });
+      return null;
+    }
+  }
+
+  /** Append one entry ({ type, attempt, status, message }) to an auction's history. */
+  _appendAuctionHistory(id, entry) {
+    try {
+      this.store.appendHistory(id, entry);
+    } catch (err) {
+      this.audit.error('io', `appendAuctionHistory error => ${err.message}`, { auctionId: id, error: err });
+    }
+  }
+
+  /** Screenshots taken after each bid submission. */
+  _screenshotsDir() {
+    const dir = path.join(this.userDataDir, 'screenshots');
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
+  /** Parent of each extraction run's own download folder: the configured one, else userData/downloads. */
+  _downloadsDir() {
+    return this.settings.get().downloads.folder || path.join(this.userDataDir, 'downloads');
+  }
+
+  /**
+   * Plans the merge and keeps it, with the imported `credentials`, until
+   * applied or discarded. Returns the plan with its token.
+   */
+  _previewMerge(source, stored, incoming, options, credentials = []) {
+    const plan = planMerge(stored, incoming, options);
+    const token = `${source}-${Date.now()}`;
+    // Kept to plan again on apply, against the list as it is then
+    this._pendingMerges[token] = { plan, incoming, options, credentials };
+    this.audit.info('merge', `${source} preview => ${plan.added.length} new, ${plan.changed.length} changed, `
+      + `${plan.removed.length} removed, ${plan.unchanged} unchanged`);
+    return Object.assign({ token, source }, plan);
+  }
+
+  //#endregion
+
+  //#region Helpers settings
+
+  /**
+   * Puts changed settings to work: session limits, the watch interval and the
+   * site timeouts. Browser settings need nothing, each launch reads them; the
+   * retry policy, pre-warm lead and download folder are read when used.
+   */
+  _applySettings(current) {
+    this.audit.info('settings', 'Settings applied', { filePath: this.settings.filePath });
+    this._reportSettingsProblems();
+    this.sessions.configure(current.sessions);
+    this.lotWatcher.setIntervalMs(current.watch.intervalMinutes * 60 * 1000);
+    this.reloadSiteConfig();
+    this._notify('settings-changed', this.settingsView());
+  }
+
+  /** `settings` with each secret shown as the mask when one is stored (vault or file), else ''. */
+  _maskSecrets(settings) {
+    for (const key of SECRET_KEYS) {
+      const stored = (this.vault.isUnlocked() && this.vault.getSecret(key)) || getPath(settings, key);
+      setPath(settings, key, stored ? PASSWORD_MASK : '');
+    }
+    return settings;
+  }
+
+  /** On unlock: secrets still in settings.json (saved by earlier versions) move into the vault. */
+  _moveSecretSettings() {
+    for (const key of SECRET_KEYS) {
+      const value = getPath(this.settings.get(), key);
+      if (!value) continue;
+      this.vault.setSecret(key, value);
+      const changes = {};
+      setPath(changes, key, '');
+      this.settings.save(changes);
+      this.audit.info('settings', `${key} moved from settings.json into the vault`);
+    }
+  }
+
+  /** Values in the file that were unreadable and replaced by their defaults. */
+  _reportSettingsProblems() {
+    this.settings.problems.forEach(problem => this.audit.warn('settings', problem, { filePath: this.settings.filePath }));
+  }
+
+  //#endregion
+
+  //#region Helpers bid execution
+
+  /** Local time at which to act so that it happens at `instant` on the site's clock. */
+  _localFireTime(site, instant) {
+    return this.serverClockFor(site).toLocal(instant);
+  }
+
+  _prewarmLeadSeconds(auction) {
+    const own = parseFloat(auction.prewarmSeconds);
+    return isNaN(own) ? this.settings.get().bidding.prewarmLeadSeconds : own;
+  }
+
+  /** Site adapter chosen on the account's credential (default site when unset or locked). */
+  _siteForAccount(username) {
+    if (!this.vault.isUnlocked()) return getSiteAdapter();
+    const cred = this.vault.listMasked().find(c => c.username === username);
+    return getSiteAdapter(cred && cred.site);
+  }
+
+  /**
+   * Runs `task(page)` on one of the account's tabs (see tab-queue.js). Work
+   * with the same `key` (one scheduled bid) stays on one tab; other work gets
+   * its own tab, up to sessions.maxTabsPerAccount, and waits beyond that.
+   * options.holdUntil: keep the tab for `key` until then (epoch ms).
+   */
+  async _withAccountTab(username, key, task, options) {
+    const session = await this.sessions.open(username, this._siteForAccount(username));
+    return session.tabs.run(key, task, options);
+  }
+
+  /** Lets go of the tab a pre-warmed job was holding. */
+  _releaseJobTab(job) {
+    const session = this.sessions.get(job.account);
+    if (session) session.tabs.release(job.id);
+  }
+
+  /** Saves the account's cookies; a failure only costs a login after the next restart. */
+  async _saveSession(username) {
+    try {
+      await this.sessions.save(username);
+    } catch (err) {
+      this.audit.warn('session', `${username} session not saved => ${err.message}`, { account: username });
+    }
+  }
+
+  /**
+   * Logs in and bids, retrying per the retry policy when login fails or the bid
+   * form errors out before submitting (timeouts, session expired since
+   * scheduling). Anything after the confirm click is final, whatever the page
+   * shows (see the adapters' placeBid). Every attempt goes into the auction's
+   * history, with the rate submitted.
+   * options.rate: rate to bid (default `bidProxy`); options.leg / legAt: the
+   * strategy leg and its time (default timeToBid), for history and the deadline.
+   * options.dryRun: rehearse without submitting (see _placeBid).
+   */
+  async _placeBidWithRetry(auction, username, page, options = {}) {
+    const policy = resolveRetryPolicy(Object.assign({}, this.settings.get().bidding.retry, auction.retryPolicy));
+    const { site } = this.sessions.get(username);
+    const deadline = retryDeadline(policy, this._localFireTime(site, options.legAt || auction.timeToBid));
+    const rate = options.rate !== undefined ? options.rate : parseFloat(auction.bidProxy) || 0;
+    const leg = options.leg || 0;
+    let outcome = { status: 'error', message: 'No attempt made' };
+
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      if (attempt > 1) {
+        const delay = backoffDelay(policy, attempt);
+        if (Date.now() + delay > deadline) {
+          this._appendAuctionHistory(auction.id, { type: 'bid', attempt, leg, rate, status: 'abandoned', message: 'Retry deadline passed' });
+          break;
+        }
+        this.audit.info('bidding', `Retry ${attempt}/${policy.maxAttempts} for ${auction.idAuction} in ${delay}ms`, auctionContext(auction));
+        await new Promise(r => setTimeout(r, delay));
+      }
+
+      try {
+        if (!this.sessions.get(username).isLoggedIn) {
+          this.emitBidStatus(auction, 'logging-in', { message: `Attempt ${attempt}` });
+        }
+        await this._ensureLoggedIn(username, page);
+      } catch (err) {
+        outcome = { status: 'error', message: err.message };
+        this._appendAuctionHistory(auction.id, { type: 'login', attempt, leg, status: 'failed', message: err.message });
+        continue;
+      }
+
+      // Only the first attempt may reuse the pre-warmed page; retries reload it.
+      const skipNavigation = attempt === 1 && options.prewarmed && page.url().startsWith(site.lotUrl(auction.idAuction));
+      this.emitBidStatus(auction, 'bidding', { message: `Attempt ${attempt} at ${rate}%` });
+      outcome = await this._placeBid(auction, page, site, { skipNavigation, rate, leg, dryRun: options.dryRun });
+      this._appendAuctionHistory(auction.id, {
+        type: options.dryRun ? 'simulation' : 'bid',
+        attempt,
+        leg,
+        rate,
+        status: outcome.status,
+        message: outcome.message,
+      });
+      if (!shouldRetryBid(outcome)) break;
+
+      if (await site.isLoggedOut(page)) {
+        this.audit.warn('login', `${username} was logged out => will log in again`, auctionContext(auction));
+        this.sessions.markLoggedOut(username, 'logged out by the site');
+      }
+    }
+
+    if (outcome.status === 'accepted' || outcome.status === 'simulated') {
+      this.emitBidStatus(auction, outcome.status === 'accepted' ? 'succeeded' : 'simulated', { message: outcome.message });
+    } else {
+      this.emitBidStatus(auction, 'failed', { message: `${outcome.status}: ${outcome.message}` });
+    }
+    return outcome;
+  }
+
+  /** Reads the open lot's state and stores it on the auction as `lotState`. */
+  async _recordLotState(auction, site, page) {
+    const lotState = Object.assign(await site.readLotState(page), { readAt: new Date().toISOString() });
+    auction.lotState = lotState;
+    this._updateAuctionRecord(auction.id, { lotState });
+    const winning = lotState.winningRate === null ? 'no bids' : `winning ${lotState.winningRate}%`;
+    const bidders = lotState.bidderCount === null ? '' : `, ${lotState.bidderCount} bidders`;
+    this.audit.info('lot', `${auction.idAuction} => ${lotState.status}, ${winning}${bidders}`, auctionContext(auction, { lotState }));
+    return lotState;
+  }
+
+  /**
+   * Runs leg `legIndex` of the auction's bid strategy (see bid-strategy.js).
+   * The lot's state is read first and stored on the auction; closed, withdrawn
+   * or redeemed lots are skipped. The strategy then picks a rate or skips, a
+   * rate that would not beat the current best is skipped too, and the rest is
+   * bid with retries. Every skip is recorded with its reason.
+   * options: { prewarmed, dryRun }. Returns { status, message }, status
+   * 'skipped' when nothing was bid.
+   */
+  async _executeBidLeg(auction, username, page, legIndex, options = {}) {
+    const { site } = this.sessions.get(username);
+    let leg;
+    let decision;
+    try {
+      const strategy = resolveStrategy(auction);
+      leg = planBidLegs(auction)[legIndex];
+      if (!leg) throw new Error(`${strategy.type} strategy has no leg ${legIndex + 1}`);
+
+      // A pre-warmed page is read as it is; strategies reacting to the winning rate reload it.
+      const onLot = options.prewarmed && page.url().startsWith(site.lotUrl(auction.idAuction));
+      if (!onLot || needsWinningRate(strategy)) {
+        await this._ensureLoggedIn(username, page);
+        await site.openLot(page, auction.idAuction);
+      }
+      const lotState = await this._recordLotState(auction, site, page);
+
+      decision = lotState.status !== 'open'
+        ? { skip: true, reason: lotSkipReason(lotState) }
+        : decideBid(auction, legIndex, { winningRate: lotState.winningRate, lastSubmittedRate: lastAcceptedRate(auction) });
+      if (!decision.skip) {
+        const reason = lotSkipReason(lotState, decision.rate);
+        if (reason) decision = { skip: true, reason };
+      }
+    } catch (err) {
+      const message = `Pre-bid check failed: ${err.message}`;
+      this.audit.error('strategy', message, auctionContext(auction, { leg: legIndex, error: err }));
+      this._appendAuctionHistory(auction.id, { type: 'strategy', attempt: 1, leg: legIndex, status: 'error', message });
+      this.emitBidStatus(auction, 'failed', { message });
+      return { status: 'error', message };
+    }
+
+    if (decision.skip) {
+      this.audit.info('strategy', `${auction.idAuction} leg ${legIndex + 1} skipped => ${decision.reason}`, auctionContext(auction));
+      this._appendAuctionHistory(auction.id, { type: 'strategy', attempt: 1, leg: legIndex, status: 'skipped', message: decision.reason });
+      if (options.dryRun) {
+        this._recordSimulation(auction, { status: 'skipped', message: decision.reason, leg: legIndex, wouldFireAt: leg.at });
+      } else {
+        const fields = { bidStatus: 'skipped', bidMessage: decision.reason };
+        Object.assign(auction, fields);
+        this._updateAuctionRecord(auction.id, fields);
+      }
+      this.emitBidStatus(auction, 'skipped', { message: decision.reason });
+      return { status: 'skipped', message: decision.reason };
+    }
+
+    this.audit.info('strategy', `${auction.idAuction} leg ${legIndex + 1} => ${decision.rate}% (${decision.reason})`, auctionContext(auction));
+    return this._placeBidWithRetry(auction, username, page, {
+      rate: decision.rate,
+      leg: legIndex,
+      legAt: leg.at,
+      prewarmed: true, // the lot is open after the state check
+      dryRun: options.dryRun,
+    });
+  }
+
+  /**
+   * Pre-warm stage, run bidding.prewarmLeadSeconds before the bid: make sure the
+   * session is still alive, open the auction page and focus the bid input so
+   * that at fire time only typing and the two clicks remain.
+   */
+  async _prewarmBid(auction, username, page) {
+    this.audit.info('prewarm', `Pre-warming => ${auction.idAuction} (${username})`, auctionContext(auction));
+    const { site } = this.sessions.get(username);
+    await this._ensureLoggedIn(username, page);
+    await site.openLot(page, auction.idAuction);
+
+    if (await site.isLoggedOut(page)) {
+      this.audit.warn('login', `${username} session expired => logging in again`, auctionContext(auction));
+      this.sessions.markLoggedOut(username, 'session expired');
+      await this._ensureLoggedIn(username, page);
+      await site.openLot(page, auction.idAuction);
+    }
+
+    await site.focusBidInput(page, auction.idAuction);
+    this.audit.info('prewarm', `Pre-warmed => ${auction.idAuction}`, auctionContext(auction));
+  }
+
+  /** Scheduler pre-warm callback. Failures only cost speed: the bid itself navigates again. */
+  async _prewarmBidJob(job) {
+    const auction = this.store.getAuction(job.auctionId);
+    if (!auction || !this.vault.isUnlocked()) return;
+    this.emitBidStatus(auction, 'prewarming');
+    try {
+      // The tab stays this job's until it fires
+      const holdUntil = new Date(job.fireAt).getTime() + PREWARM_HOLD_GRACE_SECONDS * 1000;
+      await this._withAccountTab(job.account, job.id, page => this._prewarmBid(auction, job.account, page), { holdUntil });
+      this._appendAuctionHistory(auction.id, { type: 'prewarm', attempt: 1, status: 'ready', message: 'Auction page open' });
+      this.emitBidStatus(auction, 'prewarmed', { message: 'Auction page open' });
+    } catch (err) {
+      this._appendAuctionHistory(auction.id, { type: 'prewarm', attempt: 1, status: 'failed', message: err.message });
+      this.emitBidStatus(auction, 'prewarm-failed', { message: `${err.message} => will retry at fire time` });
+      throw err;
+    }
+  }
+
+  /** Scheduler callback: reload the auction (it may have been edited since) and bid. */
+  async _runBidJob(job) {
+    const auction = this.store.getAuction(job.auctionId);
+    if (!auction) {
+      throw new Error(`Auction ${job.idAuction} no longer exists`);
+    }
+    if (!this.vault.isUnlocked()) {
+      this.emitBidStatus(auction, 'failed', { message: 'Credential vault is locked' });
+      throw new Error('Credential vault is locked');
+    }
+    const outcome = await this._withAccountTab(job.account, job.id,
+      page => this._executeBidLeg(auction, job.account, page, job.leg || 0, { prewarmed: !!job.prewarmedAt }));
+    if (outcome.status === 'error' || outcome.status === 'rejected') {
+      throw new Error(outcome.message);
+    }
+  }
+
+  /**
+   * Logs in unless the session is already marked logged in (restored sessions
+   * included). Saves the new cookies. Throws when login fails.
+   * The account's tabs share cookies, so one login serves them all.
+   */
+  async _ensureLoggedIn(username, page) {
+    const session = this.sessions.get(username);
+    if (session.isLoggedIn) {
+      this.audit.debug('login', `${username} is already logged in => skip login`, { account: username });
+      return;
+    }
+    if (!this._loginsInProgress[username]) {
+      this._loginsInProgress[username] = this._logIn(username, page)
+        .finally(() => { delete this._loginsInProgress[username]; });
+    }
+    await this._loginsInProgress[username];
+  }
+
+  async _logIn(username, page) {
+    const session = this.sessions.get(username);
+    try {
+      this.audit.info('login', `Logging in => ${username}`, { account: username });
+      await session.site.login(page, username, this.vault.getPassword(username));
+      this.audit.info('login', `Login successful for ${username}`, { account: username });
+    } catch (err) {
+      this.audit.error('login', `Error logging in for ${username}: ${err.message}`, { account: username, error: err });
+      this.sessions.markLoggedOut(username, err.message);
+      throw new Error(`Login failed for ${username}: ${err.message}`);
+    }
+    this.sessions.markLoggedIn(username);
+    await this._saveSession(username);
+  }
+
+  /**
+   * A session restored from saved cookies is only trusted until a page says
+   * otherwise; open one of the account's lots now so an expired one logs in
+   * while there is time, not at fire time.
+   */
+  async _verifyRestoredSession(username, page, idAuction) {
+    const session = this.sessions.get(username);
+    if (!session.restored) return;
+    try {
+      await session.site.openLot(page, idAuction);
+    } catch (err) {
+      this.audit.warn('session', `${username} restored session not checked => ${err.message}`, { account: username });
+      return;
+    }
+    if (await session.site.isLoggedOut(page)) {
+      this.audit.info('session', `${username} saved session expired => logging in`, { account: username });
+      this.sessions.markLoggedOut(username, 'saved session expired');
+    } else {
+      this.audit.info('session', `${username} saved session still logged in`, { account: username });
+      this.sessions.markLoggedIn(username);
+    }
+  }
+
+  /**
+   * Submits the bid, then reads the page back and stores the outcome on the
+   * auction record: bidStatus (accepted / rejected / outbid / unknown, or
+   * 'error' when the form failed before submitting), bidMessage and bidScreenshot,
+   * plus bidPlaced once the bid went in (submitted and not rejected).
+   * `site` is the account's site adapter.
+   * options.skipNavigation: the page is already on the auction (pre-warmed).
+   * options.rate: rate to submit (default `bidProxy`); options.leg: strategy leg.
+   * options.dryRun: stop before the final confirmation click and store the
+   * rehearsal under `simulation` instead, leaving the real bid fields alone.
+   * Returns { status, message, submitted }.
+   */
+  async _placeBid(auction, page, site, options = {}) {
+    const rate = options.rate !== undefined ? options.rate : parseFloat(auction.bidProxy) || 0;
+    this.audit.info('bidding', `placeBid => ${auction.idAuction} at ${rate}%${options.dryRun ? ' (dry run)' : ''}`,
+      auctionContext(auction, { rate, leg: options.leg }));
+    let outcome;
+    let screenshotPath = '';
+    try {
+      outcome = await site.placeBid(page, auction.idAuction, rate,
+        Object.assign({}, options, { log: message => this.audit.debug('bidding', message, auctionContext(auction)) }));
+    } catch (err) {
+      this.audit.error('bidding', `placeBid error => ${err.message}`, auctionContext(auction, { error: err }));
+      outcome = { status: 'error', message: err.message || String(err) };
+    }
+
+    try {
+      const fileName = `${auction.idAuction.replace(/\//g, '-')}-${Date.now()}.png`;
+      screenshotPath = path.join(this._screenshotsDir(), fileName);
+      await page.screenshot({ path: screenshotPath, fullPage: true });
+    } catch (err) {
+      this.audit.warn('bidding', `screenshot error => ${err.message}`, auctionContext(auction));
+      screenshotPath = '';
+    }
+    this.audit.log(outcome.status === 'accepted' || outcome.status === 'simulated' ? 'info' : 'warn', 'bidding',
+      `${auction.idAuction} => ${outcome.status}: ${outcome.message}`,
+      auctionContext(auction, { outcome: outcome.status, rate, leg: options.leg, screenshot: screenshotPath }));
+
+    if (options.dryRun) {
+      this._recordSimulation(auction, {
+        rate,
+        leg: options.leg || 0,
+        status: outcome.status,
+        message: outcome.message,
+        screenshot: screenshotPath,
+      });
+      return outcome;
+    }
+
+    const fields = {
+      bidRate: rate,
+      bidStatus: outcome.status,
+      bidMessage: outcome.message,
+      bidScreenshot: screenshotPath,
+    };
+    // A rejected or failed bid is not placed: a later Start may bid again
+    if (outcome.status === 'accepted' || (outcome.submitted && !['error', 'rejected'].includes(outcome.status))) {
+      fields.bidPlaced = new Date().toLocaleString();
+    }
+    Object.assign(auction, fields);
+    this._updateAuctionRecord(auction.id, fields);
+    return outcome;
+  }
+
+  /**
+   * Stores the result of a dry run on the auction: when it ran, when the real
+   * bid would fire, from which account and at what rate.
+   */
+  _recordSimulation(auction, result) {
+    const simulation = Object.assign({
+      at: new Date().toISOString(),
+      wouldFireAt: auction.timeToBid || '',
+      account: auction.account,
+      rate: parseFloat(auction.bidProxy) || 0,
+    }, result);
+    auction.simulation = simulation;
+    this._updateAuctionRecord(auction.id, { simulation });
+  }
+
+  /**
+   * Logs the account in and schedules its bids. Of an auction's overdue legs
+   * only the last is placed right away, unless the auction was bid already;
+   * overdue bids run side by side, each on its own tab (see _withAccountTab).
+   * options.dryRun: rehearse every bid right away instead, stopping before the
+   * final confirmation, so schedules and accounts can be checked ahead of time.
+   */
+  async _handleUserBids(cred, userAuctions, options = {}) {
+    // Filter out auctions with nothing to bid (bidProxy of 0) so we don't even attempt a login or bid.
+    const auctionsToBid = userAuctions.filter(hasRateToBid);
+
+    // If there are no auctions with a positive bidProxy, skip the rest entirely.
+    if (!auctionsToBid.length) {
+      this.audit.info('bidding', `Skipping ${cred.username} => all auctions are 0 or no valid bids.`, { account: cred.username });
+      return;
+    }
+
+    const { username } = cred;
+    // Log in up front; on failure the retry policy logs in again at bid time.
+    await this._withAccountTab(username, 'login', async (page) => {
+      await this._verifyRestoredSession(username, page, auctionsToBid[0].idAuction);
+      if (!this.sessions.get(username).isLoggedIn) {
+        auctionsToBid.forEach(a => this.emitBidStatus(a, 'logging-in'));
+      }
+      try {
+        await this._ensureLoggedIn(username, page);
+      } catch (err) {
+        this.audit.warn('login', `${err.message} => will retry when bidding`, { account: username });
+      }
+    });
+
+    // Bids placed right now (overdue legs, rehearsals), awaited together at the end
+    const running = [];
+    const runLeg = (auction, leg, legOptions) => running.push(this._withAccountTab(username, `${auction.id}-${leg.leg}`,
+      page => this._executeBidLeg(auction, username, page, leg.leg, legOptions)));
+
+    for (const auction of auctionsToBid) {
+      // timeToBid check
+      if (!auction.timeToBid) {
+        this.audit.warn('bidding', `Auction ${auction.idAuction} => no time => skip`, auctionContext(auction));
+        if (options.dryRun) {
+          this._recordSimulation(auction, { status: 'skipped', message: 'No time to bid set' });
+        }
+        continue;
+      }
+      if (auction.timeToBidFlag) {
+        this.audit.warn('bidding', `Auction ${auction.idAuction} => the site moved its start time, time to bid not re-confirmed`,
+          auctionContext(auction, { siteStartTime: auction.timeToBidFlag.siteStartTime }));
+      }
+
+      let legs;
+      try {
+        legs = planBidLegs(auction);
+      } catch (err) {
+        this.audit.error('strategy', err.message, auctionContext(auction));
+        this.emitBidStatus(auction, 'failed', { message: err.message });
+        continue;
+      }
+
+      if (options.dryRun) {
+        for (const leg of legs) {
+          this.audit.info('simulation', `Simulating => ${auction.idAuction} leg ${leg.leg + 1} (would fire at ${leg.at})`, auctionContext(auction));
+          runLeg(auction, leg, { dryRun: true });
+        }
+        continue;
+      }
+
+      // A missed leg is the user's to fire or skip (see resolveMissedJob), not ours
+      const missedLegs = this.scheduler.missed().filter(j => j.auctionId === auction.id).map(j => j.leg);
+      const overdue = [];
+      let announced = false;
+      for (const leg of legs) {
+        if (missedLegs.includes(leg.leg)) {
+          this.audit.info('scheduler', `Auction ${auction.idAuction} leg ${leg.leg + 1} => missed, waiting for the user to fire or skip it`,
+            auctionContext(auction));
+          continue;
+        }
+        const targetTime = this._localFireTime(this.sessions.get(username).site, leg.at);
+        const diff = targetTime - Date.now();
+
+        if (diff <= 0) {
+          overdue.push(leg);
+        } else {
+          this.audit.info('scheduler', `Scheduling => ${auction.idAuction} leg ${leg.leg + 1} in ${diff}ms`, auctionContext(auction));
+          const job = this.scheduler.schedule(auction, targetTime, this._prewarmLeadSeconds(auction), leg.leg);
+          // The countdown shows the next leg to fire
+          if (!announced) this.emitBidStatus(auction, 'scheduled', { fireAt: job.fireAt });
+          announced = true;
+        }
+      }
+      if (!overdue.length) continue;
+
+      // Started late: only the last overdue leg is placed, and not on an
+      // auction already bid or with a missed leg waiting for the user
+      const reason = missedLegs.length ? 'a missed leg is waiting for the user'
+        : auction.bidStatus === 'accepted' || auction.bidPlaced ? 'already bid'
+          : auction.bidStatus === 'skipped' ? `skipped before (${auction.bidMessage || 'no reason kept'})` : '';
+      const late = reason ? null : overdue[overdue.length - 1];
+      overdue.filter(leg => leg !== late).forEach(leg => this.audit.info('scheduler',
+        `Auction ${auction.idAuction} leg ${leg.leg + 1} => overdue, not placed: ${reason || 'a later leg is due too'}`,
+        auctionContext(auction)));
+      if (late) {
+        runLeg(auction, late, {});
+      } else if (!announced && !missedLegs.length) {
+        this.emitBidStatus(auction, 'skipped', { message: `Overdue, not placed: ${reason}` });
+      }
+    }
+    await Promise.all(running);
+  }
+
+  //#endregion
+
+  //#region Helpers watch mode
+
+  /**
+   * One watch pass: reads the state of every watched lot through the
+   * session of the account that owns it (auctions without an account use the
+   * first one) and records the changes. Nothing is ever bid. Each lot takes a
+   * tab only while it is read, so a bid due meanwhile waits one read at most.
+   */
+  async _watchAuctions() {
+    if (!this.vault.isUnlocked()) {
+      this.audit.info('watch', 'Credential vault is locked => skipping watch pass');
+      return;
+    }
+    const credentials = this.vault.listMasked();
+    const watched = this.loadData().auctions.filter(a => a.watched && a.idAuction);
+    if (!watched.length || !credentials.length) return;
+    this.reloadSiteConfig();
+
+    const byAccount = {};
+    for (const auction of watched) {
+      const cred = credentials.find(c => c.username === auction.account) || credentials[0];
+      if (!byAccount[cred.username]) byAccount[cred.username] = [];
+      byAccount[cred.username].push(auction);
+    }
+
+    this.audit.info('watch', `Watch pass => ${watched.length} auctions`);
+    await Promise.all(Object.keys(byAccount).map(username => this._watchAccountLots(username, byAccount[username])));
+  }
+
+  /** Reads one account's watched lots in turn, logging it in first when needed. */
+  async _watchAccountLots(username, auctions) {
+    try {
+      await this._withAccountTab(username, 'watch', async (page) => {
+        await this._verifyRestoredSession(username, page, auctions[0].idAuction);
+        await this._ensureLoggedIn(username, page);
+      });
+    } catch (err) {
+      this.audit.warn('watch', `Login failed for ${username} => ${err.message}`, { account: username });
+      return;
+    }
+    for (const auction of auctions) {
+      try {
+        await this._withAccountTab(username, 'watch', async (page) => {
+          const { site } = this.sessions.get(username);
+          await site.openLot(page, auction.idAuction);
+          if (await site.isLoggedOut(page)) {
+            this.sessions.markLoggedOut(username, 'logged out by the site');
+            await this._ensureLoggedIn(username, page);
+            await site.openLot(page, auction.idAuction);
+          }
+          this._recordWatchPass(auction, await site.readLotState(page));
+        });
+      } catch (err) {
+        this.audit.warn('watch', `${auction.idAuction} not read => ${err.message}`, auctionContext(auction, { error: err }));
+      }
+    }
+  }
+
+  /**
+   * Stores what a watch pass saw under the auction's `watch` field
+   * ({ checkedAt, lotState, changes, changedAt, unseen }). On a change the
+   * row is highlighted until acknowledged, 'lot-changed' is passed on and
+   * a moved start time sets `timeToBidFlag` so the user re-confirms timeToBid.
+   */
+  _recordWatchPass(auction, lotState) {
+    const checkedAt = new Date().toISOString();
+    const previous = auction.watch && auction.watch.lotState;
+    const changes = diffLotSnapshots(previous, lotState);
+    const watch = Object.assign({}, auction.watch, { checkedAt, lotState: keepStartTime(previous, lotState) });
+    const fields = { watch };
+    if (!changes.length) {
+      this._updateAuctionRecord(auction.id, fields);
+      return;
+    }
+
+    const text = changes.map(c => describeLotChange(c, auction.timeZone)).join('; ');
+    Object.assign(watch, { changes, changedAt: checkedAt, unseen: true });
+    const moved = changes.find(c => c.field === 'startTime');
+    if (moved) {
+      fields.timeToBidFlag = { siteStartTime: moved.to, flaggedAt: checkedAt };
+    }
+    this.audit.info('watch', `${auction.idAuction} changed => ${text}`, auctionContext(auction, { changes }));
+    this._appendAuctionHistory(auction.id, { type: 'watch', attempt: 1, status: 'changed', message: text });
+    this._updateAuctionRecord(auction.id, fields);
+    this._notify('lot-changed', { auctionId: auction.id, idAuction: auction.idAuction, changes, text, needsReconfirm: !!moved });
+  }
+
+  //#endregion
+}
+
+/** The auction a scheduler job belongs to, in the shape emitBidStatus() expects. */
+function jobRef(job) {
+  return { id: job.auctionId, idAuction: job.idAuction, account: job.account };
+}
+
+/** Rate of our last accepted bid on the auction, from its history (null if none). */
+function lastAcceptedRate(auction) {
+  const accepted = (auction.history || []).filter(h => h.type === 'bid' && h.status === 'accepted' && h.rate !== undefined);
+  return accepted.length ? accepted[accepted.length - 1].rate : null;
+}
+
+/**
+ * Downloads one search's spreadsheet into `downloadDir`, on a tab from
+ * `openPage()`, and turns its rows into auction fields. Returns
+ * { site, fields: [...], skipped } where `skipped` counts rows without a
+ * start date or lot link.
+ */
+async function extractSearch(openPage, searchUrl, downloadDir) {
+  const site = siteAdapterForUrl(searchUrl);
+  const page = await openPage();
+  try {
+    const csvPath = await site.exportSearchResults(page, searchUrl, downloadDir);
+    if (!csvPath) {
+      throw new Error('No CSV download finished (no results, or the site changed)');
+    }
+    const rows = site.parseRows(fs.readFileSync(csvPath, 'utf8'));
+    const fields = rows.map(row => site.rowToAuction(row)).filter(Boolean);
+    return { site, fields, skipped: rows.length - fields.length };
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Electron's default userData folder for an app named `appName`, for running
+ * the engine outside Electron on the same data.
+ */
+function appUserDataDir(appName) {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', appName);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+module.exports = { BidEngine, jobRef, appUserDataDir };
@@ -0,0 +1,63 @@
+// bid-outcome.js
+
+// Where the auction page reports the result of a submitted bid. Site adapters
+// may pass their own lists (see the selector config).
+const DEFAULT_OUTCOME_SELECTORS = {
+  confirmation: ['.alert-success', '.toast-success', '.bid-confirmation'],
+  errors: [
+    '.alert-danger',
+    '.toast-error',
+    '.validation-summary-errors',
+    '.field-validation-error',
+    '.text-danger',
+  ],
+  winningRate: ['.winning-bid', '.current-bid', '[data-winning-rate]'],
+};
+
+const CONFIRMATION_PATTERN = /(bid (was )?(placed|accepted|received)|success|thank you)/i;
+const OUTBID_PATTERN = /(outbid|not the (winning|lowest)|higher than)/i;
+
+/**
+ * Reads back what the auction page shows right after the second "Place Bid"
+ * click. Returns raw texts; classifyBidOutcome() decides what they mean.
+ */
+async function readBidOutcome(page, selectors = DEFAULT_OUTCOME_SELECTORS) {
+  return page.evaluate((confirmSels, errorSels, rateSels) => {
+    const texts = sels => sels
+      .map(sel => Array.from(document.querySelectorAll(sel)))
+      .reduce((acc, els) => acc.concat(els), [])
+      .map(el => (el.innerText || el.textContent || '').trim())
+      .filter(Boolean);
+
+    const rateTexts = texts(rateSels);
+    const rateMatch = rateTexts.length ? rateTexts[0].match(/(\d+(\.\d+)?)\s*%?/) : null;
+    return {
+      confirmation: texts(confirmSels).join(' '),
+      errors: texts(errorSels),
+      winningRate: rateMatch ? parseFloat(rateMatch[1]) : null,
+    };
+  }, selectors.confirmation, selectors.errors, selectors.winningRate);
+}
+
+/**
+ * Turns what the page showed into { status, message }, status being one of
+ * 'accepted' | 'rejected' | 'outbid' | 'unknown'.
+ * Rates are bid down, so a winning rate below ours means we are outbid.
+ */
+function classifyBidOutcome({ confirmation, errors, winningRate }, ourRate) {
+  const errorText = (errors || []).join(' ');
+  const outbid = winningRate !== null && winningRate !== undefined && winningRate < ourRate;
+
+  if (errorText) {
+    return { status: OUTBID_PATTERN.test(errorText) ? 'outbid' : 'rejected', message: errorText };
+  }
+  if (outbid) {
+    return { status: 'outbid', message: `Current winning rate is ${winningRate}%` };
+  }
+  if (confirmation && CONFIRMATION_PATTERN.test(confirmation)) {
+    return { status: 'accepted', message: confirmation };
+  }
+  return { status: 'unknown', message: confirmation || 'No confirmation or error shown after submitting.' };
+}
+
+module.exports = { DEFAULT_OUTCOME_SELECTORS, readBidOutcome, classifyBidOutcome };
@@ -0,0 +1,230 @@
+// bid-scheduler.js
+
+const fs = require('fs');
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in chunks.
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Durable bid scheduler.
+ *
+ * Every scheduled bid is a job persisted to `jobsFilePath`:
+ *   { id, auctionId, idAuction, account, leg, fireAt, prewarmAt, prewarmedAt,
+ *     state, createdAt, updatedAt, error }
+ * `leg` is the strategy leg the job bids (see bid-strategy.js); 0 for single bids.
+ * States: pending -> running -> done | failed, pending -> canceled,
+ * and pending -> missed when the fire time passed while the app was down
+ * (missed jobs wait for the user to fire() or skip() them).
+ *
+ * handlers.onFire(job) is called when a job's time comes; it should place the
+ * bid and throw on failure. handlers.onPrewarm(job), if given, runs at
+ * `prewarmAt` to get the page ready; its errors are logged and ignored.
+ * handlers.log(level, message, context), if given, gets what the scheduler
+ * has to report (see AuditLog.log).
+ */
+class BidScheduler {
+  constructor(jobsFilePath, handlers) {
+    this._filePath = jobsFilePath;
+    this._onFire = handlers.onFire;
+    this._onPrewarm = handlers.onPrewarm;
+    this._log = handlers.log || (() => {});
+    this._timers = {};
+    this._prewarmTimers = {};
+    this._jobs = this._load();
+  }
+
+  //#region Public API
+
+  list() {
+    return this._jobs.slice();
+  }
+
+  missed() {
+    return this._jobs.filter(j => j.state === 'missed');
+  }
+
+  pending() {
+    return this._jobs.filter(j => j.state === 'pending');
+  }
+
+  /**
+   * Persist a new pending job and arm its timers.
+   * `prewarmSeconds` > 0 also arms the pre-warm stage that many seconds earlier.
+   */
+  schedule(auction, fireAt, prewarmSeconds, leg = 0) {
+    const now = new Date().toISOString();
+    const fireTime = new Date(fireAt).getTime();
+    const job = {
+      id: `${auction.id}-${leg}-${Date.now()}`,
+      auctionId: auction.id,
+      idAuction: auction.idAuction,
+      account: auction.account,
+      leg,
+      fireAt: new Date(fireTime).toISOString(),
+      prewarmAt: prewarmSeconds > 0 ? new Date(fireTime - prewarmSeconds * 1000).toISOString() : '',
+      prewarmedAt: '',
+      state: 'pending',
+      createdAt: now,
+      updatedAt: now,
+      error: '',
+    };
+    this._jobs.push(job);
+    this._save();
+    this._arm(job);
+    this._log('debug', `scheduled ${job.idAuction} (${job.account}) at ${job.fireAt}`, jobContext(job));
+    return job;
+  }
+
+  /**
+   * Called once on startup. Pending jobs still in the future are re-armed;
+   * those whose time already passed become 'missed' and are returned.
+   */
+  rehydrate() {
+    const now = Date.now();
+    const missed = [];
+    for (const job of this._jobs) {
+      // A job caught mid-run by a crash is reported too: we can't know if the bid went out.
+      if (job.state !== 'pending' && job.state !== 'running') continue;
+      if (job.state === 'running' || new Date(job.fireAt).getTime() <= now) {
+        this._setState(job, 'missed');
+        missed.push(job);
+      } else {
+        this._arm(job);
+      }
+    }
+    this._save();
+    this._log('info', `rehydrated => ${this.pending().length} re-armed, ${missed.length} missed`);
+    return missed;
+  }
+
+  /** Fire a missed job now, at the user's request. */
+  async fire(jobId) {
+    const job = this._find(jobId);
+    if (!job || job.state !== 'missed') return false;
+    await this._run(job);
+    return true;
+  }
+
+  skip(jobId) {
+    const job = this._find(jobId);
+    if (!job || job.state !== 'missed') return false;
+    this._setState(job, 'skipped');
+    this._save();
+    return true;
+  }
+
+  /** Stop every pending timer, keeping the jobs on disk as 'canceled'. */
+  cancelAll() {
+    for (const job of this._jobs) {
+      if (job.state === 'pending') this._setState(job, 'canceled');
+    }
+    this._clearTimers();
+    this._save();
+  }
+
+  /**
+   * Before a fresh round of scheduling: drops the pending jobs (stopping their
+   * timers) and the finished ones. Missed jobs stay until the user fires or
+   * skips them, running ones until they finish.
+   */
+  reset() {
+    this._clearTimers();
+    this._jobs = this._jobs.filter(j => j.state === 'missed' || j.state === 'running');
+    this._save();
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  _arm(job) {
+    const delay = new Date(job.fireAt).getTime() - Date.now();
+    if (delay > MAX_TIMER_DELAY) {
+      // Arm both stages once we are within timer range
+      this._timers[job.id] = setTimeout(() => this._arm(job), MAX_TIMER_DELAY);
+      return;
+    }
+    if (job.prewarmAt && !job.prewarmedAt && this._onPrewarm) {
+      this._armPrewarm(job);
+    }
+    this._timers[job.id] = setTimeout(() => {
+      delete this._timers[job.id];
+      if (job.state === 'pending') this._run(job);
+    }, Math.max(delay, 0));
+  }
+
+  _armPrewarm(job) {
+    const delay = new Date(job.prewarmAt).getTime() - Date.now();
+    this._prewarmTimers[job.id] = setTimeout(async () => {
+      delete this._prewarmTimers[job.id];
+      if (job.state !== 'pending') return;
+      try {
+        await this._onPrewarm(job);
+        job.prewarmedAt = new Date().toISOString();
+        this._save();
+      } catch (err) {
+        this._log('warn', `pre-warm for ${job.id} failed => ${err.message}`, jobContext(job, err));
+      }
+    }, Math.max(delay, 0));
+  }
+
+  async _run(job) {
+    this._setState(job, 'running');
+    this._save();
+    try {
+      await this._onFire(job);
+      this._setState(job, 'done');
+    } catch (err) {
+      this._log('error', `job ${job.id} failed => ${err.message}`, jobContext(job, err));
+      job.error = err.message || String(err);
+      this._setState(job, 'failed');
+    }
+    this._save();
+  }
+
+  _setState(job, state) {
+    job.state = state;
+    job.updatedAt = new Date().toISOString();
+  }
+
+  _find(jobId) {
+    return this._jobs.find(j => j.id === jobId);
+  }
+
+  _clearTimers() {
+    for (const id of Object.keys(this._timers)) {
+      clearTimeout(this._timers[id]);
+    }
+    for (const id of Object.keys(this._prewarmTimers)) {
+      clearTimeout(this._prewarmTimers[id]);
+    }
+    this._timers = {};
+    this._prewarmTimers = {};
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this._filePath)) return [];
+      return JSON.parse(fs.readFileSync(this._filePath, 'utf8')).jobs || [];
+    } catch (err) {
+      this._log('error', `load error => ${err.message}`, { error: err });
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      fs.writeFileSync(this._filePath, JSON.stringify({ jobs: this._jobs }, null, 2), 'utf8');
+    } catch (err) {
+      this._log('error', `save error => ${err.message}`, { error: err });
+    }
+  }
+
+  //#endregion
+}
+
+function jobContext(job, error) {
+  return { account: job.account, auctionId: job.auctionId, idAuction: job.idAuction, leg: job.leg, error };
+}
+
+module.exports = { BidScheduler };
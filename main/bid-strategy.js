@@ -0,0 +1,222 @@
+// bid-strategy.js
+
+const { wallClockToUtc, formatWallClock, isUtcInstant, DEFAULT_TIME_ZONE } = require('./auction-time');
+
+/**
+ * How an auction is bid, stored on the record as `strategy`:
+ *   { type: 'fixed' }                        bid `bidProxy` at timeToBid (the default)
+ *   { type: 'ladder', steps: [{ rate, afterSeconds }] }
+ *                                            one bid per step, `afterSeconds` after timeToBid;
+ *                                            a step only goes out when we were outbid
+ *   { type: 'ifAbove', threshold }           bid `bidProxy` at timeToBid only if the current
+ *                                            winning rate is above `threshold`
+ *   { type: 'snipe', closesAt, leadSeconds, decrement }
+ *                                            `leadSeconds` before the lot closes (`closesAt`,
+ *                                            a UTC instant), bid `decrement` under the current
+ *                                            winning rate, never below `bidProxy`
+ * Rates are bid down: a lower rate beats a higher one.
+ *
+ * planBidLegs() turns a strategy into timed legs (one scheduler job each) and
+ * decideBid() picks the rate for a leg at fire time from what the lot shows.
+ */
+const STRATEGY_TYPES = ['fixed', 'ladder', 'ifAbove', 'snipe'];
+
+const STRATEGY_LABELS = {
+  fixed: 'Fixed rate',
+  ladder: 'Descending ladder',
+  ifAbove: 'Only if winning above',
+  snipe: 'Final-seconds snipe',
+};
+
+const SNIPE_DEFAULTS = { leadSeconds: 10, decrement: 0.25 };
+
+/** The auction's strategy with defaults filled in. Throws on an invalid one. */
+function resolveStrategy(auction) {
+  const strategy = Object.assign({ type: 'fixed' }, auction.strategy);
+  const errors = validateStrategy(strategy);
+  if (errors.length) {
+    throw new Error(`Auction ${auction.idAuction}: ${errors.join('; ')}`);
+  }
+  if (strategy.type === 'snipe') {
+    return Object.assign({}, SNIPE_DEFAULTS, strategy);
+  }
+  if (strategy.type === 'ladder') {
+    strategy.steps = strategy.steps.slice().sort((a, b) => a.afterSeconds - b.afterSeconds);
+  }
+  return strategy;
+}
+
+/** Problems with a strategy, as readable messages (empty when valid). */
+function validateStrategy(strategy) {
+  const errors = [];
+  const isNumber = v => typeof v === 'number' && !isNaN(v);
+  if (!STRATEGY_TYPES.includes(strategy.type)) {
+    errors.push(`unknown strategy "${strategy.type}"`);
+  } else if (strategy.type === 'ladder') {
+    if (!Array.isArray(strategy.steps) || !strategy.steps.length) {
+      errors.push('a ladder needs at least one step');
+    } else if (strategy.steps.some(s => !isNumber(s.rate) || !isNumber(s.afterSeconds) || s.afterSeconds < 0)) {
+      errors.push('ladder steps need a rate and afterSeconds >= 0');
+    }
+  } else if (strategy.type === 'ifAbove') {
+    if (!isNumber(strategy.threshold)) errors.push('"only if above" needs a threshold rate');
+  } else if (strategy.type === 'snipe') {
+    if (!isUtcInstant(strategy.closesAt)) errors.push('a snipe needs the time the lot closes');
+    if (strategy.leadSeconds !== undefined && (!isNumber(strategy.leadSeconds) || strategy.leadSeconds < 0)) {
+      errors.push('snipe lead must be a number of seconds');
+    }
+    if (strategy.decrement !== undefined && (!isNumber(strategy.decrement) || strategy.decrement < 0)) {
+      errors.push('snipe decrement must be a positive rate');
+    }
+  }
+  return errors;
+}
+
+/** Ladders carry their own rates; every other strategy bids from a `bidProxy` above 0. */
+function hasRateToBid(auction) {
+  if (auction.strategy && auction.strategy.type === 'ladder') {
+    return Array.isArray(auction.strategy.steps) && auction.strategy.steps.length > 0;
+  }
+  return parseFloat(auction.bidProxy) > 0;
+}
+
+/** Whether decideBid() needs an up-to-date winning rate, i.e. the lot reloaded at fire time. */
+function needsWinningRate(strategy) {
+  return strategy.type !== 'fixed';
+}
+
+/**
+ * Timed legs of the auction's strategy: [{ leg, at (ISO instant), rate }].
+ * `rate` is the planned rate, or null when it is only known at fire time.
+ */
+function planBidLegs(auction) {
+  const strategy = resolveStrategy(auction);
+  const start = new Date(auction.timeToBid).getTime();
+  if (isNaN(start)) return [];
+  const proxy = parseFloat(auction.bidProxy) || 0;
+  const at = ms => new Date(ms).toISOString();
+
+  switch (strategy.type) {
+    case 'ladder':
+      return strategy.steps.map((step, leg) => ({ leg, at: at(start + step.afterSeconds * 1000), rate: step.rate }));
+    case 'snipe':
+      return [{ leg: 0, at: at(new Date(strategy.closesAt).getTime() - strategy.leadSeconds * 1000), rate: null }];
+    default:
+      return [{ leg: 0, at: at(start), rate: proxy }];
+  }
+}
+
+/**
+ * Rate to submit for leg `legIndex`, or a reason to skip it.
+ *   winningRate:       the lot's current winning rate (null when nobody has bid)
+ *   lastSubmittedRate: our last accepted rate on this auction, if any
+ * Returns { rate, reason } or { skip: true, reason }.
+ */
+function decideBid(auction, legIndex, { winningRate = null, lastSubmittedRate = null } = {}) {
+  const strategy = resolveStrategy(auction);
+  const proxy = parseFloat(auction.bidProxy) || 0;
+  const hasWinner = winningRate !== null && winningRate !== undefined;
+
+  switch (strategy.type) {
+    case 'ladder': {
+      const step = strategy.steps[legIndex];
+      if (!step) return { skip: true, reason: `Ladder has no step ${legIndex + 1}` };
+      if (lastSubmittedRate !== null && hasWinner && winningRate >= lastSubmittedRate) {
+        return { skip: true, reason: `Still winning at ${lastSubmittedRate}%` };
+      }
+      if (hasWinner && step.rate >= winningRate) {
+        return { skip: true, reason: `Step ${step.rate}% would not beat the winning ${winningRate}%` };
+      }
+      return { rate: step.rate, reason: `Ladder step ${legIndex + 1}/${strategy.steps.length}` };
+    }
+    case 'ifAbove':
+      if (hasWinner && winningRate <= strategy.threshold) {
+        return { skip: true, reason: `Winning rate ${winningRate}% is not above ${strategy.threshold}%` };
+      }
+      return { rate: proxy, reason: hasWinner ? `Winning rate ${winningRate}% is above ${strategy.threshold}%` : 'No bids yet' };
+    case 'snipe': {
+      if (!hasWinner) return { rate: proxy, reason: 'No bids yet' };
+      const rate = Math.round((winningRate - strategy.decrement) * 100) / 100;
+      if (rate < proxy) {
+        return { skip: true, reason: `Beating ${winningRate}% would go below our floor of ${proxy}%` };
+      }
+      return { rate, reason: `${strategy.decrement} under the winning ${winningRate}%` };
+    }
+    default:
+      return { rate: proxy, reason: 'Fixed rate' };
+  }
+}
+
+/**
+ * Parameter text for the auctions table, and back:
+ *   ladder  "10@0, 8@30, 6@60"          (rate@seconds after timeToBid)
+ *   ifAbove "12"                        (threshold)
+ *   snipe   "03/05/2025 14:30, 10, 0.25" (close in `timeZone`, lead seconds, decrement)
+ */
+function strategyToText(strategy, timeZone = DEFAULT_TIME_ZONE) {
+  if (!strategy) return '';
+  switch (strategy.type) {
+    case 'ladder':
+      return (strategy.steps || []).map(s => `${s.rate}@${s.afterSeconds}`).join(', ');
+    case 'ifAbove':
+      return strategy.threshold === undefined ? '' : String(strategy.threshold);
+    case 'snipe':
+      return `${strategy.closesAt ? formatWallClock(strategy.closesAt, timeZone) : ''}, `
+        + `${strategy.leadSeconds === undefined ? SNIPE_DEFAULTS.leadSeconds : strategy.leadSeconds}, `
+        + `${strategy.decrement === undefined ? SNIPE_DEFAULTS.decrement : strategy.decrement}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Strategy from a type and its parameter text, times read in `timeZone`.
+ * Throws with a readable message when invalid.
+ */
+function strategyFromText(type, text, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = String(text || '').split(',').map(p => p.trim()).filter(Boolean);
+  let strategy;
+  switch (type) {
+    case 'ladder':
+      strategy = {
+        type,
+        steps: parts.map(p => {
+          const [rate, afterSeconds] = p.split('@').map(parseFloat);
+          return { rate, afterSeconds: isNaN(afterSeconds) ? 0 : afterSeconds };
+        }),
+      };
+      break;
+    case 'ifAbove':
+      strategy = { type, threshold: parseFloat(parts[0]) };
+      break;
+    case 'snipe': {
+      // Positional, so an empty close time stays in its place
+      const [close, lead, decrement] = String(text || '').split(',').map(p => p.trim());
+      strategy = {
+        type,
+        closesAt: wallClockToUtc(close || '', timeZone),
+        leadSeconds: lead ? parseFloat(lead) : SNIPE_DEFAULTS.leadSeconds,
+        decrement: decrement ? parseFloat(decrement) : SNIPE_DEFAULTS.decrement,
+      };
+      break;
+    }
+    default:
+      strategy = { type: 'fixed' };
+  }
+  const errors = validateStrategy(strategy);
+  if (errors.length) throw new Error(errors.join('; '));
+  return strategy;
+}
+
+module.exports = {
+  STRATEGY_TYPES,
+  STRATEGY_LABELS,
+  resolveStrategy,
+  validateStrategy,
+  hasRateToBid,
+  needsWinningRate,
+  planBidLegs,
+  decideBid,
+  strategyToText,
+  strategyFromText,
+};
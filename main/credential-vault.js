@@ -0,0 +1,218 @@
+// credential-vault.js
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const VAULT_VERSION = 1;
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const PASSWORD_MASK = '••••••••';
+
+/**
+ * Encrypted store for account credentials.
+ *
+ * The file on disk holds an scrypt salt plus one AES-256-GCM blob with the
+ * whole credentials list, and a second one (`secrets`) with the other
+ * passwords the app needs, by name. A master passphrase derives the key on unlock; the
+ * key stays in memory until lock() and the blob is only decrypted on demand,
+ * so plaintext passwords never leave the main process.
+ */
+class CredentialVault {
+  constructor(vaultFilePath) {
+    this._filePath = vaultFilePath;
+    this._key = null;
+    this._salt = null;
+  }
+
+  //#region Public API
+
+  exists() {
+    return fs.existsSync(this._filePath);
+  }
+
+  isUnlocked() {
+    return !!this._key;
+  }
+
+  /**
+   * Unlocks an existing vault, or creates a new one protected by `passphrase`.
+   * Throws when the passphrase does not match the stored vault.
+   */
+  unlock(passphrase) {
+    if (!passphrase) throw new Error('Vault: passphrase is required');
+
+    if (!this.exists()) {
+      this._salt = crypto.randomBytes(16);
+      this._key = deriveKey(passphrase, this._salt, SCRYPT_PARAMS);
+      this._write([]);
+      return { created: true };
+    }
+
+    const stored = this._readFile();
+    const salt = Buffer.from(stored.kdf.salt, 'base64');
+    const key = deriveKey(passphrase, salt, stored.kdf);
+    try {
+      decrypt(key, stored);
+    } catch (err) {
+      throw new Error('Vault: wrong passphrase');
+    }
+    this._salt = salt;
+    this._key = key;
+    return { created: false };
+  }
+
+  lock() {
+    this._key = null;
+    this._salt = null;
+  }
+
+  /** Full credentials, passwords included. Main process only. */
+  list() {
+    this._assertUnlocked();
+    return decrypt(this._key, this._readFile());
+  }
+
+  /** Credentials safe to hand to the renderer. */
+  listMasked() {
+    return this.list().map(maskCredential);
+  }
+
+  getPassword(username) {
+    const cred = this.list().find(c => c.username === username);
+    return cred ? cred.password : '';
+  }
+
+  /**
+   * Replaces the stored list. Entries whose `password` is empty or still the
+   * mask keep the one already stored under the same id, so the renderer can
+   * send back masked rows untouched.
+   */
+  save(credentials) {
+    const existing = this.list();
+    const merged = credentials.map(c => {
+      const previous = existing.find(e => e.id === c.id);
+      const changed = c.password && c.password !== PASSWORD_MASK;
+      const password = changed ? c.password : (previous ? previous.password : '');
+      return { id: c.id, username: c.username, password, site: c.site || '' };
+    });
+    this._write(merged);
+    return true;
+  }
+
+  /**
+   * Moves credentials found in a legacy plaintext file into the vault.
+   * Returns how many were added; usernames already present are left alone.
+   */
+  migrate(plaintextCredentials) {
+    const existing = this.list();
+    let maxId = existing.reduce((acc, c) => Math.max(acc, c.id || 0), 0);
+    let migrated = 0;
+    for (const cred of plaintextCredentials) {
+      if (!cred.username || existing.some(e => e.username === cred.username)) continue;
+      const idTaken = existing.some(e => e.id === cred.id);
+      const id = cred.id && !idTaken ? cred.id : maxId + 1;
+      maxId = Math.max(maxId, id);
+      existing.push({ id, username: cred.username, password: cred.password || '', site: cred.site || '' });
+      migrated++;
+    }
+    if (migrated) this._write(existing);
+    return migrated;
+  }
+
+  /** Secret `name` (the proxy password, say); '' when none is stored. */
+  getSecret(name) {
+    return this._secrets()[name] || '';
+  }
+
+  /** Stores secret `name`; an empty value removes it. */
+  setSecret(name, value) {
+    const secrets = this._secrets();
+    if (value) secrets[name] = value;
+    else delete secrets[name];
+    this._write(this.list(), secrets);
+  }
+
+  /**
+   * Encrypts any JSON value with the vault key, for other secrets written to
+   * disk (saved browser sessions, see session-pool.js).
+   */
+  seal(value) {
+    this._assertUnlocked();
+    return Object.assign({ version: VAULT_VERSION }, encrypt(this._key, value));
+  }
+
+  /** Reverses seal(). Throws when locked or when sealed under another vault. */
+  unseal(sealed) {
+    this._assertUnlocked();
+    return decrypt(this._key, sealed);
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  _assertUnlocked() {
+    if (!this._key) throw new Error('Vault is locked');
+  }
+
+  _readFile() {
+    return JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+  }
+
+  _secrets() {
+    this._assertUnlocked();
+    const { secrets } = this._readFile();
+    return secrets ? decrypt(this._key, secrets) : {};
+  }
+
+  /** Writes `credentials`, and `secrets` when given (else the stored ones stay). */
+  _write(credentials, secrets) {
+    const previous = this.exists() ? this._readFile() : {};
+    const stored = Object.assign({
+      version: VAULT_VERSION,
+      kdf: Object.assign({ name: 'scrypt', salt: this._salt.toString('base64') }, SCRYPT_PARAMS),
+    }, encrypt(this._key, credentials));
+    if (secrets) stored.secrets = encrypt(this._key, secrets);
+    else if (previous.secrets) stored.secrets = previous.secrets;
+    fs.writeFileSync(this._filePath, JSON.stringify(stored, null, 2), 'utf8');
+  }
+
+  //#endregion
+}
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, { N, r, p });
+}
+
+/** { iv, tag, data } of `value` as JSON, base64-encoded. */
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(key, stored) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+  const plain = Buffer.concat([
+    decipher.update(Buffer.from(stored.data, 'base64')),
+    decipher.final(),
+  ]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+function maskCredential(cred) {
+  return {
+    id: cred.id,
+    username: cred.username,
+    password: cred.password ? PASSWORD_MASK : '',
+    site: cred.site || '',
+  };
+}
+
+module.exports = { CredentialVault, PASSWORD_MASK };
@@ -0,0 +1,177 @@
+// data-schema.js
+
+const fs = require('fs');
+const { isUtcInstant, normalizeAuctionTime } = require('./auction-time');
+const { validateStrategy } = require('./bid-strategy');
+
+/**
+ * Shape of the old data file (credentials.json), of exports and of what
+ * the store (auction-store.js) loads:
+ *   { schemaVersion, credentials: [credential], auctions: [auction] }
+ *
+ * Versions:
+ *   1  no schemaVersion; timeToBid an unzoned "MM/DD/YYYY HH:mm" local time
+ *   2  timeToBid an ISO UTC instant plus the auction's timeZone
+ *
+ * migrateData() upgrades an older file one version at a time with MIGRATIONS;
+ * validateData() lists what is wrong with a current one in readable form.
+ */
+const DATA_SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] turns a version n file into version n + 1 (in place).
+// Entries that are not objects are skipped, left for validateData to report.
+const MIGRATIONS = {
+  1: data => {
+    data.auctions.filter(isObject).forEach(a => normalizeAuctionTime(a));
+  },
+};
+
+/** Thrown when data does not match the schema; `errors` holds one line per problem. */
+class DataValidationError extends Error {
+  constructor(errors, context = 'Invalid data') {
+    const shown = errors.slice(0, 15);
+    const more = errors.length > shown.length ? `\n...and ${errors.length - shown.length} more` : '';
+    super(`${context}:\n- ${shown.join('\n- ')}${more}`);
+    this.name = 'DataValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Brings parsed file contents to DATA_SCHEMA_VERSION.
+ * Returns { data, fromVersion }; throws when the file is not a data file or
+ * comes from a newer version of the app.
+ */
+function migrateData(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new DataValidationError(['the file is not a JSON object'], 'Not a data file');
+  }
+  const fromVersion = parsed.schemaVersion === undefined ? 1 : parsed.schemaVersion;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new DataValidationError([`unknown schemaVersion ${JSON.stringify(parsed.schemaVersion)}`], 'Not a data file');
+  }
+  if (fromVersion > DATA_SCHEMA_VERSION) {
+    throw new DataValidationError(
+      [`schemaVersion ${fromVersion} is newer than this app understands (${DATA_SCHEMA_VERSION})`],
+      'Made by a newer version');
+  }
+
+  const data = {
+    credentials: parsed.credentials === undefined ? [] : parsed.credentials,
+    auctions: parsed.auctions === undefined ? [] : parsed.auctions,
+  };
+  // Migrations assume the lists; a broken file or entry is left for validateData to report
+  if (Array.isArray(data.credentials) && Array.isArray(data.auctions)) {
+    for (let version = fromVersion; version < DATA_SCHEMA_VERSION; version++) {
+      MIGRATIONS[version](data);
+    }
+  }
+  data.schemaVersion = DATA_SCHEMA_VERSION;
+  return { data, fromVersion };
+}
+
+/**
+ * Reads a data file (an export, or the old credentials.json) and brings it
+ * to the current version. Returns { data, fromVersion, errors } with the
+ * problems validateData() found; options.strict throws them as a
+ * DataValidationError instead. Throws when the file cannot be read or is not
+ * a data file.
+ */
+function readDataFile(filePath, options = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err instanceof SyntaxError) throw new Error(`${filePath} is not valid JSON: ${err.message}`);
+    throw err;
+  }
+  const { data, fromVersion } = migrateData(parsed);
+  const errors = validateData(data);
+  if (errors.length && options.strict) throw new DataValidationError(errors, `${filePath} has problems`);
+  return { data, fromVersion, errors };
+}
+
+/** Problems with data at the current version, e.g. 'Auction 3 (tof/3449): bidProxy must be a number'. */
+function validateData(data) {
+  const errors = [];
+  if (!Array.isArray(data.credentials)) errors.push('credentials must be a list');
+  if (!Array.isArray(data.auctions)) errors.push('auctions must be a list');
+  if (errors.length) return errors;
+
+  data.credentials.forEach((cred, i) => {
+    validateCredential(cred).forEach(e => errors.push(`Credential ${i + 1}${cred && cred.username ? ` (${cred.username})` : ''}: ${e}`));
+  });
+
+  const ids = new Set();
+  data.auctions.forEach((auction, i) => {
+    const label = `Auction ${auction && auction.id !== undefined ? auction.id : `#${i + 1}`}`
+      + `${auction && auction.idAuction ? ` (${auction.idAuction})` : ''}`;
+    validateAuction(auction).forEach(e => errors.push(`${label}: ${e}`));
+    if (auction && auction.id !== undefined) {
+      if (ids.has(auction.id)) errors.push(`${label}: id ${auction.id} is used twice`);
+      ids.add(auction.id);
+    }
+  });
+  return errors;
+}
+
+function validateCredential(cred) {
+  if (!isObject(cred)) return ['must be an object'];
+  const errors = [];
+  if (typeof cred.username !== 'string' || !cred.username.trim()) errors.push('username is required');
+  ['password', 'site'].forEach(field => {
+    if (cred[field] !== undefined && typeof cred[field] !== 'string') errors.push(`${field} must be text`);
+  });
+  return errors;
+}
+
+function validateAuction(auction) {
+  if (!isObject(auction)) return ['must be an object'];
+  const errors = [];
+  if (!Number.isInteger(auction.id)) errors.push('id must be a whole number');
+  if (typeof auction.idAuction !== 'string' || !auction.idAuction.trim()) errors.push('idAuction is required');
+  if (auction.timeToBid !== '' && !isUtcInstant(auction.timeToBid)) {
+    errors.push(`timeToBid must be an ISO UTC time, got ${JSON.stringify(auction.timeToBid)}`);
+  }
+  if (!isTimeZone(auction.timeZone)) errors.push(`timeZone ${JSON.stringify(auction.timeZone)} is not a known time zone`);
+  if (!isNumeric(auction.bidProxy) || parseFloat(auction.bidProxy) < 0) {
+    errors.push(`bidProxy must be a number of 0 or more, got ${JSON.stringify(auction.bidProxy)}`);
+  }
+  ['address', 'account', 'bidPlaced', 'site'].forEach(field => {
+    if (auction[field] !== undefined && typeof auction[field] !== 'string') errors.push(`${field} must be text`);
+  });
+  if (auction.prewarmSeconds !== undefined && !(typeof auction.prewarmSeconds === 'number' && auction.prewarmSeconds >= 0)) {
+    errors.push('prewarmSeconds must be a number of seconds');
+  }
+  if (auction.strategy !== undefined) {
+    if (!isObject(auction.strategy)) errors.push('strategy must be an object');
+    else validateStrategy(auction.strategy).forEach(e => errors.push(`strategy: ${e}`));
+  }
+  ['retryPolicy', 'metadata', 'lotState', 'simulation', 'watch'].forEach(field => {
+    if (auction[field] !== undefined && auction[field] !== null && !isObject(auction[field])) errors.push(`${field} must be an object`);
+  });
+  if (auction.history !== undefined && !Array.isArray(auction.history)) errors.push('history must be a list');
+  if (auction.watched !== undefined && typeof auction.watched !== 'boolean') errors.push('watched must be true or false');
+  return errors;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return !isNaN(value);
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+}
+
+function isTimeZone(zone) {
+  if (typeof zone !== 'string' || !zone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = { DATA_SCHEMA_VERSION, DataValidationError, migrateData, validateData, readDataFile };
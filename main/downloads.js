@@ -0,0 +1,47 @@
+// downloads.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Chrome writes a download under this suffix and renames it when done
+const PARTIAL_SUFFIX = '.crdownload';
+const POLL_MS = 500;
+
+/**
+ * A fresh folder for one extraction run under `baseDir`, with one
+ * sub-folder per search (see searchDir), so a run never picks up a file
+ * left behind by an earlier one.
+ */
+function createRunDir(baseDir) {
+  fs.mkdirSync(baseDir, { recursive: true });
+  return fs.mkdtempSync(path.join(baseDir, `run-${new Date().toISOString().replace(/[:.]/g, '-')}-`));
+}
+
+function searchDir(runDir, index) {
+  const dir = path.join(runDir, `search-${index + 1}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Path of the first file ending in `extension` in `dir` once it is complete:
+ * no partial download is left and its size held still between two polls.
+ * Resolves '' when nothing complete showed up within `timeoutMs`.
+ */
+async function waitForDownload(dir, extension, timeoutMs) {
+  let lastSize = -1;
+  for (let waited = 0; waited < timeoutMs; waited += POLL_MS) {
+    const files = fs.readdirSync(dir);
+    const file = files.find(f => f.toLowerCase().endsWith(extension));
+    if (file && !files.some(f => f.endsWith(PARTIAL_SUFFIX))) {
+      const filePath = path.join(dir, file);
+      const { size } = fs.statSync(filePath);
+      if (size > 0 && size === lastSize) return filePath;
+      lastSize = size;
+    }
+    await new Promise(r => setTimeout(r, POLL_MS));
+  }
+  return '';
+}
+
+module.exports = { createRunDir, searchDir, waitForDownload };
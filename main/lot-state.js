@@ -0,0 +1,82 @@
+// lot-state.js
+
+const { wallClockToUtc } = require('./auction-time');
+
+// Where the auction page shows the lot's state before bidding. Site adapters
+// may pass their own lists (see the selector config); the winning rate is
+// read with the outcome's winningRate selectors.
+const DEFAULT_LOT_STATE_SELECTORS = {
+  status: ['.auction-status', '.lot-status', '.status-badge'],
+  bidderCount: ['.bidder-count', '[data-bidder-count]'],
+  startTime: ['.auction-start', '[data-auction-start]'],
+};
+
+// "MM/DD/YYYY HH:mm[ AM|PM]" inside the start time text
+const START_TIME_PATTERN = /\d{1,2}\/\d{1,2}\/\d{4}\s+\d{1,2}:\d{2}(:\d{2})?(\s*[AaPp][Mm])?/;
+
+// Checked in order: a redeemed or withdrawn lot often also reads "closed".
+const STATUS_PATTERNS = [
+  ['withdrawn', /withdrawn|cancel+ed|removed from (the )?sale/i],
+  ['redeemed', /redeemed|redemption/i],
+  ['closed', /closed|ended|sold|bidding is over/i],
+];
+
+/**
+ * Reads the open lot page: status, bidder count and start time texts, and the
+ * winning rate. Returns raw texts; parseLotState() decides what they mean.
+ */
+async function readLotState(page, selectors = DEFAULT_LOT_STATE_SELECTORS, winningRateSelectors = []) {
+  return page.evaluate((statusSels, bidderSels, startSels, rateSels) => {
+    const firstText = sels => {
+      for (const sel of sels) {
+        const el = document.querySelector(sel);
+        const text = el && (el.innerText || el.textContent || '').trim();
+        if (text) return text;
+      }
+      return '';
+    };
+    const rateText = firstText(rateSels);
+    const rateMatch = rateText.match(/(\d+(\.\d+)?)\s*%?/);
+    return {
+      statusText: firstText(statusSels),
+      bidderText: firstText(bidderSels),
+      startText: firstText(startSels || []),
+      winningRate: rateMatch ? parseFloat(rateMatch[1]) : null,
+    };
+  }, selectors.status, selectors.bidderCount, selectors.startTime, winningRateSelectors);
+}
+
+/**
+ * { status, statusText, bidderCount, winningRate, startTime } from what the
+ * page showed. status is 'open' | 'closed' | 'withdrawn' | 'redeemed'; a lot
+ * without a recognised status text counts as open. startTime is an ISO
+ * instant read in the site's `timeZone`, or '' when the page shows none.
+ */
+function parseLotState({ statusText = '', bidderText = '', startText = '', winningRate = null }, timeZone) {
+  const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(statusText));
+  const bidders = String(bidderText).match(/\d+/);
+  const start = String(startText).match(START_TIME_PATTERN);
+  return {
+    status: match ? match[0] : 'open',
+    statusText,
+    bidderCount: bidders ? parseInt(bidders[0], 10) : null,
+    winningRate: winningRate === undefined ? null : winningRate,
+    startTime: start && timeZone ? wallClockToUtc(start[0], timeZone) : '',
+  };
+}
+
+/**
+ * Why bidding `rate` on a lot in `state` is pointless, or '' when it is not.
+ * Rates are bid down, so a rate at or above the winning one cannot improve it.
+ */
+function lotSkipReason(state, rate) {
+  if (state.status !== 'open') {
+    return `Lot is ${state.status}${state.statusText ? ` ("${state.statusText}")` : ''}`;
+  }
+  if (state.winningRate !== null && rate >= state.winningRate) {
+    return `${rate}% would not improve the current best of ${state.winningRate}%`;
+  }
+  return '';
+}
+
+module.exports = { DEFAULT_LOT_STATE_SELECTORS, readLotState, parseLotState, lotSkipReason };
@@ -0,0 +1,132 @@
+// lot-watcher.js
+
+const { formatWallClock, zoneAbbreviation } = require('./auction-time');
+
+// Lot state fields compared between two watch passes
+const WATCHED_FIELDS = ['status', 'startTime', 'winningRate', 'bidderCount'];
+
+/**
+ * Watch mode: every `intervalMs`, `check()` visits the watched auctions and
+ * records what changed (see diffLotSnapshots). Passes never overlap; a pass
+ * still running when the next one is due makes that one a no-op.
+ * `log(level, message, context)`, if given, is told about failed passes.
+ */
+class LotWatcher {
+  constructor(intervalMs, check, log) {
+    this.intervalMs = intervalMs;
+    this._check = check;
+    this._log = log || (() => {});
+    this._timer = null;
+    this._running = false;
+    this.lastPassAt = '';
+    this.lastError = '';
+  }
+
+  //#region Public API
+
+  isWatching() {
+    return this._timer !== null;
+  }
+
+  /** Starts watching; the first pass runs right away. */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.runPass(), this.intervalMs);
+    this.runPass();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /** A new interval; while watching, the next pass is one interval from now. */
+  setIntervalMs(intervalMs) {
+    if (intervalMs === this.intervalMs) return;
+    this.intervalMs = intervalMs;
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = setInterval(() => this.runPass(), this.intervalMs);
+  }
+
+  /** One pass now. Resolves false when a pass was already running. */
+  async runPass() {
+    if (this._running) return false;
+    this._running = true;
+    try {
+      await this._check();
+      this.lastError = '';
+    } catch (err) {
+      this.lastError = err.message;
+      this._log('error', `pass failed => ${err.message}`, { error: err });
+    } finally {
+      this._running = false;
+      this.lastPassAt = new Date().toISOString();
+    }
+    return true;
+  }
+
+  toJSON() {
+    return {
+      watching: this.isWatching(),
+      running: this._running,
+      intervalMinutes: this.intervalMs / 60000,
+      lastPassAt: this.lastPassAt,
+      lastError: this.lastError,
+    };
+  }
+
+  //#endregion
+}
+
+/**
+ * Changes between the lot state of the previous pass and this one, as
+ * [{ field, from, to }]. The first pass only sets the baseline, so it reports
+ * nothing. Fields the page did not show (empty or null now) are not reported,
+ * and the start time only once both passes read one (see keepStartTime).
+ */
+function diffLotSnapshots(previous, current) {
+  if (!previous) return [];
+  return WATCHED_FIELDS
+    .filter(field => current[field] !== '' && current[field] !== null && current[field] !== undefined)
+    .filter(field => field === 'startTime'
+      ? previous.startTime && !sameInstant(previous.startTime, current.startTime)
+      : previous[field] !== current[field])
+    .map(field => ({ field, from: previous[field] === undefined ? null : previous[field], to: current[field] }));
+}
+
+/**
+ * The lot state to store for the next pass: `current`, with the previous
+ * start time when this pass could not read one, so the site's start time
+ * first seen stays the baseline until the site changes it.
+ */
+function keepStartTime(previous, current) {
+  if (current.startTime || !previous || !previous.startTime) return current;
+  return Object.assign({}, current, { startTime: previous.startTime });
+}
+
+/** One change as text, times shown in the auction's `timeZone`. */
+function describeLotChange({ field, from, to }, timeZone) {
+  const time = value => (value
+    ? `${formatWallClock(value, timeZone)} ${zoneAbbreviation(value, timeZone)}`
+    : 'none');
+  const rate = value => (value === null ? 'no bids' : `${value}%`);
+  switch (field) {
+    case 'status':
+      return `status ${from || 'unknown'} → ${to}`;
+    case 'startTime':
+      return `start time ${time(from)} → ${time(to)}`;
+    case 'winningRate':
+      return `winning rate ${rate(from)} → ${rate(to)}`;
+    case 'bidderCount':
+      return `bidders ${from === null ? '?' : from} → ${to}`;
+    default:
+      return `${field} ${from} → ${to}`;
+  }
+}
+
+function sameInstant(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+module.exports = { LotWatcher, diffLotSnapshots, keepStartTime, describeLotChange };
@@ -0,0 +1,186 @@
+// puppeteer-wrapper.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { readSettings } = require('./settings');
+
+/**
+ * The one place browsers are launched, for bidding (watch mode shares those
+ * sessions), extraction, the site check and src/.
+ *
+ * Everything about the browser comes from the `browser` section of the
+ * settings file (FilePaths.settingsPath(), see settings.js), read again on
+ * every launch so an edit applies to the next browser:
+ *   executablePath  Chrome to use; '' finds one (see findChromePath)
+ *   headless        { bidding, extraction, check }: per use of the browser
+ *   proxy           { server, username, password }; server like 'http://host:3128'.
+ *                   The engine keeps the password in the credential vault instead
+ *                   and hands it over through options.proxyPassword()
+ *   userAgent       '' keeps the browser's own
+ *   viewport        { width, height }; 0 lets the window decide
+ *   args            extra Chrome command-line switches
+ *
+ * setup() / cleanup() / newPage() / browser keep the single-browser use of
+ * src/index.js; launch(purpose) hands out a new browser per caller. Tabs
+ * are opened with newPage(browser or context), which answers the proxy's
+ * login before the tab loads anything.
+ *
+ * options: { headless, width, height }, used where the settings say nothing,
+ * headlessOnly, which makes every browser headless whatever the settings
+ * say (a server without a display), and proxyPassword(), used when the
+ * settings hold no proxy password.
+ */
+
+// Where Chrome (or Chromium) usually lives, by platform; checked in order
+const CHROME_LOCATIONS = {
+  win32: [
+    path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'Google\\Chrome\\Application\\chrome.exe'),
+    path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'Google\\Chrome\\Application\\chrome.exe'),
+    path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData\\Local'), 'Google\\Chrome\\Application\\chrome.exe'),
+  ],
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    path.join(os.homedir(), 'Applications/Google Chrome.app/Contents/MacOS/Google Chrome'),
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  ],
+  linux: [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/opt/google/chrome/chrome',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/snap/bin/chromium',
+  ],
+};
+
+class PuppeteerWrapper {
+  constructor(logger, filePaths, options) {
+    this._logger = logger;
+    this._filePaths = filePaths;
+    this._options = options || { headless: true };
+
+    // Proxy login of each launched browser, for the tabs newPage() opens in it
+    this._proxyLogins = new WeakMap();
+
+    // Public
+    this.chromePath = undefined;
+    this.browser = undefined;
+  }
+
+  //#region Public API setup - cleanup
+
+  /** Launches `browser` for newPage(). Resolves false when no Chrome was found. */
+  async setup() {
+    this._logger.logInfo('Setting up puppeteer...');
+    try {
+      this.browser = await this.launch();
+    } catch (err) {
+      this._logger.logError(err.message);
+      return false;
+    }
+    this._logger.logInfo('Puppeteer initialized');
+    return true;
+  }
+
+  async cleanup() {
+    if (this.browser) await this.browser.close();
+  }
+
+  /**
+   * A new tab in `target`, a browser from launch() or one of its contexts
+   * (default: `browser`). With a proxy login it is authenticated before it
+   * is returned, so its first navigation already goes through.
+   */
+  async newPage(target = this.browser) {
+    const page = await target.newPage();
+    const login = this._proxyLogins.get(target.browser ? target.browser() : target);
+    if (login) await page.authenticate(login);
+    return page;
+  }
+
+  //#endregion
+
+  //#region Public API launch
+
+  /**
+   * A new browser set up from the settings. `purpose` picks the headless
+   * setting (bidding, extraction, check); without one the
+   * constructor's `headless` option applies. With no Chrome found puppeteer
+   * picks its own, and throws when it has none either.
+   */
+  async launch(purpose) {
+    const settings = this.settings();
+    this.chromePath = this.findChromePath(settings);
+    if (!this.chromePath) {
+      this._logger.logError(`No Chrome found; set browser.executablePath in ${this._filePaths.settingsPath()}`);
+    }
+
+    const browser = await puppeteer.launch(this.launchOptions(settings, purpose));
+    const { username } = settings.proxy;
+    if (settings.proxy.server && username) {
+      const password = settings.proxy.password || (this._options.proxyPassword ? this._options.proxyPassword() : '');
+      this._proxyLogins.set(browser, { username, password });
+      // Tabs the site opens itself (popups) do not come through newPage()
+      browser.on('targetcreated', async (target) => {
+        if (!target.opener()) return;
+        const page = await target.page().catch(() => null);
+        if (page) await page.authenticate({ username, password }).catch(() => {});
+      });
+    }
+    return browser;
+  }
+
+  /** The `browser` settings, with the constructor's size when they set none. */
+  settings() {
+    const settings = readSettings(this._filePaths.settingsPath()).settings.browser;
+    if (!settings.viewport.width && this._options.width) {
+      settings.viewport = { width: this._options.width, height: this._options.height };
+    }
+    return settings;
+  }
+
+  /** puppeteer.launch() options for `purpose`. */
+  launchOptions(settings, purpose) {
+    const { headless, proxy, userAgent, viewport } = settings;
+    const args = (settings.args || []).slice();
+    if (proxy.server) args.push(`--proxy-server=${proxy.server}`);
+    if (userAgent) args.push(`--user-agent=${userAgent}`);
+    if (viewport.width && viewport.height) args.push(`--window-size=${viewport.width},${viewport.height}`);
+    let isHeadless = purpose && headless[purpose] !== undefined ? headless[purpose] : this._options.headless;
+    if (this._options.headlessOnly) isHeadless = true;
+    return {
+      headless: isHeadless,
+      executablePath: this.chromePath || undefined,
+      // Pages fill the window; headless ones get the configured size
+      defaultViewport: viewport.width && viewport.height ? { width: viewport.width, height: viewport.height } : null,
+      args,
+    };
+  }
+
+  /**
+   * The configured executablePath when it exists, else the first Chrome
+   * found in the usual places (CHROME_LOCATIONS), else the one puppeteer
+   * downloaded; '' when there is none.
+   */
+  findChromePath(settings) {
+    if (settings.executablePath) {
+      if (fs.existsSync(settings.executablePath)) return settings.executablePath;
+      this._logger.logError(`Saved Chrome path does not exist: ${settings.executablePath}`);
+    }
+    const found = (CHROME_LOCATIONS[process.platform] || []).find(p => fs.existsSync(p));
+    if (found) return found;
+    try {
+      const bundled = puppeteer.executablePath();
+      if (bundled && fs.existsSync(bundled)) return bundled;
+    } catch (err) {
+      // no downloaded browser
+    }
+    return '';
+  }
+
+  //#endregion
+}
+
+module.exports = { PuppeteerWrapper, CHROME_LOCATIONS };
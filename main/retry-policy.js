@@ -0,0 +1,46 @@
+// retry-policy.js
+
+/**
+ * How failed logins/bids are retried.
+ *   maxAttempts:     total tries, the first one included
+ *   backoffMs:       wait before the second try
+ *   backoffFactor:   each following wait is multiplied by this
+ *   maxBackoffMs:    cap for a single wait
+ *   deadlineSeconds: no retry starts later than timeToBid + this (the first try always runs)
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoffMs: 2000,
+  backoffFactor: 2,
+  maxBackoffMs: 15000,
+  deadlineSeconds: 120,
+};
+
+function resolveRetryPolicy(overrides) {
+  return Object.assign({}, DEFAULT_RETRY_POLICY, overrides || {});
+}
+
+/** Wait before attempt number `attempt` (1-based; the first attempt never waits). */
+function backoffDelay(policy, attempt) {
+  if (attempt <= 1) return 0;
+  const delay = policy.backoffMs * Math.pow(policy.backoffFactor, attempt - 2);
+  return Math.min(delay, policy.maxBackoffMs);
+}
+
+/** Epoch ms after which no retry may start; Infinity when there is no usable timeToBid. */
+function retryDeadline(policy, timeToBid) {
+  const start = new Date(timeToBid).getTime();
+  if (isNaN(start)) return Infinity;
+  return start + policy.deadlineSeconds * 1000;
+}
+
+/**
+ * Whether a bid attempt that ended in `outcome` ({ status, submitted }) may be
+ * tried again: only an error before the confirm click. Once the click happened
+ * the bid may be in, so a retry could place a second one.
+ */
+function shouldRetryBid(outcome) {
+  return !outcome.submitted && outcome.status === 'error';
+}
+
+module.exports = { DEFAULT_RETRY_POLICY, resolveRetryPolicy, backoffDelay, retryDeadline, shouldRetryBid };
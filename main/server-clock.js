@@ -0,0 +1,107 @@
+// server-clock.js
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Offset between this machine's clock and an auction site's server clock,
+ * measured from the HTTP `Date` header. `offsetMs` > 0 means the server is
+ * ahead of us.
+ *
+ * The header only has whole seconds, so each sample bounds the offset to a
+ * window (server time lies in [Date, Date + 1s) somewhere during the request);
+ * the windows of several samples are intersected to narrow it down.
+ */
+class ServerClock {
+  constructor(url) {
+    this.url = url;
+    this.offsetMs = 0;
+    this.uncertaintyMs = null; // null until measured
+    this.measuredAt = '';
+  }
+
+  //#region Public API
+
+  isMeasured() {
+    return this.uncertaintyMs !== null;
+  }
+
+  /**
+   * Takes `samples` readings spaced `spacingMs` apart (the spacing walks the
+   * requests across a second boundary). Keeps the previous offset and
+   * rethrows when the site cannot be reached.
+   */
+  async measure(samples = 5, spacingMs = 230) {
+    let low = -Infinity;
+    let high = Infinity;
+    const midpoints = [];
+
+    for (let i = 0; i < samples; i++) {
+      if (i > 0) await new Promise(r => setTimeout(r, spacingMs));
+      const sentAt = Date.now();
+      const serverDate = await this._fetchDate();
+      const receivedAt = Date.now();
+
+      low = Math.max(low, serverDate - receivedAt);
+      high = Math.min(high, serverDate + 1000 - sentAt);
+      midpoints.push(serverDate + 500 - (sentAt + receivedAt) / 2);
+    }
+
+    if (low <= high) {
+      this.offsetMs = Math.round((low + high) / 2);
+      this.uncertaintyMs = Math.round((high - low) / 2);
+    } else {
+      // Windows disagree (server behind a cache, jittery network): fall back to the median
+      midpoints.sort((a, b) => a - b);
+      this.offsetMs = Math.round(midpoints[Math.floor(midpoints.length / 2)]);
+      this.uncertaintyMs = 1000;
+    }
+    this.measuredAt = new Date().toISOString();
+    return this.offsetMs;
+  }
+
+  /** Our local time at which the server clock reaches `serverInstant`. */
+  toLocal(serverInstant) {
+    return new Date(new Date(serverInstant).getTime() - this.offsetMs);
+  }
+
+  /** Current time on the server's clock, as far as we know. */
+  now() {
+    return new Date(Date.now() + this.offsetMs);
+  }
+
+  toJSON() {
+    return {
+      url: this.url,
+      offsetMs: this.offsetMs,
+      uncertaintyMs: this.uncertaintyMs,
+      measuredAt: this.measuredAt,
+    };
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  _fetchDate() {
+    const client = this.url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(this.url, { method: 'HEAD', timeout: 10000 }, res => {
+        res.resume();
+        const date = Date.parse(res.headers.date);
+        if (isNaN(date)) {
+          reject(new Error(`ServerClock: no Date header from ${this.url}`));
+        } else {
+          resolve(date);
+        }
+      });
+      req.on('timeout', () => req.destroy(new Error(`ServerClock: ${this.url} timed out`)));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  //#endregion
+}
+
+module.exports = { ServerClock };
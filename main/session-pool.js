@@ -0,0 +1,321 @@
+// session-pool.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TabQueue } = require('./tab-queue');
+
+/**
+ * Browser sessions of the bidding accounts.
+ *
+ * Every account gets its own isolated (incognito) browser context, so the
+ * accounts never share cookies. Work for the account runs on its tabs
+ * through `session.tabs`, up to `maxTabsPerAccount` at once (see
+ * tab-queue.js); `session.page` is the first one. Contexts are packed
+ * into browsers `accountsPerBrowser` at a time (0: all in one browser,
+ * 1: a browser per account); once `maxBrowsers` are running the least busy
+ * one takes the extra accounts.
+ *
+ * An account's cookies, and the site's localStorage, are saved under
+ * `sessionsDir` after each login and when its session closes. They are
+ * sealed with the credential vault and put back when the session is opened
+ * again, so a restart does not mean a new login: a restored session counts
+ * as logged in until a page shows the login form.
+ *
+ * options:
+ *   launch()            resolves a new puppeteer Browser
+ *   newPage(context)    resolves a new tab in `context` (default context.newPage())
+ *   maxBrowsers         hard limit on running browsers (default 1)
+ *   accountsPerBrowser  see above (default 0)
+ *   maxTabsPerAccount   tabs one account may have open at once (default 1)
+ *   seal(value)         what to write to disk for `value`
+ *   unseal(stored)      the value back; throws when it cannot
+ *   onChange()          called whenever health() would answer differently
+ */
+class SessionPool {
+  constructor(sessionsDir, options) {
+    this.sessionsDir = sessionsDir;
+    this.maxBrowsers = options.maxBrowsers || 1;
+    this.accountsPerBrowser = options.accountsPerBrowser || 0;
+    this.maxTabsPerAccount = options.maxTabsPerAccount || 1;
+    this._launch = options.launch;
+    this._newPage = options.newPage || (context => context.newPage());
+    this._seal = options.seal;
+    this._unseal = options.unseal;
+    this._onChange = options.onChange || (() => {});
+    this._browsers = [];   // { browser, number, launchedAt }
+    this._sessions = {};   // username => session
+    this._opening = Promise.resolve();
+    fs.mkdirSync(sessionsDir, { recursive: true });
+  }
+
+  //#region Public API
+
+  /** The open session of `username`, or null. */
+  get(username) {
+    return this._sessions[username] || null;
+  }
+
+  /**
+   * The account's session, opened first if needed (restoring its saved
+   * cookies). Opens run one at a time, so accounts opening together share
+   * browsers as configured.
+   */
+  open(username, site) {
+    const opened = this._opening.then(() => this._sessions[username] || this._openSession(username, site));
+    this._opening = opened.catch(() => {});
+    return opened.then(session => {
+      session.lastUsedAt = new Date().toISOString();
+      return session;
+    });
+  }
+
+  /**
+   * New limits ({ maxBrowsers, accountsPerBrowser, maxTabsPerAccount }).
+   * Browsers and tabs already open are left alone; the limits apply to what
+   * opens next.
+   */
+  configure(limits) {
+    this.maxBrowsers = limits.maxBrowsers || 1;
+    this.accountsPerBrowser = limits.accountsPerBrowser || 0;
+    this.maxTabsPerAccount = limits.maxTabsPerAccount || 1;
+    Object.values(this._sessions).forEach(s => s.tabs.setMaxTabs(this.maxTabsPerAccount));
+    this._onChange();
+  }
+
+  /** After a successful login, or once a restored session proved still logged in. */
+  markLoggedIn(username) {
+    const session = this._sessions[username];
+    if (!session) return;
+    Object.assign(session, { isLoggedIn: true, restored: false, loggedInAt: new Date().toISOString(), lastError: '' });
+    this._onChange();
+  }
+
+  /** After a failed login or a page showing the login form. */
+  markLoggedOut(username, reason = '') {
+    const session = this._sessions[username];
+    if (!session) return;
+    Object.assign(session, { isLoggedIn: false, restored: false, lastError: reason });
+    this._onChange();
+  }
+
+  /** Writes the session's cookies (and the site's localStorage) to its sealed file. */
+  async save(username) {
+    const session = this._sessions[username];
+    if (!session) return;
+    const origin = new URL(session.site.baseUrl).origin;
+    const saved = {
+      username,
+      site: session.site.name,
+      savedAt: new Date().toISOString(),
+      cookies: await session.context.cookies(),
+      localStorage: { origin, items: await readLocalStorage(session.tabs.pages()[0], origin) },
+    };
+    fs.writeFileSync(this._filePath(username), JSON.stringify(this._seal(saved)), 'utf8');
+    session.savedAt = saved.savedAt;
+    this._onChange();
+  }
+
+  /**
+   * Saves (when logged in) and closes one account's session; the browser
+   * goes too once it is empty. A session that cannot be saved is closed anyway.
+   */
+  async close(username) {
+    const session = this._sessions[username];
+    if (!session) return;
+    await this._saveIfLoggedIn(session);
+    await this._closeSession(session);
+  }
+
+  /** Saves every logged-in session, then closes all browsers. */
+  async closeAll() {
+    for (const session of Object.values(this._sessions)) {
+      await this._saveIfLoggedIn(session);
+    }
+    const browsers = this._browsers.splice(0);
+    this._sessions = {};
+    for (const { browser } of browsers) {
+      await browser.close().catch(() => {});
+    }
+    this._onChange();
+  }
+
+  /** Closes the session and deletes its saved cookies: the next open logs in from scratch. */
+  async forget(username) {
+    const session = this._sessions[username];
+    if (session) await this._closeSession(session);
+    fs.rmSync(this._filePath(username), { force: true });
+    this._onChange();
+  }
+
+  /**
+   * { maxBrowsers, accountsPerBrowser, browsers, sessions: [{ username, site,
+   * browser, status, tabs, openedAt, lastUsedAt, loggedInAt, savedAt, lastError }] }
+   * tabs: see TabQueue.toJSON (null when not open).
+   * status: logged-in, restored (saved cookies, not proven yet), logged-out,
+   * or saved (not open, cookies on disk).
+   */
+  health() {
+    const sessions = Object.values(this._sessions).map(s => ({
+      username: s.username,
+      site: s.site.label,
+      browser: s.browserEntry.number,
+      status: s.isLoggedIn ? (s.restored ? 'restored' : 'logged-in') : 'logged-out',
+      tabs: s.tabs.toJSON(),
+      openedAt: s.openedAt,
+      lastUsedAt: s.lastUsedAt,
+      loggedInAt: s.loggedInAt,
+      savedAt: s.savedAt,
+      lastError: s.lastError,
+    }));
+    for (const username of this._savedUsernames()) {
+      if (this._sessions[username]) continue;
+      const { mtime } = fs.statSync(this._filePath(username));
+      sessions.push({ username, site: '', browser: null, status: 'saved', tabs: null, openedAt: '', lastUsedAt: '', loggedInAt: '', savedAt: mtime.toISOString(), lastError: '' });
+    }
+    return {
+      maxBrowsers: this.maxBrowsers,
+      accountsPerBrowser: this.accountsPerBrowser,
+      browsers: this._browsers.length,
+      sessions,
+    };
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  async _openSession(username, site) {
+    const browserEntry = await this._browserForNewSession();
+    const context = await browserEntry.browser.createBrowserContext();
+    const page = await this._newPage(context);
+    const session = {
+      username,
+      site,
+      browserEntry,
+      context,
+      page,
+      isLoggedIn: false,
+      restored: false,
+      openedAt: new Date().toISOString(),
+      lastUsedAt: '',
+      loggedInAt: '',
+      savedAt: '',
+      lastError: '',
+    };
+    // Once all its tabs are closed (by hand, say) the session ends; the next use opens a new one
+    session.tabs = new TabQueue(() => this._newPage(context), this.maxTabsPerAccount, {
+      pages: [page],
+      onEmpty: () => {
+        if (this._sessions[username] === session) this._closeSession(session);
+      },
+    });
+    await this._restore(session);
+    this._sessions[username] = session;
+    this._onChange();
+    return session;
+  }
+
+  async _restore(session) {
+    const filePath = this._filePath(session.username);
+    if (!fs.existsSync(filePath)) return;
+    let saved;
+    try {
+      saved = this._unseal(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (err) {
+      session.lastError = `saved session not readable: ${err.message}`;
+      return;
+    }
+    if (saved.site !== session.site.name) return;
+    if (saved.cookies.length) await session.context.setCookie(...saved.cookies);
+    const { origin, items } = saved.localStorage || {};
+    if (items && Object.keys(items).length) {
+      // Only fills keys the site has not set itself since
+      await session.page.evaluateOnNewDocument((storageOrigin, storageItems) => {
+        if (location.origin !== storageOrigin) return;
+        Object.keys(storageItems).forEach(key => {
+          if (localStorage.getItem(key) === null) localStorage.setItem(key, storageItems[key]);
+        });
+      }, origin, items);
+    }
+    Object.assign(session, { isLoggedIn: saved.cookies.length > 0, restored: true, savedAt: saved.savedAt });
+  }
+
+  async _browserForNewSession() {
+    const load = entry => Object.values(this._sessions).filter(s => s.browserEntry === entry).length;
+    const limit = this.accountsPerBrowser || Infinity;
+    const roomy = this._browsers.find(entry => load(entry) < limit);
+    if (roomy) return roomy;
+    if (this._browsers.length < this.maxBrowsers) return this._launchBrowser();
+    return this._browsers.reduce((least, entry) => (load(entry) < load(least) ? entry : least));
+  }
+
+  async _launchBrowser() {
+    const browser = await this._launch();
+    const numbers = this._browsers.map(b => b.number);
+    let number = 1;
+    while (numbers.includes(number)) number++;
+    const entry = { browser, number, launchedAt: new Date().toISOString() };
+    this._browsers.push(entry);
+    // Closed or crashed: its sessions are gone, their saved cookies stay
+    browser.on('disconnected', () => {
+      if (!this._browsers.includes(entry)) return;
+      this._browsers.splice(this._browsers.indexOf(entry), 1);
+      Object.values(this._sessions)
+        .filter(s => s.browserEntry === entry)
+        .forEach(s => { delete this._sessions[s.username]; });
+      this._onChange();
+    });
+    return entry;
+  }
+
+  async _saveIfLoggedIn(session) {
+    if (!session.isLoggedIn) return;
+    try {
+      await this.save(session.username);
+    } catch (err) {
+      session.lastError = `not saved: ${err.message}`;
+    }
+  }
+
+  async _closeSession(session) {
+    if (this._sessions[session.username] === session) delete this._sessions[session.username];
+    await session.context.close().catch(() => {});
+    const entry = session.browserEntry;
+    const empty = !Object.values(this._sessions).some(s => s.browserEntry === entry);
+    if (empty && this._browsers.includes(entry)) {
+      this._browsers.splice(this._browsers.indexOf(entry), 1);
+      await entry.browser.close().catch(() => {});
+    }
+    this._onChange();
+  }
+
+  _filePath(username) {
+    return path.join(this.sessionsDir, `${encodeURIComponent(username)}.json`);
+  }
+
+  _savedUsernames() {
+    return fs.readdirSync(this.sessionsDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => decodeURIComponent(f.slice(0, -'.json'.length)));
+  }
+
+  //#endregion
+}
+
+/** The page's localStorage when it is on `origin`, else {}. */
+async function readLocalStorage(page, origin) {
+  try {
+    if (!page || !page.url().startsWith(origin)) return {};
+    return await page.evaluate(() => Object.assign({}, localStorage));
+  } catch (err) {
+    return {};
+  }
+}
+
+/** Saved sessions folder inside the app folder, next to the logs. */
+function appSessionsDir(appFolderName) {
+  return path.join(os.homedir(), 'Documents', appFolderName, 'sessions');
+}
+
+module.exports = { SessionPool, appSessionsDir };
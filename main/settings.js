@@ -0,0 +1,299 @@
+// settings.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_RETRY_POLICY } = require('./retry-policy');
+const { getSiteAdapter } = require('./sites');
+const { mergeDefaults } = require('./site-config');
+
+/**
+ * App settings: settings.json in the app folder (the file
+ * FilePaths.settingsPath() points to), one document of
+ *   { settingsVersion, browser, timeouts, bidding, sessions, watch, downloads }
+ * SETTINGS_FIELDS lists every value with its kind and its label in the
+ * settings panel.
+ *
+ * A missing file is written out with the defaults. Keys missing from the
+ * file fall back to the defaults, and a value that fails its check is
+ * reported and replaced by its default, so a hand edit never stops the app.
+ * A file holding only a Chrome path (the old format) becomes
+ * browser.executablePath.
+ *
+ * `timeouts` (ms) apply to every site, so they are not part of the selector
+ * config (see site-config.js).
+ */
+const SETTINGS_VERSION = 1;
+
+// `browser`: how puppeteer-wrapper.js launches Chrome
+const DEFAULT_BROWSER_SETTINGS = {
+  executablePath: '',
+  headless: { bidding: false, extraction: true, check: true },
+  proxy: { server: '', username: '', password: '' },
+  userAgent: '',
+  viewport: { width: 0, height: 0 },
+  args: [],
+};
+
+/**
+ * Every setting, in panel order. kind:
+ *   text      string
+ *   secret    string kept in the credential vault, never in the file (which
+ *             holds ''; see BidEngine.saveSettings), masked in the panel
+ *   flag      true / false
+ *   count     whole number of 0 or more
+ *   positive  whole number of 1 or more
+ *   factor    number of 1 or more
+ *   list      list of strings, one per line in the panel
+ */
+const SETTINGS_FIELDS = [
+  { key: 'browser.executablePath', kind: 'text', label: 'Chrome path', hint: 'empty: look in the usual places' },
+  { key: 'browser.headless.bidding', kind: 'flag', label: 'Bid without a window' },
+  { key: 'browser.headless.extraction', kind: 'flag', label: 'Extract without a window' },
+  { key: 'browser.headless.check', kind: 'flag', label: 'Check sites without a window' },
+  { key: 'browser.proxy.server', kind: 'text', label: 'Proxy server', hint: 'http://host:3128' },
+  { key: 'browser.proxy.username', kind: 'text', label: 'Proxy username' },
+  { key: 'browser.proxy.password', kind: 'secret', label: 'Proxy password', hint: 'kept in the credential vault' },
+  { key: 'browser.userAgent', kind: 'text', label: 'User agent', hint: "empty: the browser's own" },
+  { key: 'browser.viewport.width', kind: 'count', label: 'Window width (px)', hint: '0: the window decides' },
+  { key: 'browser.viewport.height', kind: 'count', label: 'Window height (px)' },
+  { key: 'browser.args', kind: 'list', label: 'Extra Chrome switches' },
+  { key: 'timeouts.navigation', kind: 'count', label: 'Page load (ms)' },
+  { key: 'timeouts.loginField', kind: 'count', label: 'Login form (ms)' },
+  { key: 'timeouts.bidInput', kind: 'count', label: 'Bid field (ms)' },
+  { key: 'timeouts.button', kind: 'count', label: 'Place Bid buttons (ms)' },
+  { key: 'timeouts.confirmStepDelay', kind: 'count', label: 'Pause before confirming (ms)' },
+  { key: 'timeouts.resultDelay', kind: 'count', label: 'Pause before reading the result (ms)' },
+  { key: 'timeouts.download', kind: 'count', label: 'Spreadsheet download (ms)' },
+  { key: 'bidding.prewarmLeadSeconds', kind: 'count', label: 'Pre-warm lead (s)', hint: "an auction's Warm-up overrides it" },
+  { key: 'bidding.retry.maxAttempts', kind: 'positive', label: 'Tries per login / bid' },
+  { key: 'bidding.retry.backoffMs', kind: 'count', label: 'Wait before the first retry (ms)' },
+  { key: 'bidding.retry.backoffFactor', kind: 'factor', label: 'Wait multiplier per retry' },
+  { key: 'bidding.retry.maxBackoffMs', kind: 'count', label: 'Longest wait (ms)' },
+  { key: 'bidding.retry.deadlineSeconds', kind: 'count', label: 'Retry until (s after Time To Bid)' },
+  { key: 'sessions.maxBrowsers', kind: 'positive', label: 'Most browsers open' },
+  { key: 'sessions.accountsPerBrowser', kind: 'count', label: 'Accounts per browser', hint: '0: all in one' },
+  { key: 'sessions.maxTabsPerAccount', kind: 'positive', label: 'Tabs per account' },
+  { key: 'watch.intervalMinutes', kind: 'positive', label: 'Minutes between watch passes' },
+  { key: 'downloads.folder', kind: 'text', label: 'Download folder', hint: 'empty: downloads in the app data folder' },
+];
+
+// Settings whose value lives in the credential vault
+const SECRET_KEYS = SETTINGS_FIELDS.filter(field => field.kind === 'secret').map(field => field.key);
+
+const KIND_CHECKS = {
+  text: [v => typeof v === 'string', 'must be text'],
+  secret: [v => typeof v === 'string', 'must be text'],
+  flag: [v => typeof v === 'boolean', 'must be true or false'],
+  count: [v => Number.isInteger(v) && v >= 0, 'must be a whole number of 0 or more'],
+  positive: [v => Number.isInteger(v) && v >= 1, 'must be a whole number of 1 or more'],
+  factor: [v => typeof v === 'number' && v >= 1, 'must be a number of 1 or more'],
+  list: [v => Array.isArray(v) && v.every(item => typeof item === 'string'), 'must be a list of text'],
+};
+
+function defaultSettings() {
+  return JSON.parse(JSON.stringify({
+    settingsVersion: SETTINGS_VERSION,
+    browser: DEFAULT_BROWSER_SETTINGS,
+    // The default site's timeouts
+    timeouts: getSiteAdapter().defaultConfig().timeouts,
+    bidding: {
+      prewarmLeadSeconds: 60,
+      retry: DEFAULT_RETRY_POLICY,
+    },
+    sessions: { maxBrowsers: 3, accountsPerBrowser: 0, maxTabsPerAccount: 3 },
+    watch: { intervalMinutes: 15 },
+    downloads: { folder: '' },
+  }));
+}
+
+/** Problems with a settings document, e.g. 'Tabs per account (sessions.maxTabsPerAccount) must be a whole number of 1 or more, got 0'. */
+function validateSettings(settings) {
+  return SETTINGS_FIELDS
+    .map(field => fieldProblem(field, getPath(settings, field.key)))
+    .filter(Boolean);
+}
+
+/**
+ * The settings in `filePath` merged over the defaults. Never throws.
+ * Returns { settings, problems, rewrite }: `problems` lists what was
+ * unreadable or replaced by its default, `rewrite` says the file is missing
+ * or in an older format and should be written out.
+ */
+function readSettings(filePath) {
+  const defaults = defaultSettings();
+  if (!fs.existsSync(filePath)) return { settings: defaults, problems: [], rewrite: true };
+
+  let saved;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8').trim();
+    // The old settings file was just the Chrome path
+    saved = content && !content.startsWith('{') ? { browser: { executablePath: content } } : JSON.parse(content || '{}');
+  } catch (err) {
+    return { settings: defaults, problems: [`${filePath} cannot be read, using the defaults: ${err.message}`], rewrite: false };
+  }
+  if (!isObject(saved)) {
+    return { settings: defaults, problems: [`${filePath} is not a JSON object, using the defaults`], rewrite: false };
+  }
+
+  const problems = [];
+  const settings = mergeDefaults(defaults, saved);
+  resetSections(settings, defaults, '', problems);
+  for (const field of SETTINGS_FIELDS) {
+    const problem = fieldProblem(field, getPath(settings, field.key));
+    if (!problem) continue;
+    problems.push(`${problem}; using ${JSON.stringify(getPath(defaults, field.key))}`);
+    setPath(settings, field.key, getPath(defaults, field.key));
+  }
+  const version = saved.settingsVersion;
+  if (version > SETTINGS_VERSION) {
+    problems.push(`settingsVersion ${version} is newer than this app understands (${SETTINGS_VERSION})`);
+  }
+  settings.settingsVersion = SETTINGS_VERSION;
+  return { settings, problems, rewrite: !(version >= SETTINGS_VERSION) };
+}
+
+/**
+ * The settings file, kept in memory. load() reads it (writing it out when
+ * readSettings() says so), save() validates and writes, watch() reloads it
+ * when it is edited by hand. onChange(settings, previous) is called whenever
+ * the values change, by save() or by an edit, and when a load finds
+ * different `problems`.
+ */
+class SettingsStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this._onChange = options.onChange || (() => {});
+    this._settings = defaultSettings();
+    this._watching = false;
+
+    // Public
+    this.problems = [];
+  }
+
+  //#region Public API
+
+  /** The current settings (a copy). */
+  get() {
+    return JSON.parse(JSON.stringify(this._settings));
+  }
+
+  /** Reads the file. Returns the settings. */
+  load() {
+    const { settings, problems, rewrite } = readSettings(this.filePath);
+    const problemsChanged = problems.join('\n') !== this.problems.join('\n');
+    this.problems = problems;
+    if (rewrite) this._write(settings);
+    if (!this._replace(settings) && problemsChanged) this._onChange(this.get(), this._settings);
+    return this.get();
+  }
+
+  /**
+   * Merges `changes` (a whole or partial document) into the settings and
+   * writes them. Returns { ok, errors, settings }; nothing is written when
+   * a value fails its check.
+   */
+  save(changes) {
+    const settings = mergeDefaults(this._settings, changes);
+    settings.settingsVersion = SETTINGS_VERSION;
+    const errors = validateSettings(settings);
+    if (errors.length) return { ok: false, errors, settings: this.get() };
+    this._write(settings);
+    this.problems = [];
+    this._replace(settings);
+    return { ok: true, errors: [], settings: this.get() };
+  }
+
+  /** Reloads the file whenever it changes on disk. */
+  watch() {
+    if (this._watching) return;
+    this._watching = true;
+    fs.watchFile(this.filePath, { interval: 1000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.load();
+    });
+  }
+
+  unwatch() {
+    if (!this._watching) return;
+    this._watching = false;
+    fs.unwatchFile(this.filePath);
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  /** Takes `settings`; true when they differ from the previous ones. */
+  _replace(settings) {
+    const previous = this._settings;
+    this._settings = settings;
+    const changed = JSON.stringify(previous) !== JSON.stringify(settings);
+    if (changed) this._onChange(this.get(), previous);
+    return changed;
+  }
+
+  _write(settings) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(settings, null, 2), 'utf8');
+    } catch (err) {
+      this.problems.push(`${this.filePath} cannot be written: ${err.message}`);
+    }
+  }
+
+  //#endregion
+}
+
+function fieldProblem(field, value) {
+  const [isValid, message] = KIND_CHECKS[field.kind];
+  return isValid(value) ? '' : `${field.label} (${field.key}) ${message}, got ${JSON.stringify(value)}`;
+}
+
+/** Puts back the default of every section (nested object) that is not an object in `settings`. */
+function resetSections(settings, defaults, prefix, problems) {
+  for (const key of Object.keys(defaults)) {
+    if (!isObject(defaults[key])) continue;
+    if (isObject(settings[key])) {
+      resetSections(settings[key], defaults[key], `${prefix}${key}.`, problems);
+    } else {
+      problems.push(`${prefix}${key} must be an object, got ${JSON.stringify(settings[key])}; using the defaults`);
+      settings[key] = defaults[key];
+    }
+  }
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (isObject(value) ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((o, part) => {
+    if (!isObject(o[part])) o[part] = {};
+    return o[part];
+  }, object);
+  parent[parts[parts.length - 1]] = value;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** The settings file in the app folder, the one FilePaths.settingsPath() points to. */
+function appSettingsPath(appFolderName) {
+  return path.join(os.homedir(), 'Documents', appFolderName, 'settings.json');
+}
+
+module.exports = {
+  SETTINGS_VERSION,
+  SETTINGS_FIELDS,
+  SECRET_KEYS,
+  DEFAULT_BROWSER_SETTINGS,
+  SettingsStore,
+  defaultSettings,
+  validateSettings,
+  readSettings,
+  appSettingsPath,
+  getPath,
+  setPath,
+};
@@ -0,0 +1,83 @@
+// site-config.js
+
+const fs = require('fs');
+const { allSiteAdapters } = require('./sites');
+
+/**
+ * User-editable selector config:
+ *   { version, sites: { <site name>: { timeZone, selectors, columns } } }.
+ *
+ * Defaults come from the site adapters. A missing file is written out with
+ * the defaults so it can be edited by hand; keys missing from the user's file
+ * fall back to the defaults, and a file from an older version is rewritten
+ * with the new keys added (the user's values are kept).
+ */
+const SITE_CONFIG_VERSION = 1;
+
+function defaultSiteConfig() {
+  const sites = {};
+  for (const adapter of allSiteAdapters()) {
+    sites[adapter.name] = adapter.defaultConfig();
+    // Timeouts apply to every site and live in settings.json
+    delete sites[adapter.name].timeouts;
+  }
+  return { version: SITE_CONFIG_VERSION, sites };
+}
+
+/**
+ * Read, fill in and (when needed) rewrite the config file. Never throws;
+ * `log(level, message, context)`, if given, is told what went wrong or was written.
+ */
+function loadSiteConfig(filePath, log = () => {}) {
+  const defaults = defaultSiteConfig();
+  let userConfig = null;
+  try {
+    if (fs.existsSync(filePath)) {
+      userConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (err) {
+    log('error', `cannot read ${filePath}, using defaults => ${err.message}`, { error: err });
+    return defaults;
+  }
+
+  const config = userConfig ? mergeDefaults(defaults, userConfig) : defaults;
+  config.version = SITE_CONFIG_VERSION;
+  if (!userConfig || userConfig.version !== SITE_CONFIG_VERSION) {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(config, null, 2), 'utf8');
+      log('info', `wrote ${filePath} (version ${SITE_CONFIG_VERSION})`);
+    } catch (err) {
+      log('error', `cannot write ${filePath} => ${err.message}`, { error: err });
+    }
+  }
+  return config;
+}
+
+/**
+ * Push each site's section of the config into its adapter, with the
+ * `timeouts` from the settings (the adapter's own defaults fill any gap).
+ */
+function applySiteConfig(config, timeouts) {
+  for (const adapter of allSiteAdapters()) {
+    if (config.sites[adapter.name]) {
+      adapter.configure(Object.assign({}, config.sites[adapter.name], {
+        timeouts: Object.assign(adapter.defaultConfig().timeouts, timeouts),
+      }));
+    }
+  }
+}
+
+/** Deep merge of plain objects; arrays and values from `user` replace the defaults. */
+function mergeDefaults(defaults, user) {
+  const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(defaults) || !isObject(user)) {
+    return user === undefined ? defaults : user;
+  }
+  const merged = {};
+  for (const key of new Set(Object.keys(defaults).concat(Object.keys(user)))) {
+    merged[key] = key in user ? mergeDefaults(defaults[key], user[key]) : defaults[key];
+  }
+  return merged;
+}
+
+module.exports = { SITE_CONFIG_VERSION, defaultSiteConfig, loadSiteConfig, applySiteConfig, mergeDefaults };
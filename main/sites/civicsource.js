@@ -0,0 +1,369 @@
+// civicsource.js
+
+const { DEFAULT_OUTCOME_SELECTORS, readBidOutcome, classifyBidOutcome } = require('../bid-outcome');
+const { DEFAULT_LOT_STATE_SELECTORS, readLotState, parseLotState } = require('../lot-state');
+const { wallClockToUtc } = require('../auction-time');
+const { waitForDownload } = require('../downloads');
+
+const CIVICSOURCE_BASE_URL = 'https://www.civicsource.com';
+
+// Lots are listed in the parish's local time (Louisiana)
+const CIVICSOURCE_TIME_ZONE = 'America/Chicago';
+
+/* ====================== CSV or Time Helpers ====================== */
+/** The export's "MM/DD/YYYY HH:mm" local start time as an ISO UTC instant ('' if unreadable). */
+function convertAuctionDate(original, timeZone = CIVICSOURCE_TIME_ZONE) {
+  return wallClockToUtc(original, timeZone);
+}
+
+function convertCivicSourceUrlToIdAuction(fullUrl, baseUrl = CIVICSOURCE_BASE_URL) {
+  const root = `${baseUrl}/`;
+  if (!fullUrl.startsWith(root)) return '';
+  const remainder = fullUrl.replace(root, '').trim();
+  if (remainder.length < 4) return remainder.toLowerCase();
+  const prefix = remainder.substring(0, 3).toLowerCase();
+  const suffix = remainder.substring(3);
+  return `${prefix}/${suffix}`;
+}
+
+function parseSearchResultsCsv(csvText) {
+  const { parse } = require('csv-parse/sync');
+  const records = parse(csvText, {
+    columns: true,
+    skip_empty_lines: true,
+    relax_quotes: true,
+    relax_column_count: true,
+  });
+
+  // The export writes some cells as formulas (="...") to keep leading zeros
+  for (const row of records) {
+    for (const [key, val] of Object.entries(row)) {
+      if (typeof val === 'string' && val.startsWith('=')) {
+        const quoted = val.match(/^="(.*)"$/);
+        row[key] = quoted ? quoted[1] : val.slice(1);
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Every non-empty cell of a search-results row, keyed by the short name
+ * `metadataColumns` maps its header to, or by the header itself.
+ */
+function rowMetadata(row, metadataColumns = {}) {
+  const keyFor = {};
+  Object.keys(metadataColumns).forEach(key => { keyFor[metadataColumns[key]] = key; });
+  const metadata = {};
+  for (const [header, value] of Object.entries(row)) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (text) metadata[keyFor[header] || header] = text;
+  }
+  return metadata;
+}
+
+/**
+ * Selectors, timeouts (ms) and the listing time zone used on civicsource.com.
+ * These are the defaults; the user's selector config file overrides them
+ * (see site-config.js), and settings.json the timeouts (see settings.js).
+ * `{ID}` in bidInput is replaced with the upper-cased auction id without '/'.
+ * `columns` names the spreadsheet headers read into auction fields; the
+ * `metadata` ones get a short key in the auction's metadata (see rowMetadata).
+ */
+const CIVICSOURCE_DEFAULTS = {
+  timeZone: CIVICSOURCE_TIME_ZONE,
+  selectors: {
+    loginUsername: 'input[name="username"]',
+    loginPassword: 'input[name="password"]',
+    loginSubmit: 'button[type="submit"]',
+    bidInput: '#{ID}-place-bid-input',
+    firstPlaceBid: 'button[type="submit"] span[title="Place Bid"]',
+    confirmPlaceBid: 'div.text-center button[type="submit"]',
+    exportLink: 'a[title="Download a spreadsheet of these search results"]',
+    outcome: DEFAULT_OUTCOME_SELECTORS,
+    lotState: DEFAULT_LOT_STATE_SELECTORS,
+  },
+  timeouts: {
+    navigation: 60000,
+    loginField: 20000,
+    bidInput: 20000,
+    button: 15000,
+    confirmStepDelay: 3000,
+    resultDelay: 3000,
+    download: 20000,
+  },
+  columns: {
+    startDate: 'AUCTION START DATE',
+    address: 'PROPERTY ADDRESS',
+    url: 'URL',
+    metadata: {
+      parcelNumber: 'PARCEL NUMBER',
+      assessedValue: 'ASSESSED VALUE',
+      amountDue: 'AMOUNT DUE',
+      municipality: 'MUNICIPALITY',
+    },
+  },
+};
+
+/**
+ * Site adapter for civicsource.com (see sites/index.js for the interface).
+ * options.baseUrl points it somewhere else, e.g. the mock server in test/.
+ */
+class CivicSourceAdapter {
+  constructor(options = {}) {
+    this.name = 'civicsource';
+    this.label = 'CivicSource';
+    this.baseUrl = options.baseUrl || CIVICSOURCE_BASE_URL;
+    this.configure(CIVICSOURCE_DEFAULTS);
+  }
+
+  //#region Config
+
+  defaultConfig() {
+    return JSON.parse(JSON.stringify(CIVICSOURCE_DEFAULTS));
+  }
+
+  /** Apply { timeZone, selectors, timeouts, columns } from the selector config file. */
+  configure(config) {
+    this.timeZone = config.timeZone || CIVICSOURCE_TIME_ZONE;
+    this.selectors = config.selectors;
+    this.timeouts = config.timeouts || CIVICSOURCE_DEFAULTS.timeouts;
+    this.columns = config.columns || CIVICSOURCE_DEFAULTS.columns;
+  }
+
+  bidInputSelector(idAuction) {
+    return this.selectors.bidInput.replace('{ID}', idAuction.toUpperCase().replace(/\//g, ''));
+  }
+
+  //#endregion
+
+  //#region Urls
+
+  matchesUrl(url) {
+    return url.startsWith(`${this.baseUrl}/`);
+  }
+
+  lotUrl(idAuction) {
+    return `${this.baseUrl}/auctions/${idAuction}`;
+  }
+
+  loginUrl() {
+    return `${this.baseUrl}/login/`;
+  }
+
+  idFromUrl(url) {
+    return convertCivicSourceUrlToIdAuction(url, this.baseUrl);
+  }
+
+  //#endregion
+
+  //#region Session
+
+  /** True when the page shows the login form, i.e. the session is gone. */
+  async isLoggedOut(page) {
+    try {
+      if (page.url().includes('/login')) return true;
+      return !!(await page.$(this.selectors.loginPassword));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /** Runs the login form. Throws when the site still shows it afterwards. */
+  async login(page, username, password) {
+    const sel = this.selectors;
+    await page.setDefaultNavigationTimeout(this.timeouts.navigation);
+    await page.setDefaultTimeout(this.timeouts.navigation);
+
+    await page.goto(this.loginUrl(), { waitUntil: 'networkidle2' });
+    await page.waitForSelector(sel.loginUsername, { timeout: this.timeouts.loginField });
+    await page.type(sel.loginUsername, username);
+
+    await page.waitForSelector(sel.loginPassword, { timeout: this.timeouts.loginField });
+    await page.type(sel.loginPassword, password);
+
+    await Promise.all([
+      page.click(sel.loginSubmit),
+      page.waitForNavigation({ waitUntil: 'networkidle2' }),
+    ]);
+    if (await this.isLoggedOut(page)) {
+      throw new Error('still on the login page after submitting');
+    }
+  }
+
+  //#endregion
+
+  //#region Bidding
+
+  async openLot(page, idAuction) {
+    await page.goto(this.lotUrl(idAuction), { waitUntil: 'networkidle2', timeout: this.timeouts.navigation });
+  }
+
+  async focusBidInput(page, idAuction) {
+    const selector = this.bidInputSelector(idAuction);
+    await page.waitForSelector(selector, { timeout: this.timeouts.bidInput });
+    await page.focus(selector);
+  }
+
+  /**
+   * Types `rate` into the lot's bid field, clicks both "Place Bid" buttons and
+   * verifies the result. Returns { status, message, submitted } (see
+   * bid-outcome.js); throws when a step before the confirm click fails.
+   * Once the confirm click is attempted the bid may have gone out, so any
+   * failure after it (a navigation destroying the page, say) is returned as
+   * status 'unknown' with `submitted` set, never thrown.
+   * options.skipNavigation: the page is already on the lot (pre-warmed).
+   * options.dryRun: stop once the confirm button is shown, without submitting.
+   * options.log(message): told about each step.
+   */
+  async placeBid(page, idAuction, rate, options = {}) {
+    const sel = this.selectors;
+    const log = options.log || (() => {});
+    await page.setDefaultTimeout(this.timeouts.navigation);
+    await page.setDefaultNavigationTimeout(this.timeouts.navigation);
+
+    if (!options.skipNavigation) {
+      await this.openLot(page, idAuction);
+    }
+
+    const placeBidSelector = this.bidInputSelector(idAuction);
+    log(`Typing $${rate.toFixed(2)} => ${placeBidSelector}`);
+    await page.waitForSelector(placeBidSelector, { timeout: this.timeouts.bidInput });
+    await page.click(placeBidSelector, { clickCount: 3 });
+    await page.type(placeBidSelector, rate.toFixed(2));
+
+    await page.waitForSelector(sel.firstPlaceBid, { timeout: this.timeouts.button });
+    await page.click(sel.firstPlaceBid);
+    log(`Clicked FIRST "Place Bid". Wait ${this.timeouts.confirmStepDelay}ms...`);
+    await new Promise(r => setTimeout(r, this.timeouts.confirmStepDelay));
+
+    await page.waitForSelector(sel.confirmPlaceBid, { timeout: this.timeouts.button });
+    if (options.dryRun) {
+      log('Simulation => stopping before the SECOND "Place Bid".');
+      return { status: 'simulated', message: `Would submit ${rate.toFixed(2)}` };
+    }
+    try {
+      await page.click(sel.confirmPlaceBid);
+      log('Clicked SECOND "Place Bid".');
+
+      // Give the site a moment to render its confirmation or validation errors
+      await new Promise(r => setTimeout(r, this.timeouts.resultDelay));
+      return Object.assign(await this.verifyBid(page, rate), { submitted: true });
+    } catch (err) {
+      return { status: 'unknown', message: `Result not read after submitting: ${err.message}`, submitted: true };
+    }
+  }
+
+  async verifyBid(page, rate) {
+    return classifyBidOutcome(await readBidOutcome(page, this.selectors.outcome), rate);
+  }
+
+  /**
+   * State of the open lot page: { status, statusText, bidderCount, winningRate,
+   * startTime } (see lot-state.js). winningRate is null when nobody has bid.
+   */
+  async readLotState(page) {
+    const raw = await readLotState(page, this.selectors.lotState, this.selectors.outcome.winningRate);
+    return parseLotState(raw, this.timeZone);
+  }
+
+  //#endregion
+
+  //#region Health check
+
+  /**
+   * Logs in and opens `idAuction` (when given) to report which selectors
+   * resolve, without submitting anything. Returns
+   * { loggedIn, error, checks: [{ name, selector, found }] }; found is null
+   * for selectors that only appear after a click we must not make.
+   */
+  async checkHealth(page, username, password, idAuction) {
+    const sel = this.selectors;
+    const checks = [];
+    const probe = async (name, selector) => {
+      let found = false;
+      try {
+        await page.waitForSelector(selector, { timeout: Math.min(this.timeouts.bidInput, 5000) });
+        found = true;
+      } catch (err) {
+        found = false;
+      }
+      checks.push({ name, selector, found });
+    };
+
+    await page.goto(this.loginUrl(), { waitUntil: 'networkidle2', timeout: this.timeouts.navigation });
+    await probe('loginUsername', sel.loginUsername);
+    await probe('loginPassword', sel.loginPassword);
+    await probe('loginSubmit', sel.loginSubmit);
+
+    try {
+      await this.login(page, username, password);
+    } catch (err) {
+      return { loggedIn: false, error: err.message, checks };
+    }
+
+    if (idAuction) {
+      await this.openLot(page, idAuction);
+      await probe('bidInput', this.bidInputSelector(idAuction));
+      await probe('firstPlaceBid', sel.firstPlaceBid);
+      checks.push({ name: 'confirmPlaceBid', selector: sel.confirmPlaceBid, found: null });
+    }
+    return { loggedIn: true, error: '', checks };
+  }
+
+  //#endregion
+
+  //#region Search results
+
+  /**
+   * Opens a search-results page and downloads its spreadsheet into
+   * `downloadDir`, which should be empty (one folder per search, see
+   * downloads.js). Returns the CSV path once Chrome has finished writing it,
+   * or '' when none showed up.
+   */
+  async exportSearchResults(page, searchUrl, downloadDir) {
+    const cdp = await page.target().createCDPSession();
+    await cdp.send('Page.setDownloadBehavior', {
+      behavior: 'allow',
+      downloadPath: downloadDir,
+    });
+
+    await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: this.timeouts.navigation });
+    await page.waitForSelector(this.selectors.exportLink, { timeout: this.timeouts.loginField });
+    await page.click(this.selectors.exportLink);
+    return waitForDownload(downloadDir, '.csv', this.timeouts.download);
+  }
+
+  parseRows(csvText) {
+    return parseSearchResultsCsv(csvText);
+  }
+
+  /**
+   * Auction fields from one search-results row, or null when the row is
+   * unusable. The whole row is kept as `metadata`.
+   */
+  rowToAuction(row) {
+    const startDate = row[this.columns.startDate] || '';
+    const address = row[this.columns.address] || '';
+    const link = row[this.columns.url] || '';
+    if (!startDate || !link) return null;
+
+    return {
+      timeToBid: convertAuctionDate(startDate, this.timeZone),
+      timeZone: this.timeZone,
+      idAuction: this.idFromUrl(link),
+      address,
+      metadata: rowMetadata(row, this.columns.metadata),
+    };
+  }
+
+  //#endregion
+}
+
+module.exports = {
+  CivicSourceAdapter,
+  CIVICSOURCE_BASE_URL,
+  CIVICSOURCE_TIME_ZONE,
+  convertAuctionDate,
+  convertCivicSourceUrlToIdAuction,
+};
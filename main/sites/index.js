@@ -0,0 +1,74 @@
+// sites/index.js
+
+const { CivicSourceAdapter } = require('./civicsource');
+
+/**
+ * Site adapters: everything the bidding engine needs to know about one
+ * tax-sale portal. Each credential carries a `site` name picking its adapter;
+ * credentials without one use DEFAULT_SITE.
+ *
+ * An adapter is an object with:
+ *   name, label, baseUrl                          baseUrl is also used to read the server clock
+ *   timeZone                                      IANA zone the site lists auction times in
+ *   defaultConfig(), configure({ timeZone, selectors, timeouts, columns })   see site-config.js
+ *   matchesUrl(url)                               does this URL belong to the site
+ *   lotUrl(idAuction), idFromUrl(url)
+ *   isLoggedOut(page)                             session gone / login form shown
+ *   login(page, username, password)               throws when login fails
+ *   openLot(page, idAuction)
+ *   focusBidInput(page, idAuction)                used by the pre-warm stage
+ *   placeBid(page, idAuction, rate, { skipNavigation, dryRun, log }) -> { status, message, submitted }
+ *                                                 log(message) hears each step;
+ *                                                 dryRun stops before the final confirm
+ *                                                 and returns status 'simulated'; throws only
+ *                                                 before the confirm click, after it `submitted`
+ *                                                 is set (the engine never retries those)
+ *   verifyBid(page, rate)                         -> { status, message }
+ *   readLotState(page)                            -> { status, statusText, bidderCount, winningRate, startTime }
+ *                                                 of the open lot (see lot-state.js)
+ *   exportSearchResults(page, searchUrl, downloadDir) -> downloaded file path or ''
+ *   parseRows(fileText)                           -> raw rows
+ *   rowToAuction(row)                             -> { timeToBid (ISO UTC), timeZone, idAuction, address, metadata } or null
+ *                                                 metadata: every cell of the row (see the `columns` config)
+ *   checkHealth(page, username, password, idAuction) -> { loggedIn, error, checks } (never bids)
+ *
+ * To add a portal, write a class like CivicSourceAdapter and register it here.
+ */
+const DEFAULT_SITE = 'civicsource';
+
+const adapters = {};
+
+function registerSiteAdapter(adapter) {
+  adapters[adapter.name] = adapter;
+}
+
+function getSiteAdapter(name) {
+  const adapter = adapters[name || DEFAULT_SITE];
+  if (!adapter) throw new Error(`Unknown site: ${name}`);
+  return adapter;
+}
+
+/** Adapter whose site the URL belongs to, falling back to the default one. */
+function siteAdapterForUrl(url) {
+  const match = allSiteAdapters().find(a => a.matchesUrl(url));
+  return match || getSiteAdapter(DEFAULT_SITE);
+}
+
+function allSiteAdapters() {
+  return Object.keys(adapters).map(k => adapters[k]);
+}
+
+function listSites() {
+  return Object.keys(adapters).map(k => ({ name: adapters[k].name, label: adapters[k].label }));
+}
+
+registerSiteAdapter(new CivicSourceAdapter());
+
+module.exports = {
+  DEFAULT_SITE,
+  registerSiteAdapter,
+  getSiteAdapter,
+  siteAdapterForUrl,
+  allSiteAdapters,
+  listSites,
+};
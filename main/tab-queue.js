@@ -0,0 +1,145 @@
+// tab-queue.js
+
+/**
+ * Work queue over one account's browser tabs.
+ *
+ * Every task runs on a tab of its own: a tab does one thing at a time, so
+ * two bids firing together never navigate the same page. Tasks carry a
+ * `key` (one scheduled bid, say); work for a key already on a tab waits for
+ * that tab, so a bid runs on the page its pre-warm opened. Other work takes
+ * an idle tab, opens a new one while fewer than `maxTabs` are open, or waits
+ * its turn (first come, first served).
+ *
+ * run(key, task, { holdUntil }) keeps the tab for `key` until that time
+ * (epoch ms) or release(key); the pre-warm stage holds the tab it prepared
+ * until the bid fires.
+ *
+ * openTab() resolves a new puppeteer Page; onEmpty() is called once every
+ * tab was closed (by hand, or because the browser went away).
+ */
+class TabQueue {
+  constructor(openTab, maxTabs, options = {}) {
+    this.maxTabs = Math.max(1, maxTabs || 1);
+    this._openTab = openTab;
+    this._onEmpty = options.onEmpty || (() => {});
+    this._tabs = [];      // { page, key, busy, heldUntil }
+    this._waiting = [];   // { key, resolve, reject }
+    this._opening = 0;
+    (options.pages || []).forEach(page => this._addTab(page));
+  }
+
+  //#region Public API
+
+  /** Runs `task(page)` on a tab for `key` and resolves what it returns. */
+  async run(key, task, options = {}) {
+    const tab = await this._acquire(key);
+    try {
+      return await task(tab.page);
+    } finally {
+      tab.key = key;
+      tab.heldUntil = options.holdUntil || 0;
+      tab.busy = false;
+      if (this._isHeld(tab)) {
+        // Whoever waits for a tab gets this one once the hold runs out
+        setTimeout(() => this._dispatch(), tab.heldUntil - Date.now()).unref();
+      }
+      this._dispatch();
+    }
+  }
+
+  /** Frees the tab held for `key` (its bid was canceled, say). */
+  release(key) {
+    this._tabs.filter(t => t.key === key).forEach(t => { t.heldUntil = 0; });
+    this._dispatch();
+  }
+
+  /** A new cap; tabs already open above it stay until they close. */
+  setMaxTabs(maxTabs) {
+    this.maxTabs = Math.max(1, maxTabs || 1);
+    this._dispatch();
+  }
+
+  /** Open pages, the first one opened first. */
+  pages() {
+    return this._tabs.map(t => t.page);
+  }
+
+  toJSON() {
+    return {
+      tabs: this._tabs.length,
+      busy: this._tabs.filter(t => t.busy).length,
+      held: this._tabs.filter(t => !t.busy && this._isHeld(t)).length,
+      waiting: this._waiting.length,
+      maxTabs: this.maxTabs,
+    };
+  }
+
+  //#endregion
+
+  //#region Helpers
+
+  _acquire(key) {
+    return new Promise((resolve, reject) => {
+      this._waiting.push({ key, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /** Hands tabs to waiting tasks, in order, and opens tabs while under the cap. */
+  _dispatch() {
+    for (const waiter of this._waiting.slice()) {
+      const own = this._tabs.find(t => t.key === waiter.key && (t.busy || this._isHeld(t)));
+      let tab = null;
+      if (own) {
+        if (own.busy) continue;
+        tab = own;
+      } else {
+        tab = this._tabs.find(t => !t.busy && !this._isHeld(t) && t.key === waiter.key)
+          || this._tabs.find(t => !t.busy && !this._isHeld(t));
+      }
+      if (!tab) {
+        if (this._tabs.length + this._opening < this.maxTabs) this._openFor(waiter);
+        continue;
+      }
+      this._waiting.splice(this._waiting.indexOf(waiter), 1);
+      tab.busy = true;
+      tab.key = waiter.key;
+      waiter.resolve(tab);
+    }
+  }
+
+  async _openFor(waiter) {
+    this._opening++;
+    try {
+      this._addTab(await this._openTab());
+    } catch (err) {
+      // Nothing to run it on: fail this task rather than leave it waiting
+      if (this._waiting.includes(waiter)) {
+        this._waiting.splice(this._waiting.indexOf(waiter), 1);
+        waiter.reject(err);
+      }
+    } finally {
+      this._opening--;
+      this._dispatch();
+    }
+  }
+
+  _addTab(page) {
+    const tab = { page, key: null, busy: false, heldUntil: 0 };
+    this._tabs.push(tab);
+    page.on('close', () => {
+      if (!this._tabs.includes(tab)) return;
+      this._tabs.splice(this._tabs.indexOf(tab), 1);
+      if (!this._tabs.length && !this._opening) this._onEmpty();
+      this._dispatch();
+    });
+  }
+
+  _isHeld(tab) {
+    return tab.heldUntil > Date.now();
+  }
+
+  //#endregion
+}
+
+module.exports = { TabQueue };
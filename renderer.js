@@ -2,6 +2,9 @@
 
 // renderer.js
 const { ipcRenderer } = require('electron');
+const { wallClockToUtc, formatWallClock, zoneAbbreviation, DEFAULT_TIME_ZONE } = require('./main/auction-time');
+const { STRATEGY_TYPES, STRATEGY_LABELS, strategyToText, strategyFromText } = require('./main/bid-strategy');
+const { describeLotChange } = require('./main/lot-watcher');
 
 /* ===================== HELPER: Asynchronous Dialogs =====================
    We'll define a couple of utility functions that call "dialog.showMessageBox"
@@ -38,9 +41,23 @@ async function showConfirmBox(msg, title = 'Confirm') {
 
 /* ===================== EST CLOCK ===================== */
 const estClockEl = document.getElementById('estClock');
+// Server minus local clock (ms), as measured by the main process; bids are armed with it too.
+let serverClockOffsetMs = 0;
+
+async function refreshServerClockOffset() {
+  try {
+    const clock = await ipcRenderer.invoke('get-server-clock');
+    serverClockOffsetMs = clock.offsetMs;
+    estClockEl.title = clock.measuredAt
+      ? `Offset ${clock.offsetMs}ms (±${clock.uncertaintyMs}ms), measured ${new Date(clock.measuredAt).toLocaleString()}`
+      : 'Server clock not measured yet';
+  } catch (err) {
+    console.error('Error reading server clock:', err);
+  }
+}
 
 function updateESTClock() {
-  const now = new Date();
+  const now = new Date(Date.now() + serverClockOffsetMs);
   const estOptions = { timeZone: 'America/New_York', hour12: false };
   const estString = now.toLocaleString('en-US', estOptions);
   const estDate = new Date(estString);
@@ -54,19 +71,83 @@ function updateESTClock() {
 updateESTClock();
 setInterval(updateESTClock, 1000);
 
+/* ===================== CREDENTIAL VAULT ===================== */
+const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+const vaultPassphraseLabel = document.getElementById('vaultPassphraseLabel');
+const unlockVaultBtn = document.getElementById('unlockVaultBtn');
+const lockVaultBtn = document.getElementById('lockVaultBtn');
+
+/** Show "create" vs "unlock" wording and which vault button applies. */
+async function refreshVaultStatus() {
+  const { exists, unlocked } = await ipcRenderer.invoke('vault-status');
+  vaultPassphraseLabel.textContent = exists ? 'Master Passphrase:' : 'New Master Passphrase:';
+  unlockVaultBtn.textContent = exists ? 'Unlock Vault' : 'Create Vault';
+  unlockVaultBtn.disabled = unlocked;
+  vaultPassphraseInput.disabled = unlocked;
+  lockVaultBtn.disabled = !unlocked;
+  return unlocked;
+}
+
+unlockVaultBtn.addEventListener('click', async () => {
+  const passphrase = vaultPassphraseInput.value;
+  if (!passphrase) {
+    await showMessageBox('Please enter the master passphrase.', 'Notice');
+    return;
+  }
+  const result = await ipcRenderer.invoke('unlock-vault', passphrase);
+  vaultPassphraseInput.value = '';
+  if (!result.ok) {
+    await showMessageBox(result.message, 'Vault');
+    return;
+  }
+  if (result.migrated) {
+    await showMessageBox(`${result.message}\nMoved ${result.migrated} saved credentials into the vault.`, 'Vault');
+  }
+  await refreshVaultStatus();
+  await loadAndRenderCredentials();
+  renderAuctionsTable();
+  await reviewMissedJobs();
+});
+
+lockVaultBtn.addEventListener('click', async () => {
+  await ipcRenderer.invoke('lock-vault');
+  await refreshVaultStatus();
+  await loadAndRenderCredentials();
+});
+
 /* ===================== CREDENTIALS SECTION ===================== */
 const credentialTableBody = document.querySelector('#credentialTable tbody');
 const usernameInput = document.getElementById('username');
 const passwordInput = document.getElementById('password');
+const credentialSiteSelect = document.getElementById('credentialSite');
 const addCredentialBtn = document.getElementById('addCredentialBtn');
 
 let credentialsList = [];
+let sitesList = [];
+
+/** Fill a <select> with the site adapters known to the main process. */
+function fillSiteSelect(select, value) {
+  select.innerHTML = '';
+  sitesList.forEach((site) => {
+    const opt = document.createElement('option');
+    opt.value = site.name;
+    opt.textContent = site.label;
+    select.appendChild(opt);
+  });
+  if (value) select.value = value;
+}
+
+async function loadSites() {
+  sitesList = await ipcRenderer.invoke('get-sites');
+  fillSiteSelect(credentialSiteSelect);
+}
 
 /** Load credentials from main, re-render, and update the account <select> */
 async function loadAndRenderCredentials() {
   credentialsList = await ipcRenderer.invoke('get-credentials');
   renderCredentialsTable();
   populateAccountSelect();
+  fillLogAccountFilter();
 }
 
 function renderCredentialsTable() {
@@ -86,16 +167,33 @@ function renderCredentialsTable() {
     });
     tr.appendChild(userTd);
 
-    // Password (contentEditable)
+    // Password (contentEditable) => main only ever sends a mask; typing replaces it
     const passTd = document.createElement('td');
     passTd.contentEditable = true;
     passTd.textContent = cred.password;
     passTd.addEventListener('blur', async () => {
-      credentialsList[index].password = passTd.textContent.trim();
+      const typed = passTd.textContent.trim();
+      if (!typed || typed === cred.password) {
+        passTd.textContent = cred.password;
+        return;
+      }
+      credentialsList[index].password = typed;
       await saveCredentials();
+      await loadAndRenderCredentials();
     });
     tr.appendChild(passTd);
 
+    // Site => which portal adapter this account bids through
+    const siteTd = document.createElement('td');
+    const siteSelect = document.createElement('select');
+    fillSiteSelect(siteSelect, cred.site);
+    siteSelect.addEventListener('change', async () => {
+      credentialsList[index].site = siteSelect.value;
+      await saveCredentials();
+    });
+    siteTd.appendChild(siteSelect);
+    tr.appendChild(siteTd);
+
     // Delete button
     const actionsTd = document.createElement('td');
     actionsTd.classList.add('actions');
@@ -143,12 +241,13 @@ addCredentialBtn.addEventListener('click', async () => {
   const maxId = credentialsList.reduce((acc, c) => Math.max(acc, c.id || 0), 0);
   const newId = maxId + 1;
 
-  const newCred = { id: newId, username: userVal, password: passVal };
+  const newCred = { id: newId, username: userVal, password: passVal, site: credentialSiteSelect.value };
   credentialsList.push(newCred);
 
   const success = await ipcRenderer.invoke('save-credentials', credentialsList);
   if (!success) {
-    await showMessageBox('Error saving credentials.', 'Error');
+    credentialsList.pop();
+    await showMessageBox('Error saving credentials. Is the vault unlocked?', 'Error');
     return;
   }
 
@@ -181,6 +280,7 @@ const auctionTableBody = document.getElementById('auctionTable').querySelector('
 
 const auctionDateInput = document.getElementById('auctionDate');
 const auctionTimeInput = document.getElementById('auctionTimeField');
+const auctionTimeZoneSelect = document.getElementById('auctionTimeZone');
 const auctionIdInput = document.getElementById('auctionIdInput');
 const bidProxyInput = document.getElementById('bidProxyInput');
 const auctionAddressInput = document.getElementById('auctionAddressInput');
@@ -188,6 +288,7 @@ const auctionAccountSelect = document.getElementById('auctionAccountSelect');
 const addAuctionBtn = document.getElementById('addAuctionBtn');
 
 const startUpdateBtn = document.getElementById('startUpdateBtn');
+const simulationModeToggle = document.getElementById('simulationModeToggle');
 const stopUpdateBtn = document.getElementById('stopUpdateBtn');
 const closeAllWindowsBtn = document.getElementById('closeAllWindowsBtn');
 
@@ -198,11 +299,14 @@ const extractPropertiesUrlInput = document.getElementById('extractPropertiesUrl'
 const extractPropertiesBtn = document.getElementById('extractPropertiesBtn');
 
 let auctionsList = [];
+// Latest 'bid-status' update per auction id (see BidEngine.emitBidStatus in main/bid-engine.js)
+let liveStatuses = {};
 
-function combineDateTime(dateVal, timeVal) {
+/** Date + time inputs read as a wall clock in `timeZone` => ISO UTC instant. */
+function combineDateTime(dateVal, timeVal, timeZone) {
   const [year, month, day] = dateVal.split('-');
   const [hour, minute] = timeVal.split(':');
-  return `${month}/${day}/${year} ${hour}:${minute}`;
+  return wallClockToUtc(`${month}/${day}/${year} ${hour}:${minute}`, timeZone);
 }
 
 async function loadAndRenderAuctions() {
@@ -212,23 +316,54 @@ async function loadAndRenderAuctions() {
 
 function renderAuctionsTable() {
   auctionTableBody.innerHTML = '';
+  renderColumnsMenu();
+  renderMetadataHeaders();
 
   auctionsList.forEach((auction, index) => {
     const tr = document.createElement('tr');
+    // changes seen by watch mode stay highlighted until acknowledged
+    if (auction.watch && auction.watch.unseen) {
+      tr.classList.add('lot-changed');
+      tr.title = (auction.watch.changes || []).map(c => describeLotChange(c, auction.timeZone || DEFAULT_TIME_ZONE)).join('\n');
+    }
 
     // ID
     const idTd = document.createElement('td');
     idTd.textContent = auction.id || '';
     tr.appendChild(idTd);
 
-    // timeToBid
+    // timeToBid => edited as "MM/DD/YYYY HH:mm" in the auction's own zone, stored as UTC
     const timeTd = document.createElement('td');
-    timeTd.contentEditable = true;
-    timeTd.textContent = auction.timeToBid || '';
-    timeTd.addEventListener('blur', async () => {
-      auctionsList[index].timeToBid = timeTd.textContent.trim();
-      await saveAuctions();
+    const zone = auction.timeZone || DEFAULT_TIME_ZONE;
+    const timeSpan = document.createElement('span');
+    timeSpan.contentEditable = true;
+    timeSpan.textContent = formatWallClock(auction.timeToBid, zone);
+    timeSpan.addEventListener('blur', async () => {
+      const typed = timeSpan.textContent.trim();
+      const utc = wallClockToUtc(typed, zone);
+      if (typed && !utc) {
+        await showMessageBox('Time To Bid must look like MM/DD/YYYY HH:mm.', 'Invalid time');
+        timeSpan.textContent = formatWallClock(auction.timeToBid, zone);
+        return;
+      }
+      await updateAuction(index, { timeToBid: utc });
     });
+    timeTd.appendChild(timeSpan);
+    if (auction.timeToBid) {
+      const zoneLabel = document.createElement('small');
+      zoneLabel.classList.add('zone-label');
+      zoneLabel.textContent = ` ${zoneAbbreviation(auction.timeToBid, zone)}`;
+      zoneLabel.title = `${zone}\nYour time: ${new Date(auction.timeToBid).toLocaleString()}`;
+      timeTd.appendChild(zoneLabel);
+    }
+    // the site moved the lot's start => ask before bidding at the stored time
+    if (auction.timeToBidFlag) {
+      timeTd.classList.add('needs-reconfirm');
+      const reconfirmBtn = document.createElement('button');
+      reconfirmBtn.textContent = 'Re-confirm';
+      reconfirmBtn.addEventListener('click', () => reconfirmTimeToBid(auction));
+      timeTd.appendChild(reconfirmBtn);
+    }
     tr.appendChild(timeTd);
 
     // idAuction
@@ -236,8 +371,7 @@ function renderAuctionsTable() {
     idAuctionTd.contentEditable = true;
     idAuctionTd.textContent = auction.idAuction || '';
     idAuctionTd.addEventListener('blur', async () => {
-      auctionsList[index].idAuction = idAuctionTd.textContent.trim();
-      await saveAuctions();
+      await updateAuction(index, { idAuction: idAuctionTd.textContent.trim() });
     });
     tr.appendChild(idAuctionTd);
 
@@ -260,29 +394,53 @@ bidProxyTd.addEventListener('blur', async () => {
     num = 0; // default if user typed non-numeric
   }
 
-  // 3) Save raw numeric in auctionsList
-  auctionsList[index].bidProxy = num.toString(); // e.g. "4", "1", "0"
-
-  // 4) Re-display with '%' appended
+  // 3) Re-display with '%' appended
   bidProxyTd.textContent = num + '%';
 
-  // 5) Finally, call saveAuctions() so it persists
-  await saveAuctions();
+  // 4) Finally, save the raw numeric so it persists
+  await updateAuction(index, { bidProxy: num.toString() }); // e.g. "4", "1", "0"
 });
 
 tr.appendChild(bidProxyTd);
 
+    // prewarmSeconds => blank means the global lead time from the main process
+    const prewarmTd = document.createElement('td');
+    prewarmTd.contentEditable = true;
+    prewarmTd.textContent = auction.prewarmSeconds != null ? auction.prewarmSeconds : '';
+    prewarmTd.addEventListener('blur', async () => {
+      const num = parseFloat(prewarmTd.textContent.trim());
+      if (isNaN(num) || num < 0) {
+        prewarmTd.textContent = '';
+        await updateAuction(index, { prewarmSeconds: null });
+      } else {
+        await updateAuction(index, { prewarmSeconds: num });
+      }
+    });
+    tr.appendChild(prewarmTd);
+
+    // strategy => type select + parameter text (see bid-strategy.js)
+    tr.appendChild(renderStrategyCell(auction, index));
 
     // address
     const addressTd = document.createElement('td');
     addressTd.contentEditable = true;
     addressTd.textContent = auction.address || '';
+    // the whole spreadsheet row on hover
+    const metadata = auction.metadata || {};
+    addressTd.title = Object.keys(metadata).map(key => `${metadataLabel(key)}: ${metadata[key]}`).join('\n');
     addressTd.addEventListener('blur', async () => {
-      auctionsList[index].address = addressTd.textContent.trim();
-      await saveAuctions();
+      await updateAuction(index, { address: addressTd.textContent.trim() });
     });
     tr.appendChild(addressTd);
 
+    // optional spreadsheet columns (read-only), picked in the Columns menu
+    shownMetadataColumns.forEach(key => {
+      const td = document.createElement('td');
+      td.classList.add('metadata-column');
+      td.textContent = metadata[key] || '';
+      tr.appendChild(td);
+    });
+
     // account => <select>
     const accountTd = document.createElement('td');
     const select = document.createElement('select');
@@ -301,18 +459,75 @@ tr.appendChild(bidProxyTd);
 
     select.value = auction.account || '';
     select.addEventListener('change', async () => {
-      auctionsList[index].account = select.value;
-      await saveAuctions();
+      await updateAuction(index, { account: select.value });
     });
 
     accountTd.appendChild(select);
     tr.appendChild(accountTd);
 
-    // bidPlaced (read-only)
+    // bid result (read-only) => status badge, message/time on hover, click opens screenshot
     const bidPlacedTd = document.createElement('td');
-    bidPlacedTd.textContent = auction.bidPlaced || '';
+    if (auction.bidStatus) {
+      const badge = document.createElement('span');
+      badge.classList.add('bid-status', `bid-status-${auction.bidStatus}`);
+      badge.textContent = auction.bidStatus;
+      const attempts = (auction.history || [])
+        .map(h => `#${h.attempt} ${h.type}${h.rate !== undefined ? ` ${h.rate}%` : ''} ${h.status}: ${h.message}`);
+      badge.title = [auction.bidPlaced || '', auction.bidMessage || ''].concat(attempts).join('\n');
+      if (auction.bidScreenshot) {
+        badge.classList.add('has-screenshot');
+        badge.addEventListener('click', () => {
+          ipcRenderer.invoke('open-bid-screenshot', auction.bidScreenshot);
+        });
+      }
+      bidPlacedTd.appendChild(badge);
+    } else {
+      bidPlacedTd.textContent = auction.bidPlaced || '';
+    }
+    // lot state read before the last bid
+    if (auction.lotState) {
+      const lot = auction.lotState;
+      const lotInfo = document.createElement('small');
+      lotInfo.classList.add('lot-state', `lot-state-${lot.status}`);
+      lotInfo.textContent = [
+        lot.status,
+        lot.winningRate === null ? 'no bids' : `best ${lot.winningRate}%`,
+        lot.bidderCount === null ? '' : `${lot.bidderCount} bidders`,
+      ].filter(Boolean).join(' · ');
+      lotInfo.title = `Read ${new Date(lot.readAt).toLocaleString()}${lot.statusText ? `\n${lot.statusText}` : ''}`;
+      bidPlacedTd.appendChild(lotInfo);
+    }
+
+    // last dry run, shown next to (never instead of) the real result
+    if (auction.simulation) {
+      const sim = auction.simulation;
+      const simBadge = document.createElement('span');
+      simBadge.classList.add('bid-status', 'bid-status-simulation');
+      simBadge.textContent = `dry run: ${sim.status}`;
+      simBadge.title = [
+        `Rehearsed ${new Date(sim.at).toLocaleString()} as ${sim.account}`,
+        `Would submit ${sim.rate} at ${sim.wouldFireAt ? new Date(sim.wouldFireAt).toLocaleString() : '(no time set)'}`,
+        sim.message || '',
+      ].join('\n');
+      if (sim.screenshot) {
+        simBadge.classList.add('has-screenshot');
+        simBadge.addEventListener('click', () => {
+          ipcRenderer.invoke('open-bid-screenshot', sim.screenshot);
+        });
+      }
+      bidPlacedTd.appendChild(simBadge);
+    }
     tr.appendChild(bidPlacedTd);
 
+    // live status => filled in by updateLiveStatusCell, countdown ticks every second
+    const liveTd = document.createElement('td');
+    liveTd.classList.add('live-status');
+    liveTd.dataset.auctionId = auction.id;
+    updateLiveStatusCell(liveTd, auction);
+    tr.appendChild(liveTd);
+
+    tr.appendChild(renderWatchCell(auction, index));
+
     // Delete action
     const actionsTd = document.createElement('td');
     actionsTd.classList.add('actions');
@@ -333,20 +548,282 @@ async function removeAuction(index) {
   const ok = await showConfirmBox('Remove this auction?', 'Confirm Delete');
   if (!ok) return;
 
-  auctionsList.splice(index, 1);
-  const success = await ipcRenderer.invoke('save-auctions', auctionsList);
-  if (!success) {
+  if (!(await ipcRenderer.invoke('delete-auction', auctionsList[index].id))) {
     await showMessageBox('Error removing auction.', 'Error');
-  } else {
-    await loadAndRenderAuctions();
   }
+  await loadAndRenderAuctions();
 }
 
-async function saveAuctions() {
-  const success = await ipcRenderer.invoke('save-auctions', auctionsList);
-  if (!success) {
-    await showMessageBox('Error saving auctions.', 'Error');
+/* ===================== Spreadsheet columns ===================== */
+const auctionColumnsOptions = document.getElementById('auctionColumnsOptions');
+const auctionAddressHeader = document.getElementById('auctionAddressHeader');
+// Which `metadata` keys are shown as columns; a view preference, so kept in localStorage
+const METADATA_COLUMNS_KEY = 'auctionMetadataColumns';
+let shownMetadataColumns = JSON.parse(localStorage.getItem(METADATA_COLUMNS_KEY) || '[]');
+
+/** "parcelNumber" => "Parcel Number", "AMOUNT DUE" => "Amount Due" */
+function metadataLabel(key) {
+  const words = /[a-z][A-Z]/.test(key) ? key.replace(/([a-z])([A-Z])/g, '$1 $2') : key.toLowerCase();
+  return words.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/** One checkbox per metadata key found on any auction. */
+function renderColumnsMenu() {
+  const keys = [];
+  auctionsList.forEach(a => Object.keys(a.metadata || {}).forEach(k => {
+    if (!keys.includes(k)) keys.push(k);
+  }));
+  auctionColumnsOptions.innerHTML = keys.length ? '' : 'No spreadsheet columns yet: extract some properties first.';
+  keys.forEach(key => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = shownMetadataColumns.includes(key);
+    checkbox.addEventListener('change', () => {
+      shownMetadataColumns = checkbox.checked
+        ? keys.filter(k => k === key || shownMetadataColumns.includes(k))
+        : shownMetadataColumns.filter(k => k !== key);
+      localStorage.setItem(METADATA_COLUMNS_KEY, JSON.stringify(shownMetadataColumns));
+      renderAuctionsTable();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${metadataLabel(key)}`));
+    auctionColumnsOptions.appendChild(label);
+  });
+}
+
+function renderMetadataHeaders() {
+  document.querySelectorAll('#auctionTable th.metadata-column').forEach(th => th.remove());
+  let after = auctionAddressHeader;
+  shownMetadataColumns.forEach(key => {
+    const th = document.createElement('th');
+    th.classList.add('metadata-column');
+    th.textContent = metadataLabel(key);
+    after.insertAdjacentElement('afterend', th);
+    after = th;
+  });
+}
+
+/* ===================== Watch mode ===================== */
+const watchLotsBtn = document.getElementById('watchLotsBtn');
+
+function renderWatchStatus(status) {
+  watchLotsBtn.textContent = status.watching ? 'STOP WATCHING' : 'WATCH LOTS';
+  watchLotsBtn.title = [
+    `Checks watched lots every ${status.intervalMinutes} minutes`,
+    status.lastPassAt ? `Last pass ${new Date(status.lastPassAt).toLocaleString()}` : '',
+    status.lastError ? `Last error: ${status.lastError}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+async function refreshWatchStatus() {
+  renderWatchStatus(await ipcRenderer.invoke('get-watch-status'));
+}
+
+watchLotsBtn.addEventListener('click', async () => {
+  const { watching } = await ipcRenderer.invoke('get-watch-status');
+  try {
+    renderWatchStatus(await ipcRenderer.invoke('set-watch-mode', !watching));
+  } catch (err) {
+    await showMessageBox(`${err.message}`, 'Watch mode');
+  }
+});
+
+/** Watch checkbox, last check time and, while changes are unseen, an acknowledge button. */
+function renderWatchCell(auction, index) {
+  const td = document.createElement('td');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = !!auction.watched;
+  checkbox.title = 'Visit this lot on every watch pass';
+  checkbox.addEventListener('change', async () => {
+    await updateAuction(index, { watched: checkbox.checked });
+  });
+  td.appendChild(checkbox);
+
+  const watch = auction.watch;
+  if (watch && watch.checkedAt) {
+    const checked = document.createElement('small');
+    checked.classList.add('lot-state');
+    checked.textContent = `checked ${new Date(watch.checkedAt).toLocaleTimeString()}`;
+    if (watch.changedAt) checked.title = `Last change ${new Date(watch.changedAt).toLocaleString()}`;
+    td.appendChild(checked);
+  }
+  if (watch && watch.unseen) {
+    const seenBtn = document.createElement('button');
+    seenBtn.textContent = 'Seen';
+    seenBtn.addEventListener('click', async () => {
+      await ipcRenderer.invoke('acknowledge-lot-changes', auction.id);
+      await loadAndRenderAuctions();
+    });
+    td.appendChild(seenBtn);
+  }
+  return td;
+}
+
+async function reconfirmTimeToBid(auction) {
+  const zone = auction.timeZone || DEFAULT_TIME_ZONE;
+  const siteTime = auction.timeToBidFlag.siteStartTime;
+  const { response } = await showDialog({
+    type: 'question',
+    title: 'Start time moved',
+    message: `The site now lists ${auction.idAuction} as starting ${formatWallClock(siteTime, zone)} ${zoneAbbreviation(siteTime, zone)}.\n`
+      + `Time To Bid is ${formatWallClock(auction.timeToBid, zone)}.`,
+    buttons: ['Use site time', 'Keep Time To Bid', 'Cancel'],
+  });
+  if (response === 2) return;
+  await ipcRenderer.invoke('confirm-time-to-bid', auction.id, response === 0);
+  await loadAndRenderAuctions();
+}
+
+ipcRenderer.on('lot-changed', async () => {
+  await loadAndRenderAuctions();
+  await loadAndRenderAuditLog();
+  await refreshWatchStatus();
+});
+
+/* ===================== Live bid status ===================== */
+const FINAL_LIVE_STATUSES = ['succeeded', 'failed', 'simulated', 'skipped'];
+
+function formatCountdown(ms) {
+  const total = Math.floor(ms / 1000);
+  const days = Math.floor(total / 86400);
+  const pad = n => String(n).padStart(2, '0');
+  const clock = `${pad(Math.floor(total / 3600) % 24)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+  return days ? `${days}d ${clock}` : clock;
+}
+
+function updateLiveStatusCell(td, auction) {
+  const live = liveStatuses[auction.id];
+  td.innerHTML = '';
+
+  if (live) {
+    const badge = document.createElement('span');
+    badge.classList.add('live-status-badge', `live-status-${live.status}`);
+    badge.textContent = live.status;
+    badge.title = [new Date(live.at).toLocaleString(), live.message || ''].join('\n');
+    td.appendChild(badge);
   }
+
+  const fireAt = new Date((live && live.fireAt) || auction.timeToBid);
+  const remaining = fireAt.getTime() - Date.now();
+  if (remaining > 0) {
+    const countdown = document.createElement('div');
+    countdown.classList.add('countdown');
+    countdown.textContent = formatCountdown(remaining);
+    td.appendChild(countdown);
+  }
+}
+
+function refreshLiveStatusCells() {
+  document.querySelectorAll('td.live-status').forEach(td => {
+    const auction = auctionsList.find(a => String(a.id) === td.dataset.auctionId);
+    if (auction) updateLiveStatusCell(td, auction);
+  });
+}
+
+ipcRenderer.on('bid-status', async (event, update) => {
+  liveStatuses[update.auctionId] = update;
+  if (FINAL_LIVE_STATUSES.includes(update.status)) {
+    // The outcome was stored => reload for the Bid Result column
+    await loadAndRenderAuctions();
+    await loadAndRenderAuditLog();
+  } else {
+    refreshLiveStatusCells();
+  }
+  // busy / waiting tabs of the account
+  renderSessionHealth(await ipcRenderer.invoke('get-session-health'));
+});
+
+setInterval(refreshLiveStatusCells, 1000);
+
+const STRATEGY_PARAM_HINTS = {
+  fixed: 'Bids Bid Proxy at Time To Bid',
+  ladder: 'rate@seconds after Time To Bid, e.g. 10@0, 8@30, 6@60',
+  ifAbove: 'Only bids Bid Proxy if the winning rate is above this rate, e.g. 12',
+  snipe: 'when the lot closes (MM/DD/YYYY HH:mm), lead seconds before it, decrement under the winning rate, '
+    + 'e.g. 03/05/2025 14:30, 10, 0.25 (never below Bid Proxy)',
+};
+
+function renderStrategyCell(auction, index) {
+  const td = document.createElement('td');
+  const select = document.createElement('select');
+  STRATEGY_TYPES.forEach(type => {
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = STRATEGY_LABELS[type];
+    select.appendChild(opt);
+  });
+  select.value = (auction.strategy && auction.strategy.type) || 'fixed';
+
+  const params = document.createElement('span');
+  params.classList.add('strategy-params');
+  params.contentEditable = select.value !== 'fixed';
+  const zone = auction.timeZone || DEFAULT_TIME_ZONE;
+  params.textContent = strategyToText(auction.strategy, zone);
+  td.title = STRATEGY_PARAM_HINTS[select.value];
+
+  async function save() {
+    try {
+      const strategy = strategyFromText(select.value, params.textContent, zone);
+      // fixed is the default, so it is not stored
+      await updateAuction(index, { strategy: strategy.type === 'fixed' ? null : strategy });
+      renderAuctionsTable();
+    } catch (err) {
+      // keep the typed text so it can be fixed; nothing is saved until it parses
+      td.title = STRATEGY_PARAM_HINTS[select.value];
+      params.contentEditable = select.value !== 'fixed';
+      await showMessageBox(`Invalid strategy: ${err.message}\n\nFormat: ${STRATEGY_PARAM_HINTS[select.value]}`, 'Strategy');
+    }
+  }
+
+  select.addEventListener('change', () => {
+    // Params of another type don't carry over; a snipe starts from its default
+    // lead and decrement and is saved once its close time is typed in
+    params.textContent = select.value === 'snipe' ? strategyToText({ type: 'snipe' }, zone) : '';
+    if (select.value === 'fixed') {
+      save();
+    } else {
+      params.contentEditable = true;
+      td.title = STRATEGY_PARAM_HINTS[select.value];
+      params.focus();
+    }
+  });
+  params.addEventListener('blur', save);
+
+  td.appendChild(select);
+  td.appendChild(params);
+  return td;
+}
+
+/**
+ * Saves the changed `fields` of one auction (null clears a field). The main
+ * process refuses changes that break the data schema (see data-schema.js);
+ * the problems are shown and the table goes back to what is stored.
+ * Returns true when saved.
+ */
+async function updateAuction(index, fields, failureMessage = 'Error saving auction.') {
+  const { ok, errors } = await ipcRenderer.invoke('update-auction', auctionsList[index].id, fields);
+  if (!ok) return showSaveErrors(failureMessage, errors);
+  const auction = auctionsList[index];
+  Object.keys(fields).forEach(key => {
+    if (fields[key] === null) delete auction[key];
+    else auction[key] = fields[key];
+  });
+  return true;
+}
+
+/** Replaces the whole stored list with `auctionsList`, with the same checks as updateAuction. */
+async function saveAuctions(failureMessage = 'Error saving auctions.') {
+  const { ok, errors } = await ipcRenderer.invoke('save-auctions', auctionsList);
+  return ok || showSaveErrors(failureMessage, errors);
+}
+
+async function showSaveErrors(failureMessage, errors) {
+  const details = errors.length ? `\n\n- ${errors.join('\n- ')}` : '';
+  await showMessageBox(`${failureMessage}${details}`, 'Error');
+  await loadAndRenderAuctions();
+  return false;
 }
 
 addAuctionBtn.addEventListener('click', async () => {
@@ -363,13 +840,12 @@ addAuctionBtn.addEventListener('click', async () => {
   const addressVal = auctionAddressInput.value.trim() || 'Address';
   const accountVal = auctionAccountSelect.value.trim() || '';
 
-  const combinedTime = combineDateTime(dateVal, timeVal);
-  const maxId = auctionsList.reduce((acc, c) => Math.max(acc, c.id || 0), 0);
-  const newId = maxId + 1;
-
+  const timeZoneVal = auctionTimeZoneSelect.value || DEFAULT_TIME_ZONE;
+  const combinedTime = combineDateTime(dateVal, timeVal, timeZoneVal);
+  // the id comes from the store
   const newAuction = {
-    id: newId,
     timeToBid: combinedTime,
+    timeZone: timeZoneVal,
     idAuction: idVal,
     bidProxy: bidProxyVal,
     address: addressVal,
@@ -377,10 +853,9 @@ addAuctionBtn.addEventListener('click', async () => {
     bidPlaced: ""
   };
 
-  auctionsList.push(newAuction);
-  const success = await ipcRenderer.invoke('save-auctions', auctionsList);
-  if (!success) {
-    await showMessageBox('Error saving auction.', 'Error');
+  const { ok, errors } = await ipcRenderer.invoke('add-auction', newAuction);
+  if (!ok) {
+    await showSaveErrors('Error saving auction.', errors);
     return;
   }
 
@@ -401,11 +876,18 @@ startUpdateBtn.addEventListener('click', async () => {
     await showMessageBox('No auctions to schedule.', 'Notice');
     return;
   }
+  const dryRun = simulationModeToggle.checked;
+  if (!dryRun) liveStatuses = {};
   try {
-    const updatedAuctions = await ipcRenderer.invoke('fetch-auctions-data', auctionsList);
+    const updatedAuctions = await ipcRenderer.invoke('fetch-auctions-data', { dryRun });
     auctionsList = updatedAuctions;
     renderAuctionsTable();
-    await showMessageBox('All bids have been scheduled in the main process!', 'Success');
+    refreshServerClockOffset(); // re-measured before scheduling
+    if (dryRun) {
+      await showMessageBox('Simulation finished: nothing was submitted. Hover the "dry run" badges for details.', 'Simulation');
+    } else {
+      await showMessageBox('All bids have been scheduled in the main process!', 'Success');
+    }
   } catch (err) {
     console.error('Error scheduling bids:', err);
     await showMessageBox(`Error scheduling bids: ${err}`, 'Error');
@@ -422,6 +904,25 @@ stopUpdateBtn.addEventListener('click', async () => {
   }
 });
 
+/**
+ * Bids whose time passed while the app was closed are never fired on their own.
+ * Ask for each one; firing needs the vault, so this runs right after unlocking.
+ */
+async function reviewMissedJobs() {
+  const missedJobs = await ipcRenderer.invoke('get-missed-jobs');
+  for (const job of missedJobs) {
+    const due = new Date(job.fireAt).toLocaleString();
+    const fire = await showConfirmBox(
+      `The bid on ${job.idAuction} (${job.account}) was due at ${due} while the app was closed.\nPlace it now?`,
+      'Missed Bid'
+    );
+    await ipcRenderer.invoke('resolve-missed-job', job.id, fire ? 'fire' : 'skip');
+  }
+  if (missedJobs.length) {
+    await loadAndRenderAuctions();
+  }
+}
+
 /* ===================== Close All Windows ===================== */
 closeAllWindowsBtn.addEventListener('click', async () => {
   try {
@@ -433,34 +934,192 @@ closeAllWindowsBtn.addEventListener('click', async () => {
   }
 });
 
+/* ===================== Check Site / Selector Config ===================== */
+const checkSitesBtn = document.getElementById('checkSitesBtn');
+const editSelectorsBtn = document.getElementById('editSelectorsBtn');
+
+function formatSiteReport(report) {
+  const lines = [`${report.account} (${report.site}${report.idAuction ? ', lot ' + report.idAuction : ''})`];
+  lines.push(report.loggedIn ? '  login: OK' : `  login: FAILED ${report.error || ''}`);
+  (report.checks || []).forEach((check) => {
+    const mark = check.found === null ? '–' : (check.found ? '✔' : '✘');
+    const note = check.found === null ? ' (shown after the first click, not checked)' : '';
+    lines.push(`  ${mark} ${check.name}: ${check.selector}${note}`);
+  });
+  return lines.join('\n');
+}
+
+checkSitesBtn.addEventListener('click', async () => {
+  try {
+    checkSitesBtn.disabled = true;
+    const reports = await ipcRenderer.invoke('check-sites');
+    const text = reports.length ? reports.map(formatSiteReport).join('\n\n') : 'No credentials to check.';
+    await showMessageBox(text, 'Site Check');
+  } catch (err) {
+    console.error('Error checking sites:', err);
+    await showMessageBox(`Error checking sites: ${err}`, 'Error');
+  } finally {
+    checkSitesBtn.disabled = false;
+  }
+});
+
+editSelectorsBtn.addEventListener('click', async () => {
+  const filePath = await ipcRenderer.invoke('open-site-config');
+  await showMessageBox(`Selector config: ${filePath}\nChanges apply the next time bidding starts or the site is checked.`, 'Selectors');
+});
+
 /* ===================== Extract Properties ===================== */
+function formatSearchReport(report) {
+  if (report.error) return `${report.url}\n  FAILED: ${report.error}`;
+  return `${report.url}\n  ${report.rows} rows: ${report.added} new, ${report.matched} already stored, `
+    + `${report.duplicates} duplicates, ${report.skipped} skipped`;
+}
+
 if (extractPropertiesBtn) {
   extractPropertiesBtn.addEventListener('click', async () => {
-    const urlToExtract = extractPropertiesUrlInput.value.trim();
-    if (!urlToExtract) {
+    // one search per line; pages of a paginated search can be listed one by one
+    const urls = extractPropertiesUrlInput.value.split('\n').map(u => u.trim()).filter(Boolean);
+    if (!urls.length) {
       await showMessageBox('Please paste a URL first.', 'Notice');
       return;
     }
     try {
-      const result = await ipcRenderer.invoke('extract-properties', urlToExtract);
-      await showMessageBox(`Extracted ${result.count} properties.\n${result.message}`, 'Extract');
-      await loadAndRenderAuctions();
+      extractPropertiesBtn.disabled = true;
+      const result = await ipcRenderer.invoke('extract-properties', urls);
+      const details = result.searches.map(formatSearchReport).join('\n\n');
+      await showMessageBox(`Found ${result.count} new properties.\n${result.message}\n\n${details}`, 'Extract');
+      await showMergePreview(result.merge);
     } catch (err) {
       console.error('Error extracting properties:', err);
       await showMessageBox(`Error extracting: ${err}`, 'Error');
+    } finally {
+      extractPropertiesBtn.disabled = false;
+    }
+  });
+}
+
+/* ===================== Merge preview ===================== */
+const mergePreviewEl = document.getElementById('mergePreview');
+const mergePreviewTitle = document.getElementById('mergePreviewTitle');
+const mergePreviewBody = document.querySelector('#mergePreviewTable tbody');
+let pendingMerge = null;
+
+function describeMergeValue(field, value, zone) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (field === 'timeToBid') return `${formatWallClock(value, zone)} ${zoneAbbreviation(value, zone)}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/** "field: from → to"; for metadata only the columns that differ. */
+function describeMergeChange(change, zone) {
+  if (change.field === 'metadata') {
+    const from = change.from || {};
+    const keys = Object.keys(change.to).filter(k => from[k] !== change.to[k]);
+    return keys.map(k => `${metadataLabel(k)}: ${from[k] || '(empty)'} → ${change.to[k]}`).join('; ');
+  }
+  return `${change.field}: ${describeMergeValue(change.field, change.from, zone)} → ${describeMergeValue(change.field, change.to, zone)}`;
+}
+
+function addMergeRow(kind, idAuction, text, checked, field) {
+  const tr = document.createElement('tr');
+  tr.classList.add(`merge-${kind}`);
+  const checkTd = document.createElement('td');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  Object.assign(checkbox.dataset, { kind, idAuction, field: field || '' });
+  checkTd.appendChild(checkbox);
+  tr.appendChild(checkTd);
+  [idAuction, text].forEach(value => {
+    const td = document.createElement('td');
+    td.textContent = value;
+    tr.appendChild(td);
+  });
+  mergePreviewBody.appendChild(tr);
+}
+
+/**
+ * Lists what an extraction or import would change, one checkbox each.
+ * New lots and changes to the site's data start ticked; changes to our own
+ * fields (bid proxy, account, bid result) and removals start unticked.
+ */
+async function showMergePreview(merge) {
+  if (!merge.added.length && !merge.changed.length && !merge.removed.length) {
+    await ipcRenderer.invoke('discard-merge', merge.token);
+    await showMessageBox(`Nothing to update: all ${merge.unchanged} lots match the stored auctions.`, 'Up to date');
+    return;
+  }
+  pendingMerge = merge;
+  mergePreviewBody.innerHTML = '';
+  mergePreviewTitle.textContent = `Review ${merge.source === 'import' ? 'Import' : 'Extraction'}: `
+    + `${merge.added.length} new, ${merge.changed.length} changed, ${merge.removed.length} removed`;
+
+  merge.added.forEach(a => {
+    const zone = a.timeZone || DEFAULT_TIME_ZONE;
+    addMergeRow('add', a.idAuction, `new: ${describeMergeValue('timeToBid', a.timeToBid, zone)} ${a.address || ''}`, true);
+  });
+  merge.changed.forEach(c => {
+    const stored = auctionsList.find(a => a.idAuction === c.idAuction) || {};
+    const zone = stored.timeZone || DEFAULT_TIME_ZONE;
+    c.changes.forEach(change => {
+      const text = describeMergeChange(change, zone) + (change.ours ? ' (replaces our value)' : '');
+      addMergeRow('field', c.idAuction, text, !change.ours, change.field);
+    });
+  });
+  merge.removed.forEach(r => {
+    addMergeRow('remove', r.idAuction, `removed: no longer listed (${r.address || ''})`, false);
+  });
+
+  mergePreviewEl.hidden = false;
+  mergePreviewEl.scrollIntoView();
+}
+
+function collectMergeAcceptance() {
+  const accepted = { add: [], fields: {}, remove: [] };
+  mergePreviewBody.querySelectorAll('input[type="checkbox"]:checked').forEach(({ dataset }) => {
+    if (dataset.kind === 'add') accepted.add.push(dataset.idAuction);
+    if (dataset.kind === 'remove') accepted.remove.push(dataset.idAuction);
+    if (dataset.kind === 'field') {
+      (accepted.fields[dataset.idAuction] = accepted.fields[dataset.idAuction] || []).push(dataset.field);
     }
   });
+  return accepted;
 }
 
+function closeMergePreview() {
+  pendingMerge = null;
+  mergePreviewEl.hidden = true;
+  mergePreviewBody.innerHTML = '';
+}
+
+document.getElementById('applyMergeBtn').addEventListener('click', async () => {
+  if (!pendingMerge) return;
+  try {
+    const msg = await ipcRenderer.invoke('apply-merge', pendingMerge.token, collectMergeAcceptance());
+    closeMergePreview();
+    await showMessageBox(msg, 'Merged');
+    await loadAndRenderAuctions();
+  } catch (err) {
+    closeMergePreview();
+    await showMessageBox(`Error merging: ${err}`, 'Error');
+  }
+});
+
+document.getElementById('discardMergeBtn').addEventListener('click', async () => {
+  if (pendingMerge) await ipcRenderer.invoke('discard-merge', pendingMerge.token);
+  closeMergePreview();
+});
+
 /* ===================== Import / Save Properties ===================== */
 if (importPropertiesBtn) {
   importPropertiesBtn.addEventListener('click', async () => {
     try {
-      const msg = await ipcRenderer.invoke('import-properties');
-      await showMessageBox(msg, 'Imported');
-      // Reload after importing
+      const result = await ipcRenderer.invoke('import-properties');
+      await showMessageBox(result.message, 'Import');
+      // Credentials are already in the vault; auctions wait for the merge preview
       await loadAndRenderCredentials();
-      await loadAndRenderAuctions();
+      if (result.merge) await showMergePreview(result.merge);
     } catch (err) {
       console.error('Error importing properties:', err);
       await showMessageBox(`Error importing: ${err}`, 'Error');
@@ -491,19 +1150,259 @@ if (clearAuctionsBtn) {
     if (!ok) return;
 
     auctionsList = [];
-    const success = await ipcRenderer.invoke('save-auctions', auctionsList);
-    if (!success) {
-      await showMessageBox('Error clearing auctions.', 'Error');
-    } else {
+    if (await saveAuctions('Error clearing auctions.')) {
       await showMessageBox('All auctions have been cleared.', 'Done');
       await loadAndRenderAuctions();
     }
   });
 }
 
+/* ===================== Activity Log ===================== */
+const logAuctionFilterInput = document.getElementById('logAuctionFilter');
+const logAccountFilterSelect = document.getElementById('logAccountFilter');
+const logLevelFilterSelect = document.getElementById('logLevelFilter');
+const auditLogTableBody = document.querySelector('#auditLogTable tbody');
+
+function fillLogAccountFilter() {
+  const current = logAccountFilterSelect.value;
+  logAccountFilterSelect.innerHTML = '<option value="">All accounts</option>';
+  credentialsList.forEach(cred => {
+    const opt = document.createElement('option');
+    opt.value = cred.username;
+    opt.textContent = cred.username;
+    logAccountFilterSelect.appendChild(opt);
+  });
+  logAccountFilterSelect.value = current;
+}
+
+async function loadAndRenderAuditLog() {
+  const entries = await ipcRenderer.invoke('get-audit-log', {
+    auctionId: logAuctionFilterInput.value.trim(),
+    account: logAccountFilterSelect.value,
+    level: logLevelFilterSelect.value,
+    limit: 300,
+  });
+
+  auditLogTableBody.innerHTML = '';
+  // newest first
+  entries.reverse().forEach(entry => {
+    const tr = document.createElement('tr');
+    tr.classList.add(`log-level-${entry.level}`);
+    const auction = entry.idAuction || (entry.auctionId !== '' ? `#${entry.auctionId}` : '');
+    [new Date(entry.at).toLocaleString(), entry.level, entry.event, entry.account, auction, entry.message]
+      .forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text || '';
+        tr.appendChild(td);
+      });
+    if (entry.data) tr.title = JSON.stringify(entry.data, null, 2);
+    auditLogTableBody.appendChild(tr);
+  });
+}
+
+document.getElementById('refreshLogBtn').addEventListener('click', loadAndRenderAuditLog);
+logAuctionFilterInput.addEventListener('change', loadAndRenderAuditLog);
+logAccountFilterSelect.addEventListener('change', loadAndRenderAuditLog);
+logLevelFilterSelect.addEventListener('change', loadAndRenderAuditLog);
+document.getElementById('openLogsFolderBtn').addEventListener('click', () => {
+  ipcRenderer.invoke('open-logs-folder');
+});
+
+/* ===================== Browser sessions ===================== */
+const sessionSummaryEl = document.getElementById('sessionSummary');
+const sessionTableBody = document.querySelector('#sessionTable tbody');
+
+function renderSessionHealth(health) {
+  const perBrowser = health.accountsPerBrowser ? `${health.accountsPerBrowser} accounts per browser` : 'all accounts in one browser';
+  sessionSummaryEl.textContent = `${health.browsers} of ${health.maxBrowsers} browsers open (${perBrowser})`;
+  sessionTableBody.innerHTML = '';
+  health.sessions.forEach(session => {
+    const tr = document.createElement('tr');
+    const time = value => (value ? new Date(value).toLocaleTimeString() : '');
+    const tabs = session.tabs ? ` (${session.tabs.busy}/${session.tabs.tabs} tabs busy${session.tabs.waiting ? `, ${session.tabs.waiting} waiting` : ''})` : '';
+    [session.username, session.browser || '', `${session.status}${tabs}`, time(session.lastUsedAt), time(session.savedAt)]
+      .forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+    const statusTd = tr.children[2];
+    statusTd.classList.add('session-status', `session-status-${session.status}`);
+    statusTd.title = [
+      session.site,
+      session.loggedInAt ? `Logged in ${new Date(session.loggedInAt).toLocaleString()}` : '',
+      session.lastError,
+    ].filter(Boolean).join('\n');
+
+    const actionsTd = document.createElement('td');
+    actionsTd.classList.add('actions');
+    if (session.status !== 'saved') {
+      const closeBtn = document.createElement('button');
+      closeBtn.textContent = 'Close';
+      closeBtn.title = 'Save the cookies and close this account\'s window';
+      closeBtn.addEventListener('click', async () => {
+        renderSessionHealth(await ipcRenderer.invoke('close-session', session.username));
+      });
+      actionsTd.appendChild(closeBtn);
+    }
+    const forgetBtn = document.createElement('button');
+    forgetBtn.textContent = 'Forget';
+    forgetBtn.title = 'Close and delete the saved cookies: the next bid logs in again';
+    forgetBtn.addEventListener('click', async () => {
+      renderSessionHealth(await ipcRenderer.invoke('forget-session', session.username));
+    });
+    actionsTd.appendChild(forgetBtn);
+    tr.appendChild(actionsTd);
+    sessionTableBody.appendChild(tr);
+  });
+}
+
+ipcRenderer.on('session-health', (event, health) => renderSessionHealth(health));
+
+/* ===================== Settings ===================== */
+const settingsFormEl = document.getElementById('settingsForm');
+const settingsProblemsEl = document.getElementById('settingsProblems');
+const SETTINGS_GROUP_LABELS = {
+  browser: 'Browser',
+  timeouts: 'Timeouts',
+  bidding: 'Bidding',
+  sessions: 'Browser sessions',
+  watch: 'Watch mode',
+  downloads: 'Downloads',
+};
+// fields from the last get-settings, each with its input
+let settingsInputs = [];
+
+function settingValue(settings, key) {
+  return key.split('.').reduce((value, part) => (value ? value[part] : undefined), settings);
+}
+
+function showSettingsProblems(title, problems) {
+  settingsProblemsEl.hidden = !problems.length;
+  settingsProblemsEl.textContent = problems.length ? `${title}\n- ${problems.join('\n- ')}` : '';
+}
+
+/** One labelled input per setting (see SETTINGS_FIELDS in main/settings.js), grouped by section. */
+function renderSettings(view) {
+  settingsFormEl.innerHTML = '';
+  settingsInputs = [];
+  let row = null;
+  let group = '';
+  view.fields.forEach(field => {
+    const section = field.key.split('.')[0];
+    if (section !== group) {
+      group = section;
+      const heading = document.createElement('h3');
+      heading.textContent = SETTINGS_GROUP_LABELS[section] || section;
+      row = document.createElement('div');
+      row.classList.add('row');
+      settingsFormEl.append(heading, row);
+    }
+    const container = document.createElement('div');
+    container.classList.add('container');
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    let input;
+    if (field.kind === 'list') {
+      input = document.createElement('textarea');
+      input.rows = 2;
+      input.placeholder = 'one per line';
+    } else {
+      input = document.createElement('input');
+      input.type = { flag: 'checkbox', secret: 'password', text: 'text' }[field.kind] || 'number';
+      if (field.kind === 'factor') input.step = '0.1';
+    }
+    if (field.hint) {
+      input.title = field.hint;
+      if (input.type === 'text') input.placeholder = field.hint;
+    }
+    container.append(label, input);
+    row.appendChild(container);
+    settingsInputs.push({ field, input });
+  });
+  fillSettings(view.settings);
+  showSettingsProblems(`Replaced by their defaults (${view.filePath}):`, view.problems);
+}
+
+function fillSettings(settings) {
+  settingsInputs.forEach(({ field, input }) => {
+    const value = settingValue(settings, field.key);
+    if (field.kind === 'flag') input.checked = !!value;
+    else if (field.kind === 'list') input.value = (value || []).join('\n');
+    else input.value = value === undefined ? '' : value;
+  });
+}
+
+/** The form as a settings document; a blank number is sent as null and refused by the main process. */
+function readSettingsForm() {
+  const settings = {};
+  settingsInputs.forEach(({ field, input }) => {
+    let value;
+    if (field.kind === 'flag') value = input.checked;
+    else if (field.kind === 'list') value = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+    else if (input.type === 'number') value = input.value.trim() === '' ? null : Number(input.value);
+    else value = input.value.trim();
+    const parts = field.key.split('.');
+    const parent = parts.slice(0, -1).reduce((o, part) => (o[part] = o[part] || {}), settings);
+    parent[parts[parts.length - 1]] = value;
+  });
+  return settings;
+}
+
+async function loadAndRenderSettings() {
+  renderSettings(await ipcRenderer.invoke('get-settings'));
+}
+
+document.getElementById('saveSettingsBtn').addEventListener('click', async () => {
+  try {
+    const result = await ipcRenderer.invoke('save-settings', readSettingsForm());
+    if (!result.ok) {
+      showSettingsProblems('Not saved:', result.errors);
+      return;
+    }
+    fillSettings(result.settings);
+    showSettingsProblems('', []);
+    await showMessageBox('Settings saved. They apply right away; browsers already open keep theirs.', 'Settings');
+  } catch (err) {
+    console.error('Error saving settings:', err);
+    await showMessageBox(`Error saving settings: ${err}`, 'Error');
+  }
+});
+
+document.getElementById('resetSettingsBtn').addEventListener('click', async () => {
+  const view = await ipcRenderer.invoke('get-settings');
+  fillSettings(view.defaults);
+});
+
+document.getElementById('openSettingsFileBtn').addEventListener('click', () => {
+  ipcRenderer.invoke('open-settings-file');
+});
+
+// Saved from here or edited by hand
+ipcRenderer.on('settings-changed', (event, view) => renderSettings(view));
+
+/* ===================== Data file problems ===================== */
+/** Entries of the data file that break the schema are loaded anyway; say which ones. */
+async function reportDataProblems() {
+  const problems = await ipcRenderer.invoke('get-data-problems');
+  if (!problems.length) return;
+  const shown = problems.slice(0, 15);
+  const more = problems.length > shown.length ? `\n...and ${problems.length - shown.length} more (see the Activity Log)` : '';
+  await showMessageBox(`The data file has problems. Fix these entries in the table or re-import a good file:\n\n- ${shown.join('\n- ')}${more}`, 'Data file');
+}
+
 /* ===================== INIT ===================== */
 async function init() {
+  await loadSites();
+  await refreshVaultStatus();
   await loadAndRenderCredentials();
+  liveStatuses = await ipcRenderer.invoke('get-bid-statuses');
   await loadAndRenderAuctions();
+  await reportDataProblems();
+  await loadAndRenderAuditLog();
+  await refreshWatchStatus();
+  renderSessionHealth(await ipcRenderer.invoke('get-session-health'));
+  await loadAndRenderSettings();
+  refreshServerClockOffset(); // network round trips; the clock shows local time until it answers
 }
 init();
\ No newline at end of file
@@ -3,6 +3,7 @@
 import { Logger } from './lib/logger';
 import { FilePaths } from './lib/file-paths.js';
 import { PuppeteerWrapper } from './lib/puppeteer-wrapper';
+import { AuditLog } from '../main/audit-log';
 
 
 //#endregion
@@ -10,6 +11,7 @@ import { PuppeteerWrapper } from './lib/puppeteer-wrapper';
 //#region Setup - Dependency Injection-----------------------------------------------
 const _logger = new Logger();
 const _filePaths = new FilePaths(_logger, "puppeteer-electron-quickstart");
+_logger.attachAuditLog(new AuditLog(_filePaths.logsDirPath(), { echo: false }));
 const _puppeteerWrapper = new PuppeteerWrapper(_logger, _filePaths,
     { headless: false, width:1920, height: 1080 });
 
@@ -42,4 +42,9 @@ export class FilePaths {
     logsPath() {
         return path.join(this.appFolderPath(), 'logs.txt');
     }
+
+    // Rotating JSON-lines audit log, shared with the main process (main/audit-log.js)
+    logsDirPath() {
+        return path.join(this.appFolderPath(), 'logs');
+    }
 }
\ No newline at end of file
@@ -6,6 +6,12 @@ export class Logger {
         }
 
         this._logs = [];
+        this._auditLog = undefined;
+    }
+
+    /** Also write every message to the structured audit log (main/audit-log.js). */
+    attachAuditLog(auditLog) {
+        this._auditLog = auditLog;
     }
 
     logInfo(msg) {
@@ -13,11 +19,16 @@ export class Logger {
     }
 
     logError(msg) {
-        this.log(msg, 'color: red;')
+        this.log(msg, 'color: red;', 'error');
     }
 
-    log(msg, style) {
+    log(msg, style, level) {
         if (!msg) return;
+
+        if (this._auditLog) {
+            this._auditLog.log(level || 'info', 'app', msg instanceof Error ? msg.message : msg,
+                msg instanceof Error ? { error: msg } : {});
+        }
         
         if (this._htmlLogger) {
             this._htmlLogger
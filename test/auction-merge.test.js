@@ -0,0 +1,148 @@
+// auction-merge.test.js
+//
+// Planning, applying and re-checking merges of incoming auctions into the
+// stored list (main/auction-merge.js).
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const {
+  EXTRACT_FIELDS, IMPORT_FIELDS, planMerge, applyMerge, recheckAcceptance, defaultAcceptance,
+} = require('../main/auction-merge');
+
+function stored() {
+  return [
+    { id: 1, idAuction: 'tof/3449', address: '312 10Th Ave', timeToBid: '2025-03-05T14:00:00.000Z', bidProxy: '4', account: 'a@example.com' },
+    { id: 2, idAuction: 'ebg/8450', address: '9 Elm St', timeToBid: '2025-03-06T14:00:00.000Z', bidProxy: '6', account: 'b@example.com' },
+  ];
+}
+
+describe('planMerge', () => {
+  it('sorts incoming auctions into added, changed and unchanged', () => {
+    const plan = planMerge(stored(), [
+      { idAuction: 'tof/3449', address: '312 10th Avenue', timeToBid: '2025-03-05T14:00:00Z' },
+      { idAuction: 'ebg/8450', address: '9 Elm St' },
+      { idAuction: 'ebg/9001', address: '1 Oak St' },
+    ]);
+    assert.deepStrictEqual(plan.added.map(a => a.idAuction), ['ebg/9001']);
+    assert.deepStrictEqual(plan.changed, [{
+      id: 1,
+      idAuction: 'tof/3449',
+      address: '312 10Th Ave',
+      changes: [{ field: 'address', from: '312 10Th Ave', to: '312 10th Avenue', ours: false }],
+    }]);
+    assert.strictEqual(plan.unchanged, 1);
+    assert.deepStrictEqual(plan.removed, []);
+  });
+
+  it('never counts an empty incoming value as a change', () => {
+    const plan = planMerge(stored(), [{ idAuction: 'tof/3449', address: '', timeZone: null, metadata: {} }]);
+    assert.deepStrictEqual(plan.changed, []);
+    assert.strictEqual(plan.unchanged, 1);
+  });
+
+  it('flags changes to our own fields and compares only the given fields', () => {
+    const incoming = [{ idAuction: 'tof/3449', bidProxy: '3', account: 'c@example.com', address: '312 10Th Ave' }];
+    assert.deepStrictEqual(planMerge(stored(), incoming, { fields: EXTRACT_FIELDS }).changed, []);
+
+    const changes = planMerge(stored(), incoming, { fields: IMPORT_FIELDS }).changed[0].changes;
+    assert.deepStrictEqual(changes.map(c => [c.field, c.from, c.to, c.ours]), [
+      ['bidProxy', '4', '3', true],
+      ['account', 'a@example.com', 'c@example.com', true],
+    ]);
+  });
+
+  it('keeps the first of two incoming rows for one lot', () => {
+    const plan = planMerge([], [{ idAuction: 'ebg/9001', address: 'first' }, { idAuction: 'ebg/9001', address: 'second' }]);
+    assert.deepStrictEqual(plan.added.map(a => a.address), ['first']);
+  });
+
+  it('lists removals only where the caller says absence means removed', () => {
+    assert.deepStrictEqual(planMerge(stored(), []).removed, []);
+    const plan = planMerge(stored(), [], { removable: a => a.idAuction.startsWith('ebg/') });
+    assert.deepStrictEqual(plan.removed, [{ id: 2, idAuction: 'ebg/8450', address: '9 Elm St' }]);
+  });
+});
+
+describe('applyMerge', () => {
+  const incoming = [
+    { idAuction: 'tof/3449', address: '312 10th Avenue', bidProxy: '3' },
+    { idAuction: 'ebg/9001', address: '1 Oak St' },
+  ];
+
+  it('applies only the accepted fields, additions and removals', () => {
+    const plan = planMerge(stored(), incoming, { fields: IMPORT_FIELDS, removable: () => true });
+    const result = applyMerge(stored(), plan, { add: ['ebg/9001'], fields: { 'tof/3449': ['address'] }, remove: ['ebg/8450'] });
+
+    assert.deepStrictEqual([result.added, result.updated, result.removed], [1, 1, 1]);
+    assert.deepStrictEqual(result.auctions.map(a => [a.id, a.idAuction, a.address, a.bidProxy]), [
+      [1, 'tof/3449', '312 10th Avenue', '4'],
+      [3, 'ebg/9001', '1 Oak St', '0'],
+    ]);
+    assert.strictEqual(result.auctions[1].account, '');
+  });
+
+  it('changes nothing without acceptance', () => {
+    const plan = planMerge(stored(), incoming, { fields: IMPORT_FIELDS });
+    const result = applyMerge(stored(), plan);
+    assert.deepStrictEqual(result.auctions, stored());
+    assert.deepStrictEqual([result.added, result.updated, result.removed], [0, 0, 0]);
+  });
+
+  it('leaves our own fields unticked by default', () => {
+    const plan = planMerge(stored(), incoming, { fields: IMPORT_FIELDS });
+    assert.deepStrictEqual(defaultAcceptance(plan), { add: ['ebg/9001'], fields: { 'tof/3449': ['address'] }, remove: [] });
+  });
+});
+
+describe('recheckAcceptance', () => {
+  const incoming = [
+    { idAuction: 'tof/3449', address: '312 10th Avenue', bidProxy: '3' },
+    { idAuction: 'ebg/9001', address: '1 Oak St' },
+  ];
+  const options = { fields: IMPORT_FIELDS, removable: () => true };
+  const accepted = { add: ['ebg/9001'], fields: { 'tof/3449': ['address', 'bidProxy'] }, remove: ['ebg/8450'] };
+
+  it('keeps every choice while the stored list is unchanged', () => {
+    const previewed = planMerge(stored(), incoming, options);
+    const result = recheckAcceptance(previewed, planMerge(stored(), incoming, options), accepted);
+    assert.deepStrictEqual(result, { accepted, stale: [] });
+  });
+
+  it('drops a field edited since the preview', () => {
+    const previewed = planMerge(stored(), incoming, options);
+    const now = stored();
+    now[0].bidProxy = '5';
+
+    const result = recheckAcceptance(previewed, planMerge(now, incoming, options), accepted);
+    assert.deepStrictEqual(result.accepted.fields, { 'tof/3449': ['address'] });
+    assert.deepStrictEqual(result.stale, ['tof/3449 bidProxy']);
+  });
+
+  it('drops a field that now already holds the incoming value', () => {
+    const previewed = planMerge(stored(), incoming, options);
+    const now = stored();
+    now[0].address = '312 10th Avenue';
+
+    const result = recheckAcceptance(previewed, planMerge(now, incoming, options), accepted);
+    assert.deepStrictEqual(result.accepted.fields, { 'tof/3449': ['bidProxy'] });
+    assert.deepStrictEqual(result.stale, ['tof/3449 address']);
+  });
+
+  it('drops additions and removals that no longer apply', () => {
+    const previewed = planMerge(stored(), incoming, options);
+    const now = stored().filter(a => a.idAuction !== 'ebg/8450');
+    now.push({ id: 3, idAuction: 'ebg/9001', address: '1 Oak St' });
+
+    const result = recheckAcceptance(previewed, planMerge(now, incoming, options), accepted);
+    assert.deepStrictEqual(result.accepted.add, []);
+    assert.deepStrictEqual(result.accepted.remove, []);
+    assert.deepStrictEqual(result.stale, ['ebg/9001', 'ebg/8450']);
+  });
+
+  it('ignores fields the preview never offered', () => {
+    const previewed = planMerge(stored(), incoming, options);
+    const result = recheckAcceptance(previewed, previewed, { fields: { 'tof/3449': ['timeZone'] } });
+    assert.deepStrictEqual(result, { accepted: { add: [], fields: { 'tof/3449': [] }, remove: [] }, stale: [] });
+  });
+});
@@ -0,0 +1,129 @@
+// auction-store.test.js
+//
+// The SQLite auction store (main/auction-store.js), on a database in a
+// temporary folder.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuctionStore } = require('../main/auction-store');
+
+function auction(fields) {
+  return Object.assign({
+    idAuction: 'tof/3449',
+    timeToBid: '2025-03-05T14:00:00.000Z',
+    timeZone: 'America/Chicago',
+    bidProxy: '4',
+    account: 'a@example.com',
+  }, fields);
+}
+
+describe('AuctionStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auction-store-test-'));
+    store = new AuctionStore(path.join(dir, 'database.db'));
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('gives back auctions in the shape they went in', () => {
+    const id = store.insertAuction(auction({
+      strategy: { type: 'snipe', closesAt: '2025-03-05T20:30:00.000Z', leadSeconds: 5 },
+      metadata: { parcelNumber: '0412-003' },
+      history: [{ at: '2025-03-05T14:00:01.000Z', type: 'bid', attempt: 1, rate: 4, status: 'accepted', screenshot: 'a.png' }],
+    }));
+    assert.strictEqual(id, 1);
+    assert.deepStrictEqual(store.getAuction(id), auction({
+      id: 1,
+      strategy: { type: 'snipe', closesAt: '2025-03-05T20:30:00.000Z', leadSeconds: 5 },
+      metadata: { parcelNumber: '0412-003' },
+      history: [{ at: '2025-03-05T14:00:01.000Z', type: 'bid', attempt: 1, rate: 4, status: 'accepted', screenshot: 'a.png' }],
+    }));
+    assert.strictEqual(store.insertAuction(auction({ idAuction: 'ebg/8450' })), 2);
+    assert.strictEqual(store.getAuction(3), null);
+  });
+
+  it('merges updates into the stored auction and clears null fields', () => {
+    const id = store.insertAuction(auction({ bidStatus: 'accepted', watched: true }));
+    const updated = store.updateAuction(id, { bidStatus: null, bidMessage: 'Bid placed', watched: null });
+    assert.strictEqual(updated.bidStatus, undefined);
+    assert.strictEqual(updated.watched, undefined);
+    assert.strictEqual(updated.bidMessage, 'Bid placed');
+    assert.strictEqual(updated.bidProxy, '4');
+    assert.strictEqual(store.updateAuction(99, { bidStatus: 'accepted' }), null);
+  });
+
+  it('keeps both of two updates to one auction made through separate connections', () => {
+    const other = new AuctionStore(store.filePath);
+    try {
+      const id = store.insertAuction(auction());
+      // The window sees the lot change while a bid on the same auction finishes
+      other.updateAuction(id, { lotState: { status: 'open', winningRate: 3 } });
+      store.updateAuction(id, { bidStatus: 'accepted', bidPlaced: 'now' });
+      other.appendHistory(id, { type: 'watch', status: 'changed' });
+      store.appendHistory(id, { type: 'bid', attempt: 1, status: 'accepted' });
+
+      const result = store.getAuction(id);
+      assert.deepStrictEqual(result.lotState, { status: 'open', winningRate: 3 });
+      assert.strictEqual(result.bidStatus, 'accepted');
+      assert.deepStrictEqual(result.history.map(h => h.type), ['watch', 'bid']);
+    } finally {
+      other.close();
+    }
+  });
+
+  it('rolls back everything a failed transaction did', () => {
+    const id = store.insertAuction(auction());
+    assert.throws(() => store.transaction(() => {
+      store.updateAuction(id, { bidStatus: 'accepted' });
+      store.appendHistory(id, { type: 'bid', status: 'accepted' });
+      throw new Error('interrupted');
+    }), /interrupted/);
+    const result = store.getAuction(id);
+    assert.strictEqual(result.bidStatus, undefined);
+    assert.strictEqual(result.history, undefined);
+  });
+
+  it('replaces the list, keeping the stored history', () => {
+    const kept = store.insertAuction(auction({ history: [{ type: 'bid', status: 'accepted' }] }));
+    const dropped = store.insertAuction(auction({ idAuction: 'ebg/8450' }));
+
+    store.replaceAuctions([
+      auction({ id: kept, address: '312 10Th Ave', history: [{ type: 'bid', status: 'rejected' }] }),
+      auction({ id: 7, idAuction: 'ebg/9001', history: [{ type: 'import', status: 'added' }] }),
+    ]);
+    assert.deepStrictEqual(store.listAuctions().map(a => a.id), [kept, 7]);
+    assert.strictEqual(store.getAuction(dropped), null);
+    assert.strictEqual(store.getAuction(kept).address, '312 10Th Ave');
+    assert.deepStrictEqual(store.getAuction(kept).history.map(h => h.status), ['accepted']);
+    assert.deepStrictEqual(store.getAuction(7).history.map(h => h.status), ['added']);
+  });
+
+  it('deletes an auction with its history', () => {
+    const id = store.insertAuction(auction({ history: [{ type: 'bid', status: 'accepted' }] }));
+    assert.strictEqual(store.deleteAuction(id), true);
+    assert.strictEqual(store.deleteAuction(id), false);
+    assert.strictEqual(store.appendHistory(id, { type: 'bid' }), false);
+  });
+
+  it('keeps meta values across connections', () => {
+    store.setMeta('legacyImported', '1');
+    store.setMeta('legacyImported', '2');
+    const other = new AuctionStore(store.filePath);
+    try {
+      assert.strictEqual(other.getMeta('legacyImported'), '2');
+      assert.strictEqual(other.getMeta('missing'), null);
+    } finally {
+      other.close();
+    }
+  });
+});
@@ -0,0 +1,104 @@
+// auction-time.test.js
+//
+// Wall-clock site times to UTC instants and back (main/auction-time.js),
+// around daylight saving changes in both hemispheres.
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const {
+  wallClockToUtc, formatWallClock, zoneAbbreviation, isUtcInstant, normalizeAuctionTime,
+} = require('../main/auction-time');
+
+describe('wallClockToUtc', () => {
+  it('reads standard and daylight time', () => {
+    assert.strictEqual(wallClockToUtc('03/05/2025 08:00', 'America/Chicago'), '2025-03-05T14:00:00.000Z');
+    assert.strictEqual(wallClockToUtc('07/04/2025 08:00', 'America/Chicago'), '2025-07-04T13:00:00.000Z');
+  });
+
+  it('reads 12-hour times and seconds', () => {
+    assert.strictEqual(wallClockToUtc('01/15/2025 12:30 AM', 'America/Chicago'), '2025-01-15T06:30:00.000Z');
+    assert.strictEqual(wallClockToUtc('07/04/2025 01:30:15 pm', 'America/Chicago'), '2025-07-04T18:30:15.000Z');
+  });
+
+  it("returns '' for text that is not a time", () => {
+    assert.strictEqual(wallClockToUtc('', 'America/Chicago'), '');
+    assert.strictEqual(wallClockToUtc('2025-03-05', 'America/Chicago'), '');
+  });
+
+  describe('spring-forward gap', () => {
+    it('moves a skipped time forward by the change', () => {
+      // 02:00 CST jumps to 03:00 CDT
+      assert.strictEqual(wallClockToUtc('03/09/2025 02:30', 'America/Chicago'), '2025-03-09T08:30:00.000Z');
+      assert.strictEqual(formatWallClock('2025-03-09T08:30:00.000Z', 'America/Chicago'), '03/09/2025 03:30');
+      // 01:00 GMT jumps to 02:00 BST
+      assert.strictEqual(wallClockToUtc('03/30/2025 01:30', 'Europe/London'), '2025-03-30T01:30:00.000Z');
+    });
+
+    it('keeps the times either side of the gap', () => {
+      assert.strictEqual(wallClockToUtc('03/09/2025 01:59', 'America/Chicago'), '2025-03-09T07:59:00.000Z');
+      assert.strictEqual(wallClockToUtc('03/09/2025 03:00', 'America/Chicago'), '2025-03-09T08:00:00.000Z');
+    });
+  });
+
+  describe('fall-back overlap', () => {
+    it('takes the first of the two occurrences west of UTC', () => {
+      // 01:30 happens in CDT, then again in CST
+      assert.strictEqual(wallClockToUtc('11/02/2025 01:30', 'America/Chicago'), '2025-11-02T06:30:00.000Z');
+      assert.strictEqual(zoneAbbreviation('2025-11-02T06:30:00.000Z', 'America/Chicago'), 'CDT');
+    });
+
+    it('takes the first of the two occurrences east of UTC', () => {
+      // 01:30 happens in BST, then again in GMT
+      assert.strictEqual(wallClockToUtc('10/26/2025 01:30', 'Europe/London'), '2025-10-26T00:30:00.000Z');
+      // 02:30 happens in AEDT, then again in AEST
+      assert.strictEqual(wallClockToUtc('04/06/2025 02:30', 'Australia/Sydney'), '2025-04-05T15:30:00.000Z');
+    });
+
+    it('reads the time after the overlap in the new offset', () => {
+      assert.strictEqual(wallClockToUtc('11/02/2025 02:00', 'America/Chicago'), '2025-11-02T08:00:00.000Z');
+      assert.strictEqual(wallClockToUtc('10/26/2025 02:00', 'Europe/London'), '2025-10-26T02:00:00.000Z');
+    });
+  });
+});
+
+describe('formatWallClock', () => {
+  it('shows an instant on the zone clock', () => {
+    assert.strictEqual(formatWallClock('2025-03-05T14:00:00.000Z', 'America/Chicago'), '03/05/2025 08:00');
+    assert.strictEqual(formatWallClock(new Date('2025-11-02T07:30:00.000Z'), 'America/Chicago'), '11/02/2025 01:30');
+  });
+
+  it("returns '' for an invalid instant", () => {
+    assert.strictEqual(formatWallClock('not a date', 'America/Chicago'), '');
+  });
+});
+
+describe('normalizeAuctionTime', () => {
+  it('leaves a zoned instant alone', () => {
+    const auction = { timeToBid: '2025-03-05T14:00:00.000Z', timeZone: 'America/Chicago' };
+    assert.strictEqual(normalizeAuctionTime(auction), false);
+    assert.deepStrictEqual(auction, { timeToBid: '2025-03-05T14:00:00.000Z', timeZone: 'America/Chicago' });
+  });
+
+  it('reads an old unzoned time in the machine zone, as the scheduler did', () => {
+    const auction = { timeToBid: '03/05/2025 08:00' };
+    assert.strictEqual(normalizeAuctionTime(auction, 'America/Chicago'), true);
+    assert.strictEqual(auction.timeToBid, new Date(2025, 2, 5, 8, 0).toISOString());
+    assert.strictEqual(auction.timeZone, 'America/Chicago');
+    assert.ok(isUtcInstant(auction.timeToBid));
+  });
+
+  it('clears a time it cannot read', () => {
+    const auction = { timeToBid: 'soon', timeZone: 'America/Chicago' };
+    assert.strictEqual(normalizeAuctionTime(auction), true);
+    assert.strictEqual(auction.timeToBid, '');
+  });
+});
+
+describe('isUtcInstant', () => {
+  it('needs an explicit offset', () => {
+    assert.strictEqual(isUtcInstant('2025-03-05T14:00:00.000Z'), true);
+    assert.strictEqual(isUtcInstant('2025-03-05T08:00-06:00'), true);
+    assert.strictEqual(isUtcInstant('2025-03-05T14:00:00'), false);
+  });
+});
@@ -0,0 +1,117 @@
+// audit-log.test.js
+//
+// The persistent audit log (main/audit-log.js): rotation and query filters,
+// on log files in a temporary folder.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuditLog } = require('../main/audit-log');
+
+describe('AuditLog', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const files = () => fs.readdirSync(dir).sort();
+  const lines = file => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(l => JSON.parse(l).message);
+
+  describe('rotation', () => {
+    it('starts a new file once the current one is full, keeping maxFiles', () => {
+      const log = new AuditLog(dir, { echo: false, maxFileBytes: 300, maxFiles: 3 });
+      for (let i = 0; i < 12; i++) log.info('bidding', `entry ${i}`);
+
+      assert.deepStrictEqual(files(), ['audit.1.jsonl', 'audit.2.jsonl', 'audit.jsonl']);
+      const kept = lines('audit.2.jsonl').concat(lines('audit.1.jsonl'), lines('audit.jsonl'));
+      assert.strictEqual(kept[kept.length - 1], 'entry 11');
+      assert.ok(!kept.includes('entry 0'), 'the oldest file was dropped');
+      for (const file of ['audit.1.jsonl', 'audit.2.jsonl']) {
+        assert.ok(fs.statSync(path.join(dir, file)).size >= 300);
+      }
+    });
+
+    it('counts what is already in the file when it starts', () => {
+      fs.writeFileSync(path.join(dir, 'audit.jsonl'), `${'x'.repeat(400)}\n`);
+      new AuditLog(dir, { echo: false, maxFileBytes: 300 }).info('app', 'after restart');
+      assert.deepStrictEqual(lines('audit.jsonl'), ['after restart']);
+    });
+
+    it('does not rotate again a file another writer already rotated', () => {
+      // Room for 8 entries of the same length
+      const scratch = new AuditLog(path.join(dir, 'scratch'), { echo: false });
+      scratch.info('app', 'first 0');
+      const entryBytes = fs.statSync(path.join(dir, 'scratch', 'audit.jsonl')).size;
+      fs.rmSync(path.join(dir, 'scratch'), { recursive: true });
+      const options = { echo: false, maxFileBytes: entryBytes * 8, maxFiles: 5 };
+      const first = new AuditLog(dir, options);
+      const other = new AuditLog(dir, options);
+
+      for (let i = 0; i < 7; i++) first.info('app', `first ${i}`);
+      other.info('app', 'other 0');
+      // The first one's own count fills the file with its next entry; the one after rotates it
+      first.info('app', 'first 7');
+      first.info('app', 'first 8');
+      assert.deepStrictEqual(files(), ['audit.1.jsonl', 'audit.jsonl']);
+      assert.deepStrictEqual(lines('audit.jsonl'), ['first 8']);
+
+      // By its own count the other one is full too, but the file is new
+      other.info('app', 'other 1');
+      assert.deepStrictEqual(files(), ['audit.1.jsonl', 'audit.jsonl']);
+      assert.deepStrictEqual(lines('audit.jsonl'), ['first 8', 'other 1']);
+    });
+  });
+
+  describe('query', () => {
+    let log;
+
+    beforeEach(() => {
+      log = new AuditLog(dir, { echo: false, maxFileBytes: 400, maxFiles: 5 });
+      log.info('bidding', 'armed', { account: 'a@example.com', auctionId: 1, idAuction: 'tof/3449' });
+      log.debug('prewarm', 'page ready', { account: 'a@example.com', auctionId: 1, idAuction: 'tof/3449' });
+      log.warn('bidding', 'retrying', { account: 'b@example.com', auctionId: 2, idAuction: 'ebg/8450' });
+      log.error('bidding', 'bid failed', { account: 'a@example.com', auctionId: 1, idAuction: 'tof/3449', error: new Error('timeout') });
+      log.info('vault', 'unlocked');
+    });
+
+    const messages = entries => entries.map(e => e.message);
+
+    it('reads across rotated files, oldest first', async () => {
+      assert.ok(files().length > 1, 'the entries span more than one file');
+      assert.deepStrictEqual(messages(await log.query()), ['armed', 'page ready', 'retrying', 'bid failed', 'unlocked']);
+    });
+
+    it('filters by auction record id or site id', async () => {
+      assert.deepStrictEqual(messages(await log.query({ auctionId: 1 })), ['armed', 'page ready', 'bid failed']);
+      assert.deepStrictEqual(messages(await log.query({ auctionId: 'ebg/8450' })), ['retrying']);
+    });
+
+    it('filters by account, event and minimum level', async () => {
+      assert.deepStrictEqual(messages(await log.query({ account: 'b@example.com' })), ['retrying']);
+      assert.deepStrictEqual(messages(await log.query({ event: 'vault' })), ['unlocked']);
+      assert.deepStrictEqual(messages(await log.query({ level: 'warn' })), ['retrying', 'bid failed']);
+      assert.deepStrictEqual(messages(await log.query({ level: 'info', account: 'a@example.com' })), ['armed', 'bid failed']);
+    });
+
+    it('keeps the newest entries up to limit', async () => {
+      assert.deepStrictEqual(messages(await log.query({ limit: 2 })), ['bid failed', 'unlocked']);
+      assert.deepStrictEqual(messages(await log.query({ account: 'a@example.com', limit: 1 })), ['bid failed']);
+    });
+
+    it('keeps the error message and skips lines cut short', async () => {
+      fs.appendFileSync(path.join(dir, 'audit.jsonl'), '{"at":"2025-');
+      const [failed] = await log.query({ level: 'error' });
+      assert.strictEqual(failed.data.error, 'timeout');
+      assert.ok(failed.data.stack);
+      assert.strictEqual((await log.query()).length, 5);
+    });
+  });
+});
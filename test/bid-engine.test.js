@@ -0,0 +1,221 @@
+// bid-engine.test.js
+//
+// The engine's bid-with-retry path (main/bid-engine.js): first with a scripted
+// site adapter and a stand-in browser, so the retry rules run without Chrome,
+// then through a real headless browser against the mock server.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BidEngine } = require('../main/bid-engine');
+const { PuppeteerWrapper } = require('../main/puppeteer-wrapper');
+const { CivicSourceAdapter } = require('../main/sites/civicsource');
+const { createMockCivicSource } = require('./mock-civicsource-server');
+
+const USERNAME = 'bidder@example.com';
+const PASSWORD = 'correct-horse';
+
+const CHROME_PATH = new PuppeteerWrapper({ logInfo() {}, logError() {} }).findChromePath({});
+
+const REAL_HOME = process.env.HOME;
+
+// The app folder lives under ~/Documents: each engine gets a home of its own
+// until disposeEngine() puts the real one back
+function newEngine() {
+  process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'bid-engine-test-'));
+  return new BidEngine({
+    appFolderName: 'BidEngineTest',
+    userDataDir: path.join(process.env.HOME, 'userData'),
+    headless: true,
+    echoLog: false,
+  });
+}
+
+async function disposeEngine(engine) {
+  await engine.shutdown();
+  engine.store.close();
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+  if (REAL_HOME === undefined) delete process.env.HOME;
+  else process.env.HOME = REAL_HOME;
+}
+
+function addAuction(engine, fields) {
+  const result = engine.addAuction(Object.assign({
+    idAuction: 'tof/3449',
+    timeToBid: new Date().toISOString(),
+    timeZone: 'America/Chicago',
+    bidProxy: '4',
+    account: USERNAME,
+    retryPolicy: { maxAttempts: 3, backoffMs: 1 },
+  }, fields));
+  assert.ok(result.ok, result.errors.join('; '));
+  return result.auction;
+}
+
+function bidHistory(engine, auction) {
+  return (engine.store.getAuction(auction.id).history || []).filter(h => h.type === 'bid');
+}
+
+/** Browser whose pages do nothing, for sessions that never load a site. */
+function stubBrowser() {
+  const page = { url: () => '', on() {}, screenshot: async () => {} };
+  const context = { newPage: async () => page, cookies: async () => [], setCookie: async () => {}, close: async () => {} };
+  return { createBrowserContext: async () => context, on() {}, close: async () => {} };
+}
+
+/** Site adapter whose placeBid returns (or throws) `outcomes` in turn. */
+function scriptedSite(outcomes) {
+  const site = {
+    name: 'scripted',
+    label: 'Scripted',
+    baseUrl: 'http://127.0.0.1:9',
+    rates: [],
+    lotUrl: idAuction => `${site.baseUrl}/auctions/${idAuction}`,
+    isLoggedOut: async () => false,
+    placeBid: async (page, idAuction, rate) => {
+      site.rates.push(rate);
+      const next = outcomes.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    },
+  };
+  return site;
+}
+
+describe('BidEngine retries', () => {
+  let engine;
+
+  before(() => {
+    engine = newEngine();
+    engine.browsers.launch = async () => stubBrowser();
+  });
+
+  after(async () => {
+    await disposeEngine(engine);
+  });
+
+  // A logged-in session on `site`, so no attempt goes through a login
+  async function sessionPage(site) {
+    await engine.closeSession(USERNAME);
+    const session = await engine.sessions.open(USERNAME, site);
+    engine.sessions.markLoggedIn(USERNAME);
+    return session.page;
+  }
+
+  it('retries a bid that failed before the confirm click', async () => {
+    const site = scriptedSite([new Error('Bid input not found'), { status: 'accepted', message: 'Bid placed', submitted: true }]);
+    const auction = addAuction(engine);
+
+    const outcome = await engine._placeBidWithRetry(auction, USERNAME, await sessionPage(site));
+    assert.strictEqual(outcome.status, 'accepted');
+    assert.deepStrictEqual(site.rates, [4, 4]);
+    assert.deepStrictEqual(bidHistory(engine, auction).map(h => h.status), ['error', 'accepted']);
+    assert.ok(engine.store.getAuction(auction.id).bidPlaced);
+  });
+
+  it('never submits twice once the confirm click happened', async () => {
+    const site = scriptedSite([
+      { status: 'unknown', message: 'Result not read after submitting', submitted: true },
+      { status: 'accepted', message: 'Bid placed', submitted: true },
+    ]);
+    const auction = addAuction(engine);
+
+    const outcome = await engine._placeBidWithRetry(auction, USERNAME, await sessionPage(site));
+    assert.strictEqual(outcome.status, 'unknown');
+    assert.strictEqual(site.rates.length, 1);
+    assert.strictEqual(bidHistory(engine, auction).length, 1);
+    // It may well be in, so a later Start must not bid again
+    assert.ok(engine.store.getAuction(auction.id).bidPlaced);
+  });
+
+  it('does not retry a submitted bid that errored, nor mark it placed', async () => {
+    const site = scriptedSite([
+      { status: 'error', message: 'Confirmation page crashed', submitted: true },
+      { status: 'accepted', message: 'Bid placed', submitted: true },
+    ]);
+    const auction = addAuction(engine);
+
+    await engine._placeBidWithRetry(auction, USERNAME, await sessionPage(site));
+    assert.strictEqual(site.rates.length, 1);
+    assert.strictEqual(engine.store.getAuction(auction.id).bidPlaced, undefined);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const site = scriptedSite([new Error('timeout'), new Error('timeout'), new Error('timeout'), { status: 'accepted' }]);
+    const auction = addAuction(engine);
+
+    const outcome = await engine._placeBidWithRetry(auction, USERNAME, await sessionPage(site));
+    assert.strictEqual(outcome.status, 'error');
+    assert.strictEqual(site.rates.length, 3);
+    assert.strictEqual(engine.store.getAuction(auction.id).bidPlaced, undefined);
+  });
+
+  it('stops retrying once the deadline passed', async () => {
+    const site = scriptedSite([new Error('timeout'), { status: 'accepted', message: 'Bid placed', submitted: true }]);
+    const auction = addAuction(engine, {
+      timeToBid: new Date(Date.now() - 60 * 1000).toISOString(),
+      retryPolicy: { maxAttempts: 3, backoffMs: 1, deadlineSeconds: 30 },
+    });
+
+    const outcome = await engine._placeBidWithRetry(auction, USERNAME, await sessionPage(site));
+    assert.strictEqual(outcome.status, 'error');
+    assert.strictEqual(site.rates.length, 1);
+    assert.strictEqual(bidHistory(engine, auction).pop().status, 'abandoned');
+  });
+});
+
+describe('BidEngine bidding against the mock server', {
+  timeout: 120000,
+  skip: CHROME_PATH ? false : 'no Chrome found: install Chrome or run `npx puppeteer browsers install chrome`',
+}, () => {
+  let mock;
+  let site;
+  let engine;
+
+  before(async () => {
+    mock = createMockCivicSource({
+      accounts: { [USERNAME]: PASSWORD },
+      lots: {
+        'tof/3449': {},
+        'ebg/210': { rejectText: 'Bidding on this lot is closed.' },
+      },
+    });
+    site = new CivicSourceAdapter({ baseUrl: await mock.start() });
+    engine = newEngine();
+    assert.ok(engine.unlockVault('test passphrase').ok);
+    assert.ok(engine.saveCredentials([{ username: USERNAME, password: PASSWORD }]));
+  });
+
+  beforeEach(async () => {
+    await engine.closeSession(USERNAME);
+  });
+
+  after(async () => {
+    if (engine) await disposeEngine(engine);
+    if (mock) await mock.stop();
+  });
+
+  it('logs in and places the bid once', async () => {
+    const auction = addAuction(engine);
+    const session = await engine.sessions.open(USERNAME, site);
+    const bidsBefore = mock.bids.length;
+
+    const outcome = await engine._placeBidWithRetry(auction, USERNAME, session.page);
+    assert.strictEqual(outcome.status, 'accepted');
+    assert.deepStrictEqual(mock.bids.slice(bidsBefore), [{ username: USERNAME, idAuction: 'tof/3449', amount: 4 }]);
+    assert.ok(engine.store.getAuction(auction.id).bidPlaced);
+  });
+
+  it('does not submit a rejected bid again', async () => {
+    const auction = addAuction(engine, { idAuction: 'ebg/210' });
+    const session = await engine.sessions.open(USERNAME, site);
+
+    const outcome = await engine._placeBidWithRetry(auction, USERNAME, session.page);
+    assert.strictEqual(outcome.status, 'rejected');
+    assert.strictEqual(mock.bids.filter(b => b.idAuction === 'ebg/210').length, 1);
+    assert.strictEqual(engine.store.getAuction(auction.id).bidPlaced, undefined);
+  });
+});
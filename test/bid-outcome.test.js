@@ -0,0 +1,95 @@
+// bid-outcome.test.js
+//
+// Reading and classifying what the auction page shows after a bid
+// (main/bid-outcome.js), from text fixtures and a stand-in page.
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('assert');
+
+const { DEFAULT_OUTCOME_SELECTORS, readBidOutcome, classifyBidOutcome } = require('../main/bid-outcome');
+
+/**
+ * Page whose evaluate() runs against a document holding `elements`
+ * ({ selector: [text, ...] }), the texts the selectors would find.
+ */
+function fixturePage(elements) {
+  return {
+    evaluate: async (fn, ...args) => {
+      global.document = {
+        querySelectorAll: sel => (elements[sel] || []).map(text => ({ innerText: text })),
+        querySelector: sel => (elements[sel] ? { innerText: elements[sel][0] } : null),
+      };
+      return fn(...args);
+    },
+  };
+}
+
+describe('readBidOutcome', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('collects the confirmation and error texts', async () => {
+    const outcome = await readBidOutcome(fixturePage({
+      '.toast-success': ['  Bid placed  '],
+      '.bid-confirmation': ['Thank you'],
+      '.alert-danger': [''],
+      '.field-validation-error': ['Rate must be below 18%', 'Rate is required'],
+    }));
+    assert.deepStrictEqual(outcome, {
+      confirmation: 'Bid placed Thank you',
+      errors: ['Rate must be below 18%', 'Rate is required'],
+      winningRate: null,
+    });
+  });
+
+  it('reads the winning rate from the first matching element', async () => {
+    const outcome = await readBidOutcome(fixturePage({
+      '.current-bid': ['Current best: 7.25 %'],
+      '[data-winning-rate]': ['9'],
+    }));
+    assert.strictEqual(outcome.winningRate, 7.25);
+  });
+
+  it('uses the selectors it is given', async () => {
+    const selectors = Object.assign({}, DEFAULT_OUTCOME_SELECTORS, { confirmation: ['#done'] });
+    const outcome = await readBidOutcome(fixturePage({ '#done': ['Bid received'], '.alert-success': ['ignored'] }), selectors);
+    assert.strictEqual(outcome.confirmation, 'Bid received');
+  });
+});
+
+describe('classifyBidOutcome', () => {
+  it('accepts a confirmation', () => {
+    for (const confirmation of ['Bid placed', 'Your bid was accepted.', 'Bid received', 'Success!', 'Thank you for bidding']) {
+      assert.deepStrictEqual(classifyBidOutcome({ confirmation, errors: [], winningRate: null }, 5),
+        { status: 'accepted', message: confirmation });
+    }
+  });
+
+  it('accepts a confirmation while we hold the winning rate', () => {
+    assert.strictEqual(classifyBidOutcome({ confirmation: 'Bid placed', errors: [], winningRate: 5 }, 5).status, 'accepted');
+  });
+
+  it('rejects on an error text, even with a confirmation', () => {
+    const outcome = classifyBidOutcome({ confirmation: 'Bid placed', errors: ['Bidding on this lot is closed.'], winningRate: null }, 5);
+    assert.deepStrictEqual(outcome, { status: 'rejected', message: 'Bidding on this lot is closed.' });
+  });
+
+  it('reads an error about a better bid as outbid', () => {
+    for (const error of ['You have been outbid', 'Your rate is not the lowest bid', 'Rate is higher than the current bid']) {
+      assert.strictEqual(classifyBidOutcome({ confirmation: '', errors: [error], winningRate: null }, 5).status, 'outbid');
+    }
+  });
+
+  it('is outbid when the winning rate is lower than ours', () => {
+    const outcome = classifyBidOutcome({ confirmation: 'Bid placed', errors: [], winningRate: 4.5 }, 5);
+    assert.deepStrictEqual(outcome, { status: 'outbid', message: 'Current winning rate is 4.5%' });
+  });
+
+  it('does not guess when the page says nothing it knows', () => {
+    assert.deepStrictEqual(classifyBidOutcome({ confirmation: '', errors: [], winningRate: null }, 5),
+      { status: 'unknown', message: 'No confirmation or error shown after submitting.' });
+    assert.deepStrictEqual(classifyBidOutcome({ confirmation: 'Processing...', errors: undefined }, 5),
+      { status: 'unknown', message: 'Processing...' });
+  });
+});
@@ -0,0 +1,119 @@
+// bid-scheduler.test.js
+//
+// The durable bid scheduler (main/bid-scheduler.js), on a jobs file in a
+// temporary folder.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BidScheduler } = require('../main/bid-scheduler');
+
+function job(id, state, fireAt) {
+  return {
+    id, auctionId: 1, idAuction: 'tof/3449', account: 'a@example.com', leg: 0,
+    fireAt, prewarmAt: '', prewarmedAt: '', state, createdAt: fireAt, updatedAt: fireAt, error: '',
+  };
+}
+
+const inSeconds = seconds => new Date(Date.now() + seconds * 1000).toISOString();
+
+describe('BidScheduler', () => {
+  let dir;
+  let jobsPath;
+  let scheduler;
+  let fired;
+
+  function newScheduler(jobs, onFire = async j => { fired.push(j.id); }) {
+    if (jobs) fs.writeFileSync(jobsPath, JSON.stringify({ jobs }));
+    scheduler = new BidScheduler(jobsPath, { onFire });
+    return scheduler;
+  }
+
+  const stored = () => JSON.parse(fs.readFileSync(jobsPath, 'utf8')).jobs;
+  const states = jobs => Object.fromEntries(jobs.map(j => [j.id, j.state]));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bid-scheduler-test-'));
+    jobsPath = path.join(dir, 'jobs.json');
+    fired = [];
+  });
+
+  afterEach(() => {
+    if (scheduler) scheduler.cancelAll();
+    scheduler = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports past pending jobs and jobs caught running as missed', () => {
+    newScheduler([
+      job('past', 'pending', inSeconds(-60)),
+      job('crashed', 'running', inSeconds(60)),
+      job('future', 'pending', inSeconds(3600)),
+      job('done', 'done', inSeconds(-3600)),
+    ]);
+    const missed = scheduler.rehydrate();
+    assert.deepStrictEqual(missed.map(j => j.id), ['past', 'crashed']);
+    assert.deepStrictEqual(states(stored()), { past: 'missed', crashed: 'missed', future: 'pending', done: 'done' });
+    assert.deepStrictEqual(scheduler.pending().map(j => j.id), ['future']);
+  });
+
+  it('re-arms a future job so it fires on time', async () => {
+    let resolveFired;
+    const firedNow = new Promise(resolve => { resolveFired = resolve; });
+    newScheduler([job('soon', 'pending', inSeconds(0.05))], async j => resolveFired(j.id));
+    assert.deepStrictEqual(scheduler.rehydrate(), []);
+    assert.strictEqual(await firedNow, 'soon');
+    // The state is saved once onFire has returned
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(stored()[0].state, 'done');
+  });
+
+  it('keeps missed and running jobs through a reset', () => {
+    newScheduler([
+      job('missed', 'missed', inSeconds(-60)),
+      job('running', 'running', inSeconds(-1)),
+      job('pending', 'pending', inSeconds(3600)),
+      job('failed', 'failed', inSeconds(-3600)),
+    ]);
+    scheduler.reset();
+    assert.deepStrictEqual(states(stored()), { missed: 'missed', running: 'running' });
+  });
+
+  it('fires or skips only missed jobs', async () => {
+    newScheduler([
+      job('missed', 'missed', inSeconds(-60)),
+      job('pending', 'pending', inSeconds(3600)),
+      job('other', 'missed', inSeconds(-60)),
+    ]);
+    assert.strictEqual(await scheduler.fire('pending'), false);
+    assert.strictEqual(await scheduler.fire('unknown'), false);
+    assert.deepStrictEqual(fired, []);
+
+    assert.strictEqual(await scheduler.fire('missed'), true);
+    assert.deepStrictEqual(fired, ['missed']);
+    assert.strictEqual(await scheduler.fire('missed'), false);
+    assert.strictEqual(scheduler.skip('other'), true);
+    assert.deepStrictEqual(states(stored()), { missed: 'done', pending: 'pending', other: 'skipped' });
+  });
+
+  it('marks a job whose bid threw as failed', async () => {
+    newScheduler([job('missed', 'missed', inSeconds(-60))], async () => { throw new Error('Bid input not found'); });
+    await scheduler.fire('missed');
+    assert.strictEqual(stored()[0].state, 'failed');
+    assert.strictEqual(stored()[0].error, 'Bid input not found');
+  });
+
+  it('persists a scheduled job and cancels it', () => {
+    newScheduler();
+    const scheduled = scheduler.schedule({ id: 3, idAuction: 'ebg/8450', account: 'b@example.com' }, inSeconds(3600), 30, 1);
+    assert.strictEqual(stored()[0].id, scheduled.id);
+    assert.strictEqual(stored()[0].leg, 1);
+    assert.strictEqual(new Date(scheduled.fireAt) - new Date(scheduled.prewarmAt), 30000);
+
+    scheduler.cancelAll();
+    assert.strictEqual(stored()[0].state, 'canceled');
+  });
+});
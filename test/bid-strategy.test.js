@@ -0,0 +1,166 @@
+// bid-strategy.test.js
+//
+// Leg planning and the fire-time decisions of the bid strategies
+// (main/bid-strategy.js).
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const {
+  resolveStrategy, validateStrategy, hasRateToBid, planBidLegs, decideBid, strategyToText, strategyFromText,
+} = require('../main/bid-strategy');
+
+const TIME_TO_BID = '2025-03-05T14:00:00.000Z';
+// The lot closes well after bidding opens
+const CLOSES_AT = '2025-03-05T20:30:00.000Z';
+
+function auction(strategy, bidProxy = '5') {
+  return { idAuction: 'tof/3449', timeToBid: TIME_TO_BID, bidProxy, strategy };
+}
+
+describe('planBidLegs', () => {
+  it('plans one leg at timeToBid for a fixed rate', () => {
+    assert.deepStrictEqual(planBidLegs(auction(undefined)), [{ leg: 0, at: TIME_TO_BID, rate: 5 }]);
+  });
+
+  it('plans ladder steps in time order', () => {
+    const legs = planBidLegs(auction({ type: 'ladder', steps: [{ rate: 6, afterSeconds: 60 }, { rate: 10, afterSeconds: 0 }] }));
+    assert.deepStrictEqual(legs, [
+      { leg: 0, at: TIME_TO_BID, rate: 10 },
+      { leg: 1, at: '2025-03-05T14:01:00.000Z', rate: 6 },
+    ]);
+  });
+
+  it('plans a snipe leadSeconds before the close, its rate left to fire time', () => {
+    assert.deepStrictEqual(planBidLegs(auction({ type: 'snipe', closesAt: CLOSES_AT })), [{ leg: 0, at: '2025-03-05T20:29:50.000Z', rate: null }]);
+    assert.deepStrictEqual(planBidLegs(auction({ type: 'snipe', closesAt: CLOSES_AT, leadSeconds: 0 }))[0].at, CLOSES_AT);
+  });
+
+  it('plans nothing without a usable timeToBid', () => {
+    assert.deepStrictEqual(planBidLegs(Object.assign(auction(undefined), { timeToBid: '' })), []);
+  });
+});
+
+describe('decideBid', () => {
+  describe('ladder', () => {
+    const ladder = auction({ type: 'ladder', steps: [{ rate: 10, afterSeconds: 0 }, { rate: 8, afterSeconds: 30 }] });
+
+    it('bids the step rate', () => {
+      assert.strictEqual(decideBid(ladder, 0, { winningRate: 12 }).rate, 10);
+      assert.strictEqual(decideBid(ladder, 1, { winningRate: null }).rate, 8);
+    });
+
+    it('skips a step that would not beat the winning rate', () => {
+      const decision = decideBid(ladder, 1, { winningRate: 7 });
+      assert.strictEqual(decision.skip, true);
+      assert.match(decision.reason, /would not beat the winning 7%/);
+      assert.strictEqual(decideBid(ladder, 1, { winningRate: 8 }).skip, true);
+    });
+
+    it('stops climbing down while our last bid still wins', () => {
+      const decision = decideBid(ladder, 1, { winningRate: 10, lastSubmittedRate: 10 });
+      assert.strictEqual(decision.skip, true);
+      assert.match(decision.reason, /Still winning at 10%/);
+    });
+
+    it('goes on once we were outbid', () => {
+      assert.strictEqual(decideBid(ladder, 1, { winningRate: 9, lastSubmittedRate: 10 }).rate, 8);
+    });
+
+    it('skips a leg past the last step', () => {
+      assert.strictEqual(decideBid(ladder, 2, {}).skip, true);
+    });
+  });
+
+  describe('ifAbove', () => {
+    const ifAbove = auction({ type: 'ifAbove', threshold: 12 });
+
+    it('bids bidProxy when the winning rate is above the threshold or nobody bid', () => {
+      assert.strictEqual(decideBid(ifAbove, 0, { winningRate: 13 }).rate, 5);
+      assert.strictEqual(decideBid(ifAbove, 0, { winningRate: null }).rate, 5);
+    });
+
+    it('skips at or below the threshold', () => {
+      assert.strictEqual(decideBid(ifAbove, 0, { winningRate: 12 }).skip, true);
+    });
+  });
+
+  describe('snipe', () => {
+    const snipe = auction({ type: 'snipe', closesAt: CLOSES_AT, leadSeconds: 5, decrement: 0.25 });
+
+    it('bids decrement under the winning rate', () => {
+      assert.strictEqual(decideBid(snipe, 0, { winningRate: 7.1 }).rate, 6.85);
+    });
+
+    it('bids bidProxy when nobody has bid', () => {
+      assert.strictEqual(decideBid(snipe, 0, { winningRate: null }).rate, 5);
+    });
+
+    it('never goes below bidProxy', () => {
+      assert.strictEqual(decideBid(snipe, 0, { winningRate: 5.25 }).rate, 5);
+      const decision = decideBid(snipe, 0, { winningRate: 5.1 });
+      assert.strictEqual(decision.skip, true);
+      assert.match(decision.reason, /below our floor of 5%/);
+    });
+  });
+
+  it('bids bidProxy for a fixed rate whatever the lot shows', () => {
+    assert.strictEqual(decideBid(auction(undefined), 0, { winningRate: 1 }).rate, 5);
+  });
+});
+
+describe('validation', () => {
+  it('rejects unknown types and incomplete parameters', () => {
+    assert.deepStrictEqual(validateStrategy({ type: 'auction' }), ['unknown strategy "auction"']);
+    assert.deepStrictEqual(validateStrategy({ type: 'ladder', steps: [] }), ['a ladder needs at least one step']);
+    assert.strictEqual(validateStrategy({ type: 'ladder', steps: [{ rate: 5, afterSeconds: -1 }] }).length, 1);
+    assert.strictEqual(validateStrategy({ type: 'ifAbove' }).length, 1);
+    assert.strictEqual(validateStrategy({ type: 'snipe', closesAt: CLOSES_AT, decrement: -0.5 }).length, 1);
+  });
+
+  it('needs the close time of a snipe', () => {
+    assert.deepStrictEqual(validateStrategy({ type: 'snipe' }), ['a snipe needs the time the lot closes']);
+    assert.deepStrictEqual(validateStrategy({ type: 'snipe', closesAt: '03/05/2025 14:30' }), ['a snipe needs the time the lot closes']);
+    assert.throws(() => planBidLegs(auction({ type: 'snipe', leadSeconds: 10 })), /needs the time the lot closes/);
+  });
+
+  it('throws on an invalid strategy and fills in the snipe defaults', () => {
+    assert.throws(() => resolveStrategy(auction({ type: 'ifAbove' })), /Auction tof\/3449: "only if above" needs a threshold/);
+    assert.deepStrictEqual(resolveStrategy(auction({ type: 'snipe', closesAt: CLOSES_AT })),
+      { type: 'snipe', closesAt: CLOSES_AT, leadSeconds: 10, decrement: 0.25 });
+  });
+
+  it('needs a bidProxy except for ladders', () => {
+    assert.strictEqual(hasRateToBid(auction(undefined, '')), false);
+    assert.strictEqual(hasRateToBid(auction({ type: 'snipe' }, '0')), false);
+    assert.strictEqual(hasRateToBid(auction({ type: 'ladder', steps: [{ rate: 5, afterSeconds: 0 }] }, '')), true);
+  });
+});
+
+describe('parameter text', () => {
+  it('round-trips every type', () => {
+    const strategies = [
+      { type: 'ladder', steps: [{ rate: 10, afterSeconds: 0 }, { rate: 8, afterSeconds: 30 }] },
+      { type: 'ifAbove', threshold: 12 },
+      { type: 'snipe', closesAt: CLOSES_AT, leadSeconds: 5, decrement: 0.5 },
+    ];
+    for (const strategy of strategies) {
+      assert.deepStrictEqual(strategyFromText(strategy.type, strategyToText(strategy, 'America/Chicago'), 'America/Chicago'), strategy);
+    }
+  });
+
+  it('reads the snipe close in the auction time zone', () => {
+    assert.strictEqual(strategyToText({ type: 'snipe', closesAt: CLOSES_AT }, 'America/Chicago'), '03/05/2025 14:30, 10, 0.25');
+    assert.deepStrictEqual(strategyFromText('snipe', '03/05/2025 14:30', 'America/Chicago'),
+      { type: 'snipe', closesAt: CLOSES_AT, leadSeconds: 10, decrement: 0.25 });
+    assert.throws(() => strategyFromText('snipe', ', 10, 0.25', 'America/Chicago'), /needs the time the lot closes/);
+  });
+
+  it('reads a ladder step without seconds as immediate', () => {
+    assert.deepStrictEqual(strategyFromText('ladder', '10, 8@30').steps, [{ rate: 10, afterSeconds: 0 }, { rate: 8, afterSeconds: 30 }]);
+  });
+
+  it('throws on parameters it cannot read', () => {
+    assert.throws(() => strategyFromText('ifAbove', 'high'), /threshold/);
+  });
+});
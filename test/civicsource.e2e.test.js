@@ -0,0 +1,205 @@
+// civicsource.e2e.test.js
+//
+// Drives the real login, bidding and extraction steps of the CivicSource site
+// adapter (main/sites/civicsource.js) against the local mock server, in a
+// headless browser. The browser suite is skipped when no Chrome is found.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const { CivicSourceAdapter } = require('../main/sites/civicsource');
+const { PuppeteerWrapper } = require('../main/puppeteer-wrapper');
+const { createMockCivicSource } = require('./mock-civicsource-server');
+
+const USERNAME = 'bidder@example.com';
+const PASSWORD = 'correct-horse';
+
+// The Chrome the app would use: an installed one, else the one puppeteer downloaded
+const CHROME_PATH = new PuppeteerWrapper({ logInfo() {}, logError() {} }).findChromePath({});
+
+describe('CivicSource lot URLs', () => {
+  const site = new CivicSourceAdapter({ baseUrl: 'http://127.0.0.1:8080' });
+
+  it('recognises its own lot URLs', () => {
+    assert.strictEqual(site.matchesUrl('http://127.0.0.1:8080/TOF3449'), true);
+    assert.strictEqual(site.idFromUrl('http://127.0.0.1:8080/TOF3449'), 'tof/3449');
+    assert.strictEqual(site.matchesUrl('https://example.com/TOF3449'), false);
+  });
+});
+
+describe('CivicSource flows against the mock server', {
+  timeout: 120000,
+  skip: CHROME_PATH ? false : 'no Chrome found: install Chrome or run `npx puppeteer browsers install chrome`',
+}, () => {
+  let mock;
+  let baseUrl;
+  let browser;
+  let site;
+
+  before(async () => {
+    mock = createMockCivicSource({
+      accounts: { [USERNAME]: PASSWORD },
+      lots: {
+        'tof/3449': {},
+        'ebg/8450': { winningRate: 2, bidders: 3, startsAt: '03/05/2025 08:00' },
+        'ebg/9001': { status: 'Redeemed - bidding closed' },
+        'ebg/210': { rejectText: 'Bidding on this lot is closed.' },
+        'ebg/3515': { hideButtons: true },
+      },
+      csvRows: [
+        { 'AUCTION START DATE': '03/05/2025 08:00', 'PROPERTY ADDRESS': '312 10Th Ave', 'URL': '', 'PARCEL NUMBER': '="0412-003"', 'ZONING': 'R1' },
+        { 'AUCTION START DATE': '', 'PROPERTY ADDRESS': 'No date', 'URL': '', 'PARCEL NUMBER': '', 'ZONING': '' },
+      ],
+    });
+    baseUrl = await mock.start();
+    // The export links back to the site, so the URL is only known once it listens.
+    mock.csvRows[0]['URL'] = `${baseUrl}/TOF3449`;
+    site = new CivicSourceAdapter({ baseUrl });
+    browser = await puppeteer.launch({ headless: true, executablePath: CHROME_PATH });
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (mock) await mock.stop();
+  });
+
+  async function loggedInPage() {
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    await site.login(page, USERNAME, PASSWORD);
+    return page;
+  }
+
+  describe('login', () => {
+    it('logs in with the right password', async () => {
+      const page = await loggedInPage();
+      assert.strictEqual(await site.isLoggedOut(page), false);
+    });
+
+    it('fails with a wrong password', async () => {
+      const context = await browser.createBrowserContext();
+      const page = await context.newPage();
+      await assert.rejects(
+        site.login(page, USERNAME, 'wrong'),
+        /still on the login page/
+      );
+    });
+
+    it('sees a logged-out session on an auction page', async () => {
+      const context = await browser.createBrowserContext();
+      const page = await context.newPage();
+      await site.openLot(page, 'tof/3449');
+      assert.strictEqual(await site.isLoggedOut(page), true);
+    });
+  });
+
+  describe('placeBid', () => {
+    it('places a bid through the two-step submit', async () => {
+      const page = await loggedInPage();
+      const outcome = await site.placeBid(page, 'tof/3449', 4);
+      assert.strictEqual(outcome.status, 'accepted');
+      assert.deepStrictEqual(mock.bids.pop(), { username: USERNAME, idAuction: 'tof/3449', amount: 4 });
+    });
+
+    it('reuses a pre-warmed page without navigating', async () => {
+      const page = await loggedInPage();
+      await site.openLot(page, 'tof/3449');
+      const outcome = await site.placeBid(page, 'tof/3449', 3, { skipNavigation: true });
+      assert.strictEqual(outcome.status, 'accepted');
+      assert.strictEqual(mock.bids.pop().amount, 3);
+    });
+
+    it('stops before the final confirmation in a dry run', async () => {
+      const page = await loggedInPage();
+      const bidsBefore = mock.bids.length;
+      const outcome = await site.placeBid(page, 'tof/3449', 5, { dryRun: true });
+      assert.strictEqual(outcome.status, 'simulated');
+      assert.match(outcome.message, /5\.00/);
+      assert.strictEqual(mock.bids.length, bidsBefore);
+    });
+
+    it('reports outbid when the winning rate is lower', async () => {
+      const page = await loggedInPage();
+      const outcome = await site.placeBid(page, 'ebg/8450', 4);
+      assert.strictEqual(outcome.status, 'outbid');
+    });
+
+    it('reports rejected on a validation error', async () => {
+      const page = await loggedInPage();
+      const outcome = await site.placeBid(page, 'ebg/210', 4);
+      assert.strictEqual(outcome.status, 'rejected');
+      assert.match(outcome.message, /closed/);
+    });
+
+    it('reads the state of a lot before bidding', async () => {
+      const page = await loggedInPage();
+      await site.openLot(page, 'ebg/8450');
+      assert.deepStrictEqual(await site.readLotState(page),
+        { status: 'open', statusText: '', bidderCount: 3, winningRate: 2, startTime: '2025-03-05T14:00:00.000Z' });
+
+      await site.openLot(page, 'ebg/9001');
+      const closed = await site.readLotState(page);
+      assert.strictEqual(closed.status, 'redeemed');
+      assert.strictEqual(closed.winningRate, null);
+      assert.strictEqual(closed.startTime, '');
+    });
+
+    it('throws when the Place Bid button is missing', async () => {
+      const page = await loggedInPage();
+      await assert.rejects(site.placeBid(page, 'ebg/3515', 4));
+      assert.ok(!mock.bids.some(b => b.idAuction === 'ebg/3515'));
+    });
+  });
+
+  describe('checkHealth', () => {
+    it('reports which selectors resolve without bidding', async () => {
+      const page = await (await browser.createBrowserContext()).newPage();
+      const bidsBefore = mock.bids.length;
+      const report = await site.checkHealth(page, USERNAME, PASSWORD, 'ebg/3515');
+
+      assert.strictEqual(report.loggedIn, true);
+      const found = {};
+      report.checks.forEach(c => { found[c.name] = c.found; });
+      assert.strictEqual(found.loginUsername, true);
+      assert.strictEqual(found.bidInput, true);
+      assert.strictEqual(found.firstPlaceBid, false);
+      assert.strictEqual(found.confirmPlaceBid, null);
+      assert.strictEqual(mock.bids.length, bidsBefore);
+    });
+
+    it('reports a failed login', async () => {
+      const page = await (await browser.createBrowserContext()).newPage();
+      const report = await site.checkHealth(page, USERNAME, 'wrong', 'tof/3449');
+      assert.strictEqual(report.loggedIn, false);
+      assert.match(report.error, /login page/);
+    });
+  });
+
+  describe('search results export', () => {
+    it('downloads and parses the spreadsheet into auctions', async () => {
+      const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'civicsource-e2e-'));
+      const page = await (await browser.createBrowserContext()).newPage();
+
+      const csvPath = await site.exportSearchResults(page, `${baseUrl}/search`, downloadDir);
+      assert.ok(csvPath, 'expected a CSV download');
+
+      const rows = site.parseRows(fs.readFileSync(csvPath, 'utf8'));
+      assert.strictEqual(rows.length, 2);
+
+      const auctions = rows.map(row => site.rowToAuction(row)).filter(Boolean);
+      assert.strictEqual(auctions.length, 1);
+      assert.strictEqual(auctions[0].idAuction, 'tof/3449');
+      assert.strictEqual(auctions[0].address, '312 10Th Ave');
+      // 08:00 Central standard time
+      assert.strictEqual(auctions[0].timeToBid, '2025-03-05T14:00:00.000Z');
+      assert.strictEqual(auctions[0].timeZone, 'America/Chicago');
+      // the rest of the row is kept, mapped columns under their short key
+      assert.strictEqual(auctions[0].metadata.parcelNumber, '0412-003');
+      assert.strictEqual(auctions[0].metadata.ZONING, 'R1');
+    });
+  });
+});
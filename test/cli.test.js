@@ -0,0 +1,96 @@
+// cli.test.js
+//
+// Argument parsing and exit codes of the command-line runner (cli.js).
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, main } = require('../cli');
+
+describe('parseArgs', () => {
+  it('splits the command, its arguments and the flags', () => {
+    assert.deepStrictEqual(parseArgs(['extract', 'https://a.example/1', '--apply', 'https://a.example/2']), {
+      command: 'extract',
+      args: ['https://a.example/1', 'https://a.example/2'],
+      flags: { apply: true },
+    });
+  });
+
+  it('takes the value of valued flags', () => {
+    assert.deepStrictEqual(parseArgs(['list', '--file', 'export.json', '--data-dir', '/tmp/app', '--verbose']), {
+      command: 'list',
+      args: [],
+      flags: { file: 'export.json', 'data-dir': '/tmp/app', verbose: true },
+    });
+  });
+
+  it('reads a flag before the command', () => {
+    assert.deepStrictEqual(parseArgs(['--headless', 'run', '--skip-missed']), {
+      command: 'run',
+      args: [],
+      flags: { headless: true, 'skip-missed': true },
+    });
+  });
+
+  it('throws when a valued flag has no value', () => {
+    assert.throws(() => parseArgs(['list', '--file']), /--file needs a value/);
+  });
+
+  it('has no command for an empty line', () => {
+    assert.deepStrictEqual(parseArgs([]), { command: undefined, args: [], flags: {} });
+  });
+});
+
+describe('main', () => {
+  const realHome = process.env.HOME;
+  let home;
+
+  before(() => {
+    // The engine's app folder lives under ~/Documents
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    process.env.HOME = home;
+  });
+
+  after(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+    if (realHome === undefined) delete process.env.HOME;
+    else process.env.HOME = realHome;
+  });
+
+  function writeData(data) {
+    const filePath = path.join(home, `data-${Date.now()}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    return filePath;
+  }
+
+  it('prints the usage and exits 0 without a command', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    assert.strictEqual(await main([]), 0);
+    assert.match(log.mock.calls[0].arguments[0], /^Usage:/);
+  });
+
+  it('exits 2 on an unknown command or a flag missing its value', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const error = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(await main(['bid']), 2);
+    assert.strictEqual(await main(['list', '--file']), 2);
+    assert.deepStrictEqual(error.mock.calls.map(c => c.arguments[0]), ['Unknown command: bid\n', '--file needs a value']);
+  });
+
+  it('exits 0 when validate finds nothing wrong, 1 when it does', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const auction = {
+      id: 1, idAuction: 'tof/3449', timeToBid: '2025-03-05T14:00:00.000Z', timeZone: 'America/Chicago', bidProxy: '4',
+    };
+    const dataDir = ['--data-dir', path.join(home, 'userData')];
+
+    assert.strictEqual(await main(['validate', writeData({ schemaVersion: 2, auctions: [auction] })].concat(dataDir)), 0);
+    assert.ok(log.mock.calls.some(c => c.arguments[0] === 'No problems found.'));
+
+    const broken = writeData({ schemaVersion: 2, auctions: [Object.assign({}, auction, { bidProxy: 'x' })] });
+    assert.strictEqual(await main(['validate', broken].concat(dataDir)), 1);
+  });
+});
@@ -0,0 +1,125 @@
+// credential-vault.test.js
+//
+// The encrypted credential vault (main/credential-vault.js), on a vault file
+// in a temporary folder.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CredentialVault, PASSWORD_MASK } = require('../main/credential-vault');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('CredentialVault', () => {
+  let dir;
+  let vaultPath;
+  let vault;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credential-vault-test-'));
+    vaultPath = path.join(dir, 'vault.json');
+    vault = new CredentialVault(vaultPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates the vault on the first unlock', () => {
+    assert.strictEqual(vault.exists(), false);
+    assert.deepStrictEqual(vault.unlock(PASSPHRASE), { created: true });
+    assert.strictEqual(vault.exists(), true);
+    assert.deepStrictEqual(vault.list(), []);
+
+    const reopened = new CredentialVault(vaultPath);
+    assert.deepStrictEqual(reopened.unlock(PASSPHRASE), { created: false });
+  });
+
+  it('refuses a wrong passphrase and stays locked', () => {
+    vault.unlock(PASSPHRASE);
+    const other = new CredentialVault(vaultPath);
+    assert.throws(() => other.unlock('wrong'), /Vault: wrong passphrase/);
+    assert.throws(() => other.unlock(''), /passphrase is required/);
+    assert.strictEqual(other.isUnlocked(), false);
+    assert.throws(() => other.list(), /Vault is locked/);
+  });
+
+  it('keeps no password in the file', () => {
+    vault.unlock(PASSPHRASE);
+    vault.save([{ id: 1, username: 'a@example.com', password: 'hunter2' }]);
+    assert.doesNotMatch(fs.readFileSync(vaultPath, 'utf8'), /hunter2|a@example\.com/);
+  });
+
+  it('keeps the stored password of a row saved back masked', () => {
+    vault.unlock(PASSPHRASE);
+    vault.save([
+      { id: 1, username: 'a@example.com', password: 'hunter2', site: 'civicsource' },
+      { id: 2, username: 'b@example.com', password: 'swordfish' },
+    ]);
+    assert.deepStrictEqual(vault.listMasked(), [
+      { id: 1, username: 'a@example.com', password: PASSWORD_MASK, site: 'civicsource' },
+      { id: 2, username: 'b@example.com', password: PASSWORD_MASK, site: '' },
+    ]);
+
+    vault.save([
+      { id: 1, username: 'a@example.com', password: PASSWORD_MASK, site: 'civicsource' },
+      { id: 2, username: 'b@example.com', password: 'new-password' },
+      { id: 3, username: 'c@example.com', password: '' },
+    ]);
+    assert.strictEqual(vault.getPassword('a@example.com'), 'hunter2');
+    assert.strictEqual(vault.getPassword('b@example.com'), 'new-password');
+    assert.strictEqual(vault.getPassword('c@example.com'), '');
+    assert.strictEqual(vault.listMasked()[2].password, '');
+  });
+
+  it('migrates new usernames only, giving colliding ids a new one', () => {
+    vault.unlock(PASSPHRASE);
+    vault.save([{ id: 1, username: 'a@example.com', password: 'hunter2' }]);
+
+    const migrated = vault.migrate([
+      { id: 1, username: 'a@example.com', password: 'old' },
+      { id: 1, username: 'b@example.com', password: 'swordfish' },
+      { id: 7, username: 'c@example.com', password: 'letmein', site: 'civicsource' },
+      { username: '', password: 'nobody' },
+    ]);
+    assert.strictEqual(migrated, 2);
+    assert.deepStrictEqual(vault.list(), [
+      { id: 1, username: 'a@example.com', password: 'hunter2', site: '' },
+      { id: 2, username: 'b@example.com', password: 'swordfish', site: '' },
+      { id: 7, username: 'c@example.com', password: 'letmein', site: 'civicsource' },
+    ]);
+    assert.strictEqual(vault.migrate([{ id: 9, username: 'b@example.com', password: 'again' }]), 0);
+  });
+
+  it('keeps the secrets when the credentials are rewritten', () => {
+    vault.unlock(PASSPHRASE);
+    vault.setSecret('proxyPassword', 'proxy-secret');
+    vault.save([{ id: 1, username: 'a@example.com', password: 'hunter2' }]);
+    vault.migrate([{ id: 2, username: 'b@example.com', password: 'swordfish' }]);
+    assert.strictEqual(vault.getSecret('proxyPassword'), 'proxy-secret');
+
+    vault.setSecret('proxyPassword', '');
+    assert.strictEqual(vault.getSecret('proxyPassword'), '');
+    assert.strictEqual(vault.getPassword('a@example.com'), 'hunter2');
+  });
+
+  it('unseals what it sealed, and only under the same vault', () => {
+    vault.unlock(PASSPHRASE);
+    const cookies = [{ name: 'session', value: 'abc', domain: 'example.com' }];
+    const sealed = vault.seal(cookies);
+    assert.doesNotMatch(JSON.stringify(sealed), /abc/);
+    assert.deepStrictEqual(vault.unseal(sealed), cookies);
+
+    const otherDir = path.join(dir, 'other');
+    fs.mkdirSync(otherDir);
+    const other = new CredentialVault(path.join(otherDir, 'vault.json'));
+    other.unlock(PASSPHRASE);
+    assert.throws(() => other.unseal(sealed));
+
+    vault.lock();
+    assert.throws(() => vault.unseal(sealed), /Vault is locked/);
+  });
+});
@@ -0,0 +1,122 @@
+// data-schema.test.js
+//
+// Migrating old data files to the current schema and validating them
+// (main/data-schema.js).
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DATA_SCHEMA_VERSION, DataValidationError, migrateData, validateData, readDataFile,
+} = require('../main/data-schema');
+
+function validAuction(fields) {
+  return Object.assign({
+    id: 1,
+    idAuction: 'tof/3449',
+    timeToBid: '2025-03-05T14:00:00.000Z',
+    timeZone: 'America/Chicago',
+    bidProxy: '4',
+  }, fields);
+}
+
+describe('migrateData', () => {
+  it('brings a version 1 file to the current version', () => {
+    const { data, fromVersion } = migrateData({
+      credentials: [{ username: 'a@example.com', password: 'secret' }],
+      auctions: [{ id: 1, idAuction: 'tof/3449', timeToBid: '03/05/2025 08:00', bidProxy: '4' }],
+    });
+    assert.strictEqual(fromVersion, 1);
+    assert.strictEqual(data.schemaVersion, DATA_SCHEMA_VERSION);
+    // Version 1 times were read in the machine's own zone
+    assert.strictEqual(data.auctions[0].timeToBid, new Date(2025, 2, 5, 8, 0).toISOString());
+    assert.strictEqual(data.auctions[0].timeZone, 'America/New_York');
+    assert.deepStrictEqual(validateData(data), []);
+  });
+
+  it('leaves a current file as it is', () => {
+    const auctions = [validAuction()];
+    const { data, fromVersion } = migrateData({ schemaVersion: DATA_SCHEMA_VERSION, auctions });
+    assert.strictEqual(fromVersion, DATA_SCHEMA_VERSION);
+    assert.deepStrictEqual(data, { credentials: [], auctions: [validAuction()], schemaVersion: DATA_SCHEMA_VERSION });
+  });
+
+  it('skips entries that are not objects and leaves them for validateData', () => {
+    const { data } = migrateData({ auctions: [null, 'tof/3449', 7, { id: 2, idAuction: 'ebg/210', timeToBid: '', bidProxy: '1' }] });
+    assert.deepStrictEqual(data.auctions.slice(0, 3), [null, 'tof/3449', 7]);
+    assert.strictEqual(data.auctions[3].timeZone, 'America/New_York');
+    assert.deepStrictEqual(validateData(data), [
+      'Auction #1: must be an object',
+      'Auction #2: must be an object',
+      'Auction #3: must be an object',
+    ]);
+  });
+
+  it('leaves lists that are not lists for validateData', () => {
+    const { data } = migrateData({ credentials: {}, auctions: 'none' });
+    assert.deepStrictEqual(validateData(data), ['credentials must be a list', 'auctions must be a list']);
+  });
+
+  it('refuses what is not a data file or comes from a newer app', () => {
+    assert.throws(() => migrateData([]), DataValidationError);
+    assert.throws(() => migrateData({ schemaVersion: 'two' }), /unknown schemaVersion "two"/);
+    assert.throws(() => migrateData({ schemaVersion: DATA_SCHEMA_VERSION + 1 }), /newer than this app understands/);
+  });
+});
+
+describe('validateData', () => {
+  it('names the auction and the problem', () => {
+    const errors = validateData({
+      credentials: [{ username: '' }],
+      auctions: [
+        validAuction({ bidProxy: '-1', timeZone: 'Mars/Olympus' }),
+        validAuction({ idAuction: 'ebg/8450', timeToBid: '03/05/2025 08:00', strategy: { type: 'ladder', steps: [] } }),
+      ],
+    });
+    assert.deepStrictEqual(errors, [
+      'Credential 1: username is required',
+      'Auction 1 (tof/3449): timeZone "Mars/Olympus" is not a known time zone',
+      'Auction 1 (tof/3449): bidProxy must be a number of 0 or more, got "-1"',
+      'Auction 1 (ebg/8450): timeToBid must be an ISO UTC time, got "03/05/2025 08:00"',
+      'Auction 1 (ebg/8450): strategy: a ladder needs at least one step',
+      'Auction 1 (ebg/8450): id 1 is used twice',
+    ]);
+  });
+
+  it('accepts an auction without a time yet', () => {
+    assert.deepStrictEqual(validateData({ credentials: [], auctions: [validAuction({ timeToBid: '' })] }), []);
+  });
+});
+
+describe('readDataFile', () => {
+  function writeTemp(contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-schema-test-'));
+    const filePath = path.join(dir, 'credentials.json');
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  }
+
+  it('returns the problems, or throws them when strict', () => {
+    const filePath = writeTemp(JSON.stringify({ auctions: [validAuction({ bidProxy: 'x' })] }));
+    try {
+      const { fromVersion, errors } = readDataFile(filePath);
+      assert.strictEqual(fromVersion, 1);
+      assert.strictEqual(errors.length, 1);
+      assert.throws(() => readDataFile(filePath, { strict: true }), err => err instanceof DataValidationError && err.errors.length === 1);
+    } finally {
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+  });
+
+  it('says when the file is not JSON', () => {
+    const filePath = writeTemp('{ auctions: ');
+    try {
+      assert.throws(() => readDataFile(filePath), /is not valid JSON/);
+    } finally {
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+// downloads.test.js
+//
+// Waiting for the browser to finish a download (main/downloads.js), in a
+// temporary folder. The waits poll every half second, so these take a few.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRunDir, searchDir, waitForDownload } = require('../main/downloads');
+
+const after = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('waitForDownload', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('resolves the finished file once its size held still', async () => {
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not this one');
+    fs.writeFileSync(path.join(dir, 'Export.CSV'), 'id,rate\n1,5\n');
+    assert.strictEqual(await waitForDownload(dir, '.csv', 5000), path.join(dir, 'Export.CSV'));
+  });
+
+  it('waits while Chrome still has a partial download', async () => {
+    fs.writeFileSync(path.join(dir, 'export.csv'), 'id,rate\n');
+    fs.writeFileSync(path.join(dir, 'export.csv.crdownload'), 'id,rate\n1,');
+    const started = Date.now();
+    const waiting = waitForDownload(dir, '.csv', 5000);
+
+    await after(1200);
+    fs.rmSync(path.join(dir, 'export.csv.crdownload'));
+    fs.writeFileSync(path.join(dir, 'export.csv'), 'id,rate\n1,5\n');
+    assert.strictEqual(await waiting, path.join(dir, 'export.csv'));
+    assert.ok(Date.now() - started >= 1200, 'not resolved while the partial file was there');
+  });
+
+  it('does not take an empty file', async () => {
+    fs.writeFileSync(path.join(dir, 'export.csv'), '');
+    assert.strictEqual(await waitForDownload(dir, '.csv', 1200), '');
+  });
+
+  it('resolves empty when nothing complete shows up in time', async () => {
+    fs.writeFileSync(path.join(dir, 'export.csv.crdownload'), 'id,rate\n1,');
+    const started = Date.now();
+    assert.strictEqual(await waitForDownload(dir, '.csv', 1000), '');
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+describe('run folders', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-test-')), 'extracts');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(baseDir), { recursive: true, force: true });
+  });
+
+  it('gives every run and search its own empty folder', () => {
+    const first = createRunDir(baseDir);
+    const second = createRunDir(baseDir);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(path.dirname(first), baseDir);
+
+    const search = searchDir(first, 0);
+    assert.strictEqual(search, path.join(first, 'search-1'));
+    assert.deepStrictEqual(fs.readdirSync(search), []);
+  });
+});
@@ -0,0 +1,115 @@
+// lot-state.test.js
+//
+// Reading a lot's state before bidding (main/lot-state.js), from text
+// fixtures and a stand-in page.
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('assert');
+
+const { DEFAULT_LOT_STATE_SELECTORS, readLotState, parseLotState, lotSkipReason } = require('../main/lot-state');
+
+/** Page whose evaluate() runs against a document holding `elements` ({ selector: text }). */
+function fixturePage(elements) {
+  return {
+    evaluate: async (fn, ...args) => {
+      global.document = {
+        querySelector: sel => (sel in elements ? { innerText: elements[sel] } : null),
+      };
+      return fn(...args);
+    },
+  };
+}
+
+describe('readLotState', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('takes the first selector with text for each field', async () => {
+    const raw = await readLotState(fixturePage({
+      '.auction-status': '   ',
+      '.lot-status': ' Open for bidding ',
+      '[data-bidder-count]': '3 bidders',
+      '.auction-start': 'Starts 03/05/2025 08:00 AM CST',
+      '.winning-bid': 'Winning: 6.5%',
+    }), DEFAULT_LOT_STATE_SELECTORS, ['.winning-bid']);
+    assert.deepStrictEqual(raw, {
+      statusText: 'Open for bidding',
+      bidderText: '3 bidders',
+      startText: 'Starts 03/05/2025 08:00 AM CST',
+      winningRate: 6.5,
+    });
+  });
+
+  it('reads nothing from an empty page', async () => {
+    const raw = await readLotState(fixturePage({}), { status: ['.status'], bidderCount: ['.bidders'] });
+    assert.deepStrictEqual(raw, { statusText: '', bidderText: '', startText: '', winningRate: null });
+  });
+});
+
+describe('parseLotState', () => {
+  it('reads an open lot', () => {
+    const state = parseLotState({
+      statusText: 'Open',
+      bidderText: '12 registered bidders',
+      startText: 'Starts 03/05/2025 08:00 AM CST',
+      winningRate: 6.5,
+    }, 'America/Chicago');
+    assert.deepStrictEqual(state, {
+      status: 'open',
+      statusText: 'Open',
+      bidderCount: 12,
+      winningRate: 6.5,
+      startTime: '2025-03-05T14:00:00.000Z',
+    });
+  });
+
+  it('recognises closed, withdrawn and redeemed lots', () => {
+    const statuses = {
+      'Bidding Closed': 'closed',
+      'Auction ended': 'closed',
+      'Sold': 'closed',
+      'Withdrawn - closed': 'withdrawn',
+      'Cancelled': 'withdrawn',
+      'Removed from the sale': 'withdrawn',
+      'Redeemed (closed)': 'redeemed',
+      'Pending redemption': 'redeemed',
+    };
+    for (const [statusText, status] of Object.entries(statuses)) {
+      assert.strictEqual(parseLotState({ statusText }).status, status, statusText);
+    }
+  });
+
+  it('counts a lot without a status text it knows as open', () => {
+    assert.strictEqual(parseLotState({ statusText: '' }).status, 'open');
+    assert.strictEqual(parseLotState({ statusText: 'Accepting bids' }).status, 'open');
+  });
+
+  it('leaves out what the page did not show', () => {
+    assert.deepStrictEqual(parseLotState({}, 'America/Chicago'), {
+      status: 'open', statusText: '', bidderCount: null, winningRate: null, startTime: '',
+    });
+    assert.strictEqual(parseLotState({ startText: 'Starts soon' }, 'America/Chicago').startTime, '');
+    // Without the site's zone a start time can't be placed
+    assert.strictEqual(parseLotState({ startText: '03/05/2025 08:00' }).startTime, '');
+  });
+});
+
+describe('lotSkipReason', () => {
+  const open = { status: 'open', statusText: 'Open', winningRate: 6 };
+
+  it('skips a lot that is not open', () => {
+    assert.strictEqual(lotSkipReason({ status: 'redeemed', statusText: 'Redeemed', winningRate: null }, 5), 'Lot is redeemed ("Redeemed")');
+    assert.strictEqual(lotSkipReason({ status: 'closed', statusText: '', winningRate: null }, 5), 'Lot is closed');
+  });
+
+  it('skips a rate that would not improve the winning one', () => {
+    assert.strictEqual(lotSkipReason(open, 6), '6% would not improve the current best of 6%');
+    assert.strictEqual(lotSkipReason(open, 7), '7% would not improve the current best of 6%');
+  });
+
+  it('bids a better rate, or any rate on a lot without bids', () => {
+    assert.strictEqual(lotSkipReason(open, 5.75), '');
+    assert.strictEqual(lotSkipReason(Object.assign({}, open, { winningRate: null }), 18), '');
+  });
+});
@@ -0,0 +1,113 @@
+// lot-watcher.test.js
+//
+// What a watch pass reports as changed (main/lot-watcher.js), and passes that
+// must not overlap.
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const { LotWatcher, diffLotSnapshots, keepStartTime, describeLotChange } = require('../main/lot-watcher');
+
+const START = '2025-03-05T14:00:00.000Z';
+
+function lotState(fields) {
+  return Object.assign({ status: 'open', statusText: 'Open', bidderCount: 2, winningRate: 5, startTime: START }, fields);
+}
+
+describe('diffLotSnapshots', () => {
+  it('reports nothing on the first pass, whatever the start time', () => {
+    assert.deepStrictEqual(diffLotSnapshots(null, lotState()), []);
+    assert.deepStrictEqual(diffLotSnapshots(undefined, lotState({ startTime: '2025-03-06T15:00:00.000Z' })), []);
+  });
+
+  it('reports the fields that changed since the previous pass', () => {
+    const changes = diffLotSnapshots(lotState(), lotState({ winningRate: 4, bidderCount: 3 }));
+    assert.deepStrictEqual(changes, [
+      { field: 'winningRate', from: 5, to: 4 },
+      { field: 'bidderCount', from: 2, to: 3 },
+    ]);
+    assert.deepStrictEqual(diffLotSnapshots(lotState(), lotState()), []);
+  });
+
+  it('reports a start time the site moved', () => {
+    const moved = '2025-03-05T16:00:00.000Z';
+    assert.deepStrictEqual(diffLotSnapshots(lotState(), lotState({ startTime: moved })), [
+      { field: 'startTime', from: START, to: moved },
+    ]);
+  });
+
+  it('compares start times as instants', () => {
+    assert.deepStrictEqual(diffLotSnapshots(lotState(), lotState({ startTime: '2025-03-05T08:00:00-06:00' })), []);
+  });
+
+  it('ignores fields the page did not show this time', () => {
+    assert.deepStrictEqual(diffLotSnapshots(lotState(), lotState({ winningRate: null, startTime: '' })), []);
+  });
+
+  it('does not report a start time read for the first time', () => {
+    assert.deepStrictEqual(diffLotSnapshots(lotState({ startTime: '' }), lotState()), []);
+  });
+});
+
+describe('keepStartTime', () => {
+  it('keeps the baseline start time through a pass that missed it', () => {
+    const stored = keepStartTime(lotState(), lotState({ startTime: '', winningRate: 4 }));
+    assert.strictEqual(stored.startTime, START);
+    assert.strictEqual(stored.winningRate, 4);
+
+    const moved = '2025-03-05T16:00:00.000Z';
+    assert.deepStrictEqual(diffLotSnapshots(stored, lotState({ startTime: moved, winningRate: 4 })), [
+      { field: 'startTime', from: START, to: moved },
+    ]);
+  });
+
+  it('takes the start time this pass read', () => {
+    const current = lotState({ startTime: '2025-03-05T16:00:00.000Z' });
+    assert.strictEqual(keepStartTime(lotState(), current), current);
+    assert.strictEqual(keepStartTime(null, current), current);
+  });
+});
+
+describe('describeLotChange', () => {
+  it('shows times in the auction time zone', () => {
+    const text = describeLotChange({ field: 'startTime', from: START, to: '2025-03-05T16:00:00.000Z' }, 'America/Chicago');
+    assert.match(text, /^start time .*08:00.* CST → .*10:00.* CST$/);
+  });
+
+  it('describes rates and missing values', () => {
+    assert.strictEqual(describeLotChange({ field: 'winningRate', from: null, to: 4 }), 'winning rate no bids → 4%');
+    assert.strictEqual(describeLotChange({ field: 'status', from: null, to: 'closed' }), 'status unknown → closed');
+  });
+});
+
+describe('LotWatcher', () => {
+  it('skips a pass while the previous one is still running', async () => {
+    let finish;
+    let passes = 0;
+    const watcher = new LotWatcher(60000, () => {
+      passes++;
+      return new Promise(resolve => { finish = resolve; });
+    });
+
+    const first = watcher.runPass();
+    assert.strictEqual(await watcher.runPass(), false);
+    finish();
+    assert.strictEqual(await first, true);
+    assert.strictEqual(passes, 1);
+  });
+
+  it('keeps the error of a failed pass until one succeeds', async () => {
+    const logged = [];
+    let fail = true;
+    const watcher = new LotWatcher(60000, async () => {
+      if (fail) throw new Error('browser gone');
+    }, level => logged.push(level));
+
+    await watcher.runPass();
+    assert.strictEqual(watcher.lastError, 'browser gone');
+    assert.deepStrictEqual(logged, ['error']);
+    fail = false;
+    await watcher.runPass();
+    assert.strictEqual(watcher.lastError, '');
+  });
+});
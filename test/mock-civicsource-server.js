@@ -0,0 +1,226 @@
+// mock-civicsource-server.js
+
+const http = require('http');
+const { URL } = require('url');
+const querystring = require('querystring');
+
+/**
+ * Local stand-in for the parts of civicsource.com the app drives:
+ *   GET/POST /login/               login form (input[name=username|password], button[type=submit])
+ *   GET  /auctions/<pre>/<num>     lot page with #<PRE><NUM>-place-bid-input and the two-step submit
+ *   POST /auctions/<pre>/<num>/bid confirmation or validation error
+ *   GET  /search                   results page with the "Download a spreadsheet" link
+ *   GET  /search/export.csv        the spreadsheet itself
+ *
+ * options:
+ *   accounts: { username: password }
+ *   lots:     { 'tof/3449': { winningRate, maxRate, rejectText, hideButtons, status, bidders, startsAt } }
+ *             status is the lot's status text (e.g. 'Closed'), bidders its bidder count,
+ *             startsAt its "MM/DD/YYYY HH:mm" start time
+ *   csvRows:  array of row objects for the export (keys are the CSV columns)
+ *
+ * Every submitted bid is recorded in `bids` as { username, idAuction, amount }.
+ */
+function createMockCivicSource(options = {}) {
+  const accounts = options.accounts || {};
+  const lots = options.lots || {};
+  const csvRows = options.csvRows || [];
+  const bids = [];
+  const sessions = {};
+  let baseUrl = '';
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const username = sessionUser(req);
+    const lotMatch = url.pathname.match(/^\/auctions\/([a-z]+)\/(\d+)(\/bid)?\/?$/i);
+
+    if (url.pathname === '/login/' && req.method === 'GET') {
+      return sendHtml(res, loginPage(url.searchParams.has('error')));
+    }
+    if (url.pathname === '/login/' && req.method === 'POST') {
+      return readForm(req, form => {
+        if (!accounts[form.username] || accounts[form.username] !== form.password) {
+          return redirect(res, '/login/?error=1');
+        }
+        const token = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        sessions[token] = form.username;
+        res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly`);
+        redirect(res, '/');
+      });
+    }
+    if (url.pathname === '/') {
+      return sendHtml(res, layout('Home', `<h1>Welcome${username ? ', ' + username : ''}</h1>`));
+    }
+    if (lotMatch) {
+      if (!username) return redirect(res, `/login/?returnUrl=${encodeURIComponent(url.pathname)}`);
+      const idAuction = `${lotMatch[1].toLowerCase()}/${lotMatch[2]}`;
+      const lot = lots[idAuction];
+      if (!lot) return sendHtml(res, layout('Not found', '<h1>Auction not found</h1>'), 404);
+
+      if (lotMatch[3] && req.method === 'POST') {
+        return readForm(req, form => {
+          const amount = parseFloat(form.amount);
+          bids.push({ username, idAuction, amount });
+          sendHtml(res, bidResultPage(idAuction, lot, amount));
+        });
+      }
+      return sendHtml(res, auctionPage(idAuction, lot));
+    }
+    if (url.pathname === '/search') {
+      return sendHtml(res, layout('Search', `
+        <h1>Search results</h1>
+        <a title="Download a spreadsheet of these search results" href="/search/export.csv">Download</a>`));
+    }
+    if (url.pathname === '/search/export.csv') {
+      res.writeHead(200, {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': 'attachment; filename="search-results.csv"',
+      });
+      return res.end(toCsv(csvRows));
+    }
+    sendHtml(res, layout('Not found', '<h1>Not found</h1>'), 404);
+  });
+
+  function sessionUser(req) {
+    const match = (req.headers.cookie || '').match(/session=([^;]+)/);
+    return match ? sessions[match[1]] : undefined;
+  }
+
+  return {
+    bids,
+    lots,
+    csvRows,
+    get baseUrl() {
+      return baseUrl;
+    },
+    /** Starts listening on `port` (0 = any free port) and resolves with the base URL. */
+    start(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+//#region Pages
+
+function layout(title, body) {
+  return `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+function loginPage(failed) {
+  return layout('Login', `
+    ${failed ? '<div class="alert-danger">Invalid username or password.</div>' : ''}
+    <form method="post" action="/login/">
+      <input name="username" type="text"/>
+      <input name="password" type="password"/>
+      <button type="submit">Log In</button>
+    </form>`);
+}
+
+function auctionPage(idAuction, lot) {
+  const inputId = idAuction.toUpperCase().replace(/\//g, '') + '-place-bid-input';
+  const winning = lot.winningRate != null
+    ? `<div class="winning-bid">Current winning rate: ${lot.winningRate}%</div>`
+    : '';
+  const status = lot.status ? `<div class="auction-status">${lot.status}</div>` : '';
+  const bidders = lot.bidders != null ? `<div class="bidder-count">${lot.bidders} bidders</div>` : '';
+  const startsAt = lot.startsAt ? `<div class="auction-start">Auction starts ${lot.startsAt} CT</div>` : '';
+  const buttons = lot.hideButtons
+    ? ''
+    : '<button type="submit" id="first-submit"><span title="Place Bid">Place Bid</span></button>';
+
+  // The first click only opens the confirmation step, like the live site.
+  return layout(`Auction ${idAuction}`, `
+    <h1>Auction ${idAuction}</h1>
+    ${status}
+    ${startsAt}
+    ${winning}
+    ${bidders}
+    <form id="bid-form">
+      <input id="${inputId}" name="amount" type="text"/>
+      ${buttons}
+    </form>
+    <div id="confirm-step"></div>
+    <script>
+      document.getElementById('bid-form').addEventListener('submit', function (e) {
+        e.preventDefault();
+        var amount = document.getElementById('${inputId}').value;
+        document.getElementById('confirm-step').innerHTML =
+          '<form method="post" action="/auctions/${idAuction}/bid">' +
+          '<input type="hidden" name="amount" value="' + amount + '"/>' +
+          '<div class="text-center"><button type="submit">Place Bid</button></div>' +
+          '</form>';
+      });
+    </script>`);
+}
+
+function bidResultPage(idAuction, lot, amount) {
+  const maxRate = lot.maxRate != null ? lot.maxRate : 100;
+  let message;
+  if (lot.rejectText) {
+    message = `<div class="alert-danger">${lot.rejectText}</div>`;
+  } else if (isNaN(amount) || amount < 0 || amount > maxRate) {
+    message = `<div class="alert-danger">Bid must be between 0 and ${maxRate}.</div>`;
+  } else {
+    if (lot.winningRate == null || amount < lot.winningRate) lot.winningRate = amount;
+    message = '<div class="alert-success">Your bid was placed.</div>';
+  }
+  return layout(`Auction ${idAuction}`, `
+    <h1>Auction ${idAuction}</h1>
+    ${message}
+    ${lot.winningRate != null ? `<div class="winning-bid">Current winning rate: ${lot.winningRate}%</div>` : ''}`);
+}
+
+//#endregion
+
+//#region Helpers
+
+function sendHtml(res, html, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+function readForm(req, callback) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => callback(querystring.parse(body)));
+}
+
+function toCsv(rows) {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  const escape = val => `"${String(val == null ? '' : val).replace(/"/g, '""')}"`;
+  return [columns.map(escape).join(',')]
+    .concat(rows.map(row => columns.map(c => escape(row[c])).join(',')))
+    .join('\n') + '\n';
+}
+
+//#endregion
+
+module.exports = { createMockCivicSource };
+
+// `npm run mock_server` => serve a sample lot on port 4000 for manual runs
+if (require.main === module) {
+  const mock = createMockCivicSource({
+    accounts: { 'demo@example.com': 'demo' },
+    lots: { 'tof/3449': { winningRate: 12 } },
+    csvRows: [{
+      'AUCTION START DATE': '03/05/2025 08:00',
+      'PROPERTY ADDRESS': '312 10Th Ave, Franklinton, LA 70438',
+      'URL': 'http://127.0.0.1:4000/TOF3449',
+    }],
+  });
+  mock.start(4000).then(url => console.log(`[Mock] CivicSource mock listening on ${url}`));
+}
@@ -0,0 +1,55 @@
+// retry-policy.test.js
+//
+// When and how soon a failed bid is tried again (main/retry-policy.js).
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const {
+  DEFAULT_RETRY_POLICY, resolveRetryPolicy, backoffDelay, retryDeadline, shouldRetryBid,
+} = require('../main/retry-policy');
+
+describe('shouldRetryBid', () => {
+  it('retries an error from before the confirm click', () => {
+    assert.strictEqual(shouldRetryBid({ status: 'error', message: 'Bid input not found' }), true);
+    assert.strictEqual(shouldRetryBid({ status: 'error', submitted: false }), true);
+  });
+
+  it('never retries once the bid was submitted, whatever the page showed', () => {
+    for (const status of ['error', 'unknown', 'accepted', 'rejected', 'outbid']) {
+      assert.strictEqual(shouldRetryBid({ status, submitted: true }), false, status);
+    }
+  });
+
+  it('stops on any result that is not an error', () => {
+    for (const status of ['accepted', 'rejected', 'outbid', 'unknown', 'simulated']) {
+      assert.strictEqual(shouldRetryBid({ status }), false, status);
+    }
+  });
+});
+
+describe('backoffDelay', () => {
+  const policy = resolveRetryPolicy({ backoffMs: 1000, backoffFactor: 2, maxBackoffMs: 3000 });
+
+  it('waits longer before each retry, up to the cap', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => backoffDelay(policy, attempt)), [0, 1000, 2000, 3000, 3000]);
+  });
+});
+
+describe('retryDeadline', () => {
+  it('ends deadlineSeconds after timeToBid', () => {
+    const policy = resolveRetryPolicy({ deadlineSeconds: 30 });
+    assert.strictEqual(retryDeadline(policy, '2025-03-05T14:00:00.000Z'), Date.parse('2025-03-05T14:00:30.000Z'));
+  });
+
+  it('has none without a usable timeToBid', () => {
+    assert.strictEqual(retryDeadline(DEFAULT_RETRY_POLICY, ''), Infinity);
+  });
+});
+
+describe('resolveRetryPolicy', () => {
+  it('fills in the defaults around the overrides', () => {
+    assert.deepStrictEqual(resolveRetryPolicy({ maxAttempts: 5 }), Object.assign({}, DEFAULT_RETRY_POLICY, { maxAttempts: 5 }));
+    assert.deepStrictEqual(resolveRetryPolicy(undefined), DEFAULT_RETRY_POLICY);
+  });
+});
@@ -0,0 +1,118 @@
+// server-clock.test.js
+//
+// Measuring a site's clock offset from HTTP Date headers
+// (main/server-clock.js): the offset math on scripted readings, then the
+// header read from a local server.
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+
+const { ServerClock } = require('../main/server-clock');
+
+const realNow = Date.now;
+
+/**
+ * A clock whose readings are scripted: each entry is
+ * { sentAt, receivedAt, serverDate } (ms), what Date.now() shows around the
+ * request and the Date header the server sent back.
+ */
+function scriptedClock(readings) {
+  const clock = new ServerClock('http://127.0.0.1:9');
+  const times = readings.flatMap(r => [r.sentAt, r.receivedAt]);
+  Date.now = () => times.shift();
+  let next = 0;
+  clock._fetchDate = async () => {
+    const reading = readings[next++];
+    if (reading instanceof Error) throw reading;
+    return reading.serverDate;
+  };
+  return clock;
+}
+
+describe('ServerClock offset', () => {
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('bounds the offset by the request time and the whole-second header', async () => {
+    // Sent at 1000, back at 1100, header 3000: the server read 3000..3999 in between
+    const clock = scriptedClock([{ sentAt: 1000, receivedAt: 1100, serverDate: 3000 }]);
+    assert.strictEqual(clock.isMeasured(), false);
+    assert.strictEqual(await clock.measure(1, 0), 2450);
+    assert.strictEqual(clock.uncertaintyMs, 550);
+    assert.strictEqual(clock.isMeasured(), true);
+  });
+
+  it('narrows the window with every sample', async () => {
+    // The server is 2300ms ahead; each request takes 40ms
+    const readings = [0, 270, 540, 810].map(at => {
+      const sentAt = 10000 + at;
+      const serverRead = sentAt + 20 + 2300;
+      return { sentAt, receivedAt: sentAt + 40, serverDate: Math.floor(serverRead / 1000) * 1000 };
+    });
+    const clock = scriptedClock(readings);
+    const offset = await clock.measure(readings.length, 0);
+    assert.ok(Math.abs(offset - 2300) <= clock.uncertaintyMs, `${offset} ± ${clock.uncertaintyMs}`);
+    assert.ok(clock.uncertaintyMs < 300, `uncertainty ${clock.uncertaintyMs}`);
+  });
+
+  it('takes the median when the samples disagree', async () => {
+    const clock = scriptedClock([
+      { sentAt: 1000, receivedAt: 1000, serverDate: 2000 },
+      { sentAt: 2000, receivedAt: 2000, serverDate: 9000 },
+      { sentAt: 3000, receivedAt: 3000, serverDate: 4000 },
+    ]);
+    assert.strictEqual(await clock.measure(3, 0), 1500);
+    assert.strictEqual(clock.uncertaintyMs, 1000);
+  });
+
+  it('keeps the previous offset when the site cannot be reached', async () => {
+    const clock = scriptedClock([{ sentAt: 1000, receivedAt: 1100, serverDate: 3000 }, new Error('ECONNREFUSED')]);
+    await clock.measure(1, 0);
+    await assert.rejects(clock.measure(1, 0), /ECONNREFUSED/);
+    assert.strictEqual(clock.offsetMs, 2450);
+  });
+
+  it('converts between server and local time', async () => {
+    const clock = scriptedClock([{ sentAt: 1000, receivedAt: 1100, serverDate: 3000 }]);
+    await clock.measure(1, 0);
+    assert.strictEqual(clock.toLocal('2025-03-05T14:00:00.000Z').toISOString(), '2025-03-05T13:59:57.550Z');
+    Date.now = () => Date.parse('2025-03-05T13:59:57.550Z');
+    assert.strictEqual(clock.now().toISOString(), '2025-03-05T14:00:00.000Z');
+    assert.deepStrictEqual(Object.keys(clock.toJSON()), ['url', 'offsetMs', 'uncertaintyMs', 'measuredAt']);
+  });
+});
+
+describe('ServerClock against a server', () => {
+  let server;
+  let url;
+  let dateHeader;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.sendDate = false;
+      if (dateHeader) res.setHeader('Date', dateHeader);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('reads the Date header', async () => {
+    // A server a minute ahead
+    dateHeader = new Date(Date.now() + 60 * 1000).toUTCString();
+    const clock = new ServerClock(url);
+    const offset = await clock.measure(2, 0);
+    assert.ok(Math.abs(offset - 60 * 1000) <= 1500, `offset ${offset}`);
+  });
+
+  it('fails without a Date header', async () => {
+    dateHeader = '';
+    await assert.rejects(new ServerClock(url).measure(1, 0), /no Date header/);
+  });
+});
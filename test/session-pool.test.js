@@ -0,0 +1,193 @@
+// session-pool.test.js
+//
+// The accounts' browser sessions (main/session-pool.js), with stand-in
+// browsers and the real credential vault sealing the saved cookies.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SessionPool } = require('../main/session-pool');
+const { CredentialVault } = require('../main/credential-vault');
+
+const SITE = { name: 'civicsource', label: 'CivicSource', baseUrl: 'https://www.civicsource.com' };
+
+/** launch() for browsers with only what the pool uses; `launched` collects every one. */
+function browserFactory() {
+  const launched = [];
+  const launch = async () => {
+    const listeners = [];
+    const browser = {
+      contexts: [],
+      closed: false,
+      on(event, listener) {
+        if (event === 'disconnected') listeners.push(listener);
+      },
+      async createBrowserContext() {
+        const context = {
+          cookieJar: [],
+          storageScripts: [],
+          closed: false,
+          async newPage() {
+            return {
+              url: () => `${SITE.baseUrl}/auctions`,
+              on() {},
+              evaluate: async () => ({ bidderId: '42' }),
+              evaluateOnNewDocument: async (fn, ...args) => { context.storageScripts.push(args); },
+            };
+          },
+          cookies: async () => context.cookieJar,
+          setCookie: async (...cookies) => { context.cookieJar.push(...cookies); },
+          close: async () => { context.closed = true; },
+        };
+        browser.contexts.push(context);
+        return context;
+      },
+      async close() {
+        browser.closed = true;
+      },
+      crash() {
+        listeners.forEach(listener => listener());
+      },
+    };
+    launched.push(browser);
+    return browser;
+  };
+  return { launch, launched };
+}
+
+describe('SessionPool', () => {
+  let dir;
+  let vault;
+  let browsers;
+
+  function newPool(options = {}) {
+    return new SessionPool(path.join(dir, 'sessions'), Object.assign({
+      launch: browsers.launch,
+      seal: value => vault.seal(value),
+      unseal: stored => vault.unseal(stored),
+    }, options));
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-pool-test-'));
+    vault = new CredentialVault(path.join(dir, 'vault.json'));
+    vault.unlock('test passphrase');
+    browsers = browserFactory();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves the cookies sealed and restores them as logged in', async () => {
+    const pool = newPool();
+    const session = await pool.open('a@example.com', SITE);
+    session.context.cookieJar.push({ name: 'auth', value: 'secret-token', domain: '.civicsource.com' });
+    pool.markLoggedIn('a@example.com');
+    await pool.close('a@example.com');
+
+    const file = path.join(dir, 'sessions', 'a%40example.com.json');
+    assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /secret-token|bidderId/);
+
+    const restored = await newPool().open('a@example.com', SITE);
+    assert.deepStrictEqual(restored.context.cookieJar, [{ name: 'auth', value: 'secret-token', domain: '.civicsource.com' }]);
+    assert.deepStrictEqual(restored.context.storageScripts, [[SITE.baseUrl, { bidderId: '42' }]]);
+    assert.strictEqual(restored.isLoggedIn, true);
+    assert.strictEqual(restored.restored, true);
+  });
+
+  it('does not restore a session saved under another vault or for another site', async () => {
+    const pool = newPool();
+    const session = await pool.open('a@example.com', SITE);
+    session.context.cookieJar.push({ name: 'auth', value: 'secret-token' });
+    pool.markLoggedIn('a@example.com');
+    await pool.close('a@example.com');
+
+    const otherSite = await newPool().open('a@example.com', Object.assign({}, SITE, { name: 'other' }));
+    assert.deepStrictEqual(otherSite.context.cookieJar, []);
+    assert.strictEqual(otherSite.isLoggedIn, false);
+
+    vault = new CredentialVault(path.join(dir, 'other-vault.json'));
+    vault.unlock('another passphrase');
+    const unreadable = await newPool().open('a@example.com', SITE);
+    assert.strictEqual(unreadable.isLoggedIn, false);
+    assert.match(unreadable.lastError, /saved session not readable/);
+  });
+
+  it('does not save a session that never logged in', async () => {
+    const pool = newPool();
+    await pool.open('a@example.com', SITE);
+    await pool.close('a@example.com');
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'sessions')), []);
+  });
+
+  it('reports open and saved sessions in health()', async () => {
+    const pool = newPool();
+    (await pool.open('a@example.com', SITE)).context.cookieJar.push({ name: 'auth', value: 'secret-token' });
+    pool.markLoggedIn('a@example.com');
+    await pool.close('a@example.com');
+    await pool.open('b@example.com', SITE);
+    pool.markLoggedOut('b@example.com', 'wrong password');
+
+    const health = pool.health();
+    assert.strictEqual(health.browsers, 1);
+    assert.deepStrictEqual(health.sessions.map(s => [s.username, s.status, s.browser]), [
+      ['b@example.com', 'logged-out', 1],
+      ['a@example.com', 'saved', null],
+    ]);
+    assert.strictEqual(health.sessions[0].lastError, 'wrong password');
+    assert.deepStrictEqual(health.sessions[0].tabs, { tabs: 1, busy: 0, held: 0, waiting: 0, maxTabs: 1 });
+
+    await pool.open('a@example.com', SITE);
+    assert.strictEqual(pool.health().sessions.find(s => s.username === 'a@example.com').status, 'restored');
+    pool.markLoggedIn('a@example.com');
+    assert.strictEqual(pool.health().sessions.find(s => s.username === 'a@example.com').status, 'logged-in');
+  });
+
+  it('forgets a session and its saved cookies', async () => {
+    const pool = newPool();
+    const session = await pool.open('a@example.com', SITE);
+    session.context.cookieJar.push({ name: 'auth', value: 'secret-token' });
+    pool.markLoggedIn('a@example.com');
+    await pool.save('a@example.com');
+
+    await pool.forget('a@example.com');
+    assert.strictEqual(pool.get('a@example.com'), null);
+    assert.strictEqual(session.context.closed, true);
+    assert.deepStrictEqual(pool.health().sessions, []);
+    assert.strictEqual((await pool.open('a@example.com', SITE)).isLoggedIn, false);
+  });
+
+  it('launches no more than maxBrowsers, sharing the least busy one', async () => {
+    const pool = newPool({ maxBrowsers: 2, accountsPerBrowser: 1 });
+    await Promise.all(['a', 'b', 'c', 'd'].map(name => pool.open(`${name}@example.com`, SITE)));
+
+    assert.strictEqual(browsers.launched.length, 2);
+    assert.deepStrictEqual(browsers.launched.map(b => b.contexts.length), [2, 2]);
+    assert.deepStrictEqual(pool.health().sessions.map(s => s.browser), [1, 2, 1, 2]);
+  });
+
+  it('closes a browser once its last session is gone', async () => {
+    const pool = newPool({ maxBrowsers: 2, accountsPerBrowser: 1 });
+    await pool.open('a@example.com', SITE);
+    await pool.open('b@example.com', SITE);
+
+    await pool.close('a@example.com');
+    assert.deepStrictEqual(browsers.launched.map(b => b.closed), [true, false]);
+    assert.strictEqual(pool.health().browsers, 1);
+  });
+
+  it('drops the sessions of a browser that crashed', async () => {
+    const pool = newPool();
+    await pool.open('a@example.com', SITE);
+    browsers.launched[0].crash();
+    assert.strictEqual(pool.get('a@example.com'), null);
+    assert.strictEqual(pool.health().browsers, 0);
+
+    await pool.open('a@example.com', SITE);
+    assert.strictEqual(browsers.launched.length, 2);
+  });
+});
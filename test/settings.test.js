@@ -0,0 +1,146 @@
+// settings.test.js
+//
+// Reading, checking and saving settings.json (main/settings.js).
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  SETTINGS_VERSION, SECRET_KEYS, SettingsStore, defaultSettings, validateSettings, readSettings, getPath, setPath,
+} = require('../main/settings');
+
+describe('settings', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-test-'));
+    filePath = path.join(dir, 'settings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('readSettings', () => {
+    it('uses the defaults for a missing file and asks for it to be written', () => {
+      assert.deepStrictEqual(readSettings(filePath), { settings: defaultSettings(), problems: [], rewrite: true });
+    });
+
+    it('fills in missing keys and keeps the rest', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ settingsVersion: SETTINGS_VERSION, sessions: { maxTabsPerAccount: 5 } }));
+      const { settings, problems, rewrite } = readSettings(filePath);
+      assert.strictEqual(settings.sessions.maxTabsPerAccount, 5);
+      assert.strictEqual(settings.sessions.maxBrowsers, defaultSettings().sessions.maxBrowsers);
+      assert.deepStrictEqual(settings.browser, defaultSettings().browser);
+      assert.deepStrictEqual(problems, []);
+      assert.strictEqual(rewrite, false);
+    });
+
+    it('replaces values that fail their check and says so', () => {
+      fs.writeFileSync(filePath, JSON.stringify({
+        settingsVersion: SETTINGS_VERSION,
+        sessions: { maxTabsPerAccount: 0 },
+        browser: { headless: 'yes', args: ['--lang=en', 3] },
+        watch: 15,
+      }));
+      const { settings, problems } = readSettings(filePath);
+      assert.strictEqual(settings.sessions.maxTabsPerAccount, 3);
+      assert.deepStrictEqual(settings.browser.headless, defaultSettings().browser.headless);
+      assert.deepStrictEqual(settings.browser.args, []);
+      assert.deepStrictEqual(settings.watch, { intervalMinutes: 15 });
+      assert.deepStrictEqual(problems, [
+        'browser.headless must be an object, got "yes"; using the defaults',
+        'watch must be an object, got 15; using the defaults',
+        'Extra Chrome switches (browser.args) must be a list of text, got ["--lang=en",3]; using []',
+        'Tabs per account (sessions.maxTabsPerAccount) must be a whole number of 1 or more, got 0; using 3',
+      ]);
+    });
+
+    it('reads the old file holding only the Chrome path', () => {
+      fs.writeFileSync(filePath, '/usr/bin/chromium\n');
+      const { settings, rewrite } = readSettings(filePath);
+      assert.strictEqual(settings.browser.executablePath, '/usr/bin/chromium');
+      assert.strictEqual(rewrite, true);
+    });
+
+    it('falls back to the defaults for a file it cannot read, without overwriting it', () => {
+      fs.writeFileSync(filePath, '{ "browser": ');
+      const { settings, problems, rewrite } = readSettings(filePath);
+      assert.deepStrictEqual(settings, defaultSettings());
+      assert.match(problems[0], /cannot be read, using the defaults/);
+      assert.strictEqual(rewrite, false);
+    });
+
+    it('warns about a file from a newer version', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ settingsVersion: SETTINGS_VERSION + 1 }));
+      assert.match(readSettings(filePath).problems[0], /newer than this app understands/);
+    });
+  });
+
+  describe('SettingsStore', () => {
+    it('writes the defaults out on the first load', () => {
+      const store = new SettingsStore(filePath);
+      store.load();
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), defaultSettings());
+    });
+
+    it('saves partial changes and reports them', () => {
+      const changes = [];
+      const store = new SettingsStore(filePath, { onChange: (settings, previous) => changes.push([settings, previous]) });
+      store.load();
+      changes.length = 0;
+
+      const result = store.save({ bidding: { retry: { maxAttempts: 5 } } });
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(result.settings.bidding.retry.maxAttempts, 5);
+      assert.strictEqual(result.settings.bidding.retry.backoffMs, defaultSettings().bidding.retry.backoffMs);
+      assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).bidding.retry.maxAttempts, 5);
+      assert.strictEqual(changes.length, 1);
+      assert.strictEqual(changes[0][1].bidding.retry.maxAttempts, defaultSettings().bidding.retry.maxAttempts);
+
+      // Saving the same values again is no change
+      store.save({ bidding: { retry: { maxAttempts: 5 } } });
+      assert.strictEqual(changes.length, 1);
+    });
+
+    it('writes nothing when a value fails its check', () => {
+      const store = new SettingsStore(filePath);
+      store.load();
+      const before = fs.readFileSync(filePath, 'utf8');
+
+      const result = store.save({ watch: { intervalMinutes: 0 }, browser: { headless: { bidding: 'no' } } });
+      assert.strictEqual(result.ok, false);
+      assert.deepStrictEqual(result.errors, [
+        'Bid without a window (browser.headless.bidding) must be true or false, got "no"',
+        'Minutes between watch passes (watch.intervalMinutes) must be a whole number of 1 or more, got 0',
+      ]);
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+      assert.strictEqual(store.get().watch.intervalMinutes, defaultSettings().watch.intervalMinutes);
+    });
+
+    it('hands out copies', () => {
+      const store = new SettingsStore(filePath);
+      store.load();
+      store.get().sessions.maxBrowsers = 99;
+      assert.strictEqual(store.get().sessions.maxBrowsers, defaultSettings().sessions.maxBrowsers);
+    });
+  });
+
+  it('keeps secrets out of the defaults', () => {
+    assert.deepStrictEqual(SECRET_KEYS, ['browser.proxy.password']);
+    SECRET_KEYS.forEach(key => assert.strictEqual(getPath(defaultSettings(), key), ''));
+    assert.deepStrictEqual(validateSettings(defaultSettings()), []);
+  });
+
+  it('reads and writes dotted keys', () => {
+    const settings = {};
+    setPath(settings, 'browser.proxy.server', 'http://proxy:3128');
+    assert.deepStrictEqual(settings, { browser: { proxy: { server: 'http://proxy:3128' } } });
+    assert.strictEqual(getPath(settings, 'browser.proxy.server'), 'http://proxy:3128');
+    assert.strictEqual(getPath(settings, 'browser.viewport.width'), undefined);
+  });
+});
@@ -0,0 +1,171 @@
+// tab-queue.test.js
+//
+// The per-account tab queue (main/tab-queue.js), with stand-in pages.
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const { TabQueue } = require('../main/tab-queue');
+
+/** Page with only what the queue uses: on('close') and a way to close it. */
+function fakePage(name) {
+  const listeners = [];
+  return {
+    name,
+    on(event, listener) {
+      if (event === 'close') listeners.push(listener);
+    },
+    close() {
+      listeners.forEach(listener => listener());
+    },
+  };
+}
+
+function opener() {
+  let count = 0;
+  const open = async () => fakePage(`tab${++count}`);
+  open.count = () => count;
+  return open;
+}
+
+/** A task that runs until finish() is called, resolving its page's name. */
+function pendingTask() {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const task = async page => {
+    task.page = page;
+    await done;
+    return page.name;
+  };
+  task.finish = () => finish();
+  return task;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TabQueue', () => {
+  it('reuses an idle tab instead of opening another', async () => {
+    const open = opener();
+    const queue = new TabQueue(open, 3);
+    assert.strictEqual(await queue.run('a', page => page.name), 'tab1');
+    assert.strictEqual(await queue.run('b', page => page.name), 'tab1');
+    assert.strictEqual(open.count(), 1);
+  });
+
+  it('opens tabs for work running at the same time, up to the cap', async () => {
+    const open = opener();
+    const queue = new TabQueue(open, 2);
+    const first = pendingTask();
+    const second = pendingTask();
+    const third = pendingTask();
+    const runs = [queue.run('a', first), queue.run('b', second), queue.run('c', third)];
+    await tick();
+
+    assert.strictEqual(open.count(), 2);
+    assert.notStrictEqual(first.page, second.page);
+    assert.strictEqual(third.page, undefined);
+    assert.deepStrictEqual(queue.toJSON(), { tabs: 2, busy: 2, held: 0, waiting: 1, maxTabs: 2 });
+
+    second.finish();
+    await tick();
+    assert.strictEqual(third.page, second.page);
+    first.finish();
+    third.finish();
+    assert.deepStrictEqual(await Promise.all(runs), ['tab1', 'tab2', 'tab2']);
+  });
+
+  it('runs work for one key on the tab that key is using', async () => {
+    const queue = new TabQueue(opener(), 2);
+    const prewarm = pendingTask();
+    const prewarmRun = queue.run('job1', prewarm);
+    await tick();
+
+    const bid = pendingTask();
+    const bidRun = queue.run('job1', bid);
+    await tick();
+    // A second tab was free, but the bid waits for the pre-warmed one
+    assert.strictEqual(bid.page, undefined);
+
+    prewarm.finish();
+    await tick();
+    assert.strictEqual(bid.page, prewarm.page);
+    bid.finish();
+    await Promise.all([prewarmRun, bidRun]);
+  });
+
+  it('keeps a held tab for its key until the hold is released', async () => {
+    const open = opener();
+    const queue = new TabQueue(open, 1);
+    await queue.run('job1', () => {}, { holdUntil: Date.now() + 60 * 1000 });
+    assert.strictEqual(queue.toJSON().held, 1);
+
+    const other = pendingTask();
+    const otherRun = queue.run('watch', other);
+    await tick();
+    assert.strictEqual(other.page, undefined);
+
+    queue.release('job1');
+    await tick();
+    assert.strictEqual(other.page.name, 'tab1');
+    other.finish();
+    await otherRun;
+    assert.strictEqual(open.count(), 1);
+  });
+
+  it('hands a held tab on once the hold runs out', async () => {
+    const queue = new TabQueue(opener(), 1);
+    await queue.run('job1', () => {}, { holdUntil: Date.now() + 20 });
+    const other = pendingTask();
+    const otherRun = queue.run('watch', other);
+    await tick();
+    assert.strictEqual(other.page, undefined);
+
+    // The queue's own timer does not keep the process alive
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(other.page.name, 'tab1');
+    other.finish();
+    await otherRun;
+  });
+
+  it('resolves a failed task to its caller and frees the tab', async () => {
+    const queue = new TabQueue(opener(), 1);
+    await assert.rejects(queue.run('a', async () => { throw new Error('navigation timeout'); }), /navigation timeout/);
+    assert.strictEqual(await queue.run('b', page => page.name), 'tab1');
+  });
+
+  it('fails a waiting task when no tab can be opened', async () => {
+    const queue = new TabQueue(async () => { throw new Error('browser gone'); }, 1);
+    await assert.rejects(queue.run('a', () => {}), /browser gone/);
+    assert.strictEqual(queue.toJSON().waiting, 0);
+  });
+
+  it('forgets closed tabs and reports once all are gone', async () => {
+    let emptied = 0;
+    const pages = [fakePage('first'), fakePage('second')];
+    const queue = new TabQueue(opener(), 2, { pages, onEmpty: () => { emptied++; } });
+    assert.deepStrictEqual(queue.pages(), pages);
+
+    pages[0].close();
+    assert.deepStrictEqual(queue.pages(), [pages[1]]);
+    assert.strictEqual(emptied, 0);
+    pages[1].close();
+    assert.strictEqual(emptied, 1);
+  });
+
+  it('applies a new cap to the tabs it opens next', async () => {
+    const open = opener();
+    const queue = new TabQueue(open, 1);
+    const first = pendingTask();
+    const second = pendingTask();
+    const runs = [queue.run('a', first), queue.run('b', second)];
+    await tick();
+    assert.strictEqual(second.page, undefined);
+
+    queue.setMaxTabs(2);
+    await tick();
+    assert.strictEqual(second.page.name, 'tab2');
+    first.finish();
+    second.finish();
+    await Promise.all(runs);
+  });
+});